@@ -0,0 +1,103 @@
+import "./src/sentry.js"; // Initialize Sentry early
+import { getENV } from "./src/env.js";
+import { captureError } from "./src/sentry.js";
+import { parseCommand, handleCommand, getUserLanguage, getBotConfig } from "./src/bot.js";
+import { countRequest } from "./src/dynamodb.js";
+import { sendMessage, sendPhoto } from "./src/telegram.js";
+import { translate } from "./src/i18n.js";
+import { closeBrowser } from "./src/html.js";
+
+/**
+ * HTTP response of the webhook
+ * Telegram redelivers updates until it gets a 2xx, so handled errors still answer 200
+ * @param {number} statusCode
+ * @param {string} message
+ * @returns {object}
+ */
+function respond(statusCode, message) {
+  return {
+    statusCode,
+    body: JSON.stringify({ message }),
+  };
+}
+
+/**
+ * Telegram webhook, answers the bot commands (see src/bot.js)
+ * Register it with setWebhook and the TELEGRAM_WEBHOOK_SECRET as secret_token
+ */
+export const webhook = async (event) => {
+  // Only Telegram knows the secret, it is sent on every update
+  const secret = getENV("TELEGRAM_WEBHOOK_SECRET", "");
+  const headers = Object.fromEntries(
+    Object.entries(event?.headers ?? {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  if (!secret || headers["x-telegram-bot-api-secret-token"] !== secret) {
+    console.error(secret ? "Rejected webhook call with an invalid secret" : "TELEGRAM_WEBHOOK_SECRET is not set");
+    return respond(401, "Unauthorized");
+  }
+
+  let update;
+  try {
+    const body = event.isBase64Encoded ? Buffer.from(event.body, "base64").toString("utf-8") : event.body;
+    update = JSON.parse(body);
+  } catch (error) {
+    return respond(400, "Invalid update");
+  }
+
+  const message = update?.message;
+  const command = parseCommand(message?.text);
+  // Ignore plain messages and commands addressed to other bots
+  const username = getENV("TELEGRAM_BOT_USERNAME", "");
+  if (!command || (command.mention && username && command.mention.toLowerCase() !== username.toLowerCase())) {
+    return respond(200, "Ignored");
+  }
+
+  const chatId = message.chat.id;
+  const language = getUserLanguage(message.from);
+  const options = { reply_to_message_id: message.message_id };
+  try {
+    const { rateLimit, rateWindow } = getBotConfig();
+    const requests = await countRequest(chatId, rateWindow);
+    if (requests > rateLimit) {
+      // Warn once per window, then stay silent
+      if (requests === rateLimit + 1) {
+        await sendMessage(chatId, translate(language, "botRateLimited"), options);
+      }
+      console.log(`Rate limited /${command.command} of chat ${chatId}`);
+      return respond(200, "Rate limited");
+    }
+
+    const reply = await handleCommand(command, { language, chat: message.chat });
+    if (!reply) {
+      return respond(200, "Ignored");
+    }
+    if (reply.image) {
+      await sendPhoto(chatId, reply.image, reply.text, options);
+    } else {
+      await sendMessage(chatId, reply.text, options);
+    }
+    console.log(`Answered /${command.command} of chat ${chatId}`);
+    return respond(200, "Answered");
+  } catch (error) {
+    console.error(`Failed to answer /${command.command}:`, error);
+    captureError(error, {
+      tags: {
+        worker: 'bot',
+        command: command.command
+      },
+      extra: {
+        chatId,
+        text: message.text
+      }
+    });
+    try {
+      await sendMessage(chatId, translate(language, "botError"), options);
+    } catch (sendError) {
+      console.error("Failed to send the error reply:", sendError.message);
+    }
+    return respond(200, "Failed");
+  } finally {
+    // Image replies launch a browser, it must not outlive the update
+    await closeBrowser();
+  }
+};
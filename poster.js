@@ -1,30 +1,32 @@
 import "./src/sentry.js"; // Initialize Sentry early
-import { getScheduledPosts, removeScheduledPost } from "./src/dynamodb.js";
-import { makeInstagram, makeTelegram, makeTweet } from "./src/content.js";
+import { getScheduledPosts } from "./src/dynamodb.js";
+import { processScheduledPost } from "./src/queue.js";
 import { captureError } from "./src/sentry.js";
+import { evaluateAlerts } from "./src/alerts.js";
+import { checkAnomalies } from "./src/anomalies.js";
+import { closeBrowser } from "./src/html.js";
 
 export const handler = async (event) => {
   try {
+    // Breaking posts are queued before the due posts are fetched, so they go out in this run
+    try {
+      await checkAnomalies();
+    } catch (error) {
+      console.error("Failed to check anomalies:", error);
+      captureError(error, {
+        tags: {
+          worker: 'anomalies',
+          function: 'checkAnomalies'
+        }
+      });
+    }
+
     const posts = await getScheduledPosts();
 
     for (const post of posts) {
       const { platform, data, target, timestamp } = post;
       try {
-        switch (platform.toLowerCase()) {
-          case "twitter":
-            await makeTweet(target, data);
-            break;
-          case "instagram":
-            await makeInstagram(target, data);
-            break;
-          case "telegram":
-            await makeTelegram(target, data);
-            break;
-        }
-        await removeScheduledPost(platform, target);
-        console.log(
-          `Posted to ${platform} and removed the scheduled post from DynamoDB`
-        );
+        await processScheduledPost(post);
       } catch (error) {
         console.error(`Failed to post to ${platform}:`, error);
         captureError(error, {
@@ -35,12 +37,26 @@ export const handler = async (event) => {
           },
           extra: {
             postData: JSON.stringify(data),
-            timestamp: timestamp
+            timestamp: timestamp,
+            attempts: (post.attempts || 0) + 1
           }
         });
       }
     }
 
+    // Alerts share the hourly schedule, a failure must not fail the posting run
+    try {
+      await evaluateAlerts();
+    } catch (error) {
+      console.error("Failed to evaluate alerts:", error);
+      captureError(error, {
+        tags: {
+          worker: 'alerts',
+          function: 'evaluateAlerts'
+        }
+      });
+    }
+
     return {
       statusCode: 200,
       body: JSON.stringify({ message: "Scheduled posts processed successfully" }),
@@ -56,5 +72,8 @@ export const handler = async (event) => {
       }
     });
     throw error; // Re-throw to maintain Lambda error handling
+  } finally {
+    // The posts of this run shared one browser
+    await closeBrowser();
   }
 };
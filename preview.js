@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Dry-run preview of the posting pipeline
+ * Fetches data, calls the AI and renders images exactly like the poster,
+ * but writes the final text and image to PREVIEW_DIR (with an index.html gallery)
+ * Run with: npm run preview -- <command>
+ *
+ * Commands:
+ * - <platform> <target> [language]: Preview a single post, e.g. "twitter trends" or "telegram dailyrecap fa"
+ * - calendar: Preview every enabled job of the content calendar
+ * - queue: Run the poster on the due scheduled posts of DynamoDB without posting or removing them
+ * - help: Show this help message
+ */
+import path from "path";
+import { publishPost } from "./src/publishers/index.js";
+import { loadCalendar, fetchJobData, getSourceKey, getSourcePeriod, DEFAULT_CALENDAR_PATH } from "./src/calendar.js";
+import { loadDeltas } from "./src/deltas.js";
+import { getPreviewDir } from "./src/preview.js";
+import { getENV } from "./src/env.js";
+import { closeBrowser } from "./src/html.js";
+
+// Never publish from this script
+process.env.DRY_RUN = "true";
+
+const args = process.argv.slice(2);
+const command = (args[0] || "help").toLowerCase();
+
+async function run() {
+  try {
+    switch (command) {
+      case "help":
+        showHelp();
+        return;
+      case "queue": {
+        const { handler } = await import("./poster.js");
+        await handler({ source: "preview" });
+        break;
+      }
+      case "calendar": {
+        const calendar = loadCalendar(getENV("CONTENT_CALENDAR", DEFAULT_CALENDAR_PATH));
+        const cache = new Map();
+        for (const job of calendar.jobs.filter((job) => job.enabled)) {
+          console.log(`\n👀 ${job.name}`);
+          await previewJob(job, cache);
+        }
+        break;
+      }
+      default: {
+        const [platform, target, language = "en"] = args;
+        const calendar = loadCalendar(getENV("CONTENT_CALENDAR", DEFAULT_CALENDAR_PATH));
+        // Use the calendar to know which data source the post is built from
+        const job = calendar.jobs.find(
+          (job) => job.platform === platform && job.target === target && job.language === language
+        ) ?? calendar.jobs.find((job) => job.platform === platform && job.target === target);
+        if (!job) {
+          throw new Error(`No calendar job found for ${platform}/${target}`);
+        }
+        await previewJob({ ...job, language }, new Map());
+      }
+    }
+    console.log(`\n✅ Previews written to ${path.join(getPreviewDir(), "index.html")}`);
+  } catch (error) {
+    console.error("❌ Preview failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    // An open browser would keep the process alive
+    await closeBrowser();
+  }
+}
+
+/**
+ * Fetch the data of a calendar job and run its publisher in dry-run mode
+ * Deltas are compared with the stored snapshots, nothing is recorded
+ * @param {object} job
+ * @param {Map} cache
+ */
+async function previewJob(job, cache) {
+  const data = await fetchJobData(job, cache);
+  let deltas = null;
+  try {
+    deltas = await loadDeltas(getSourceKey(job), getSourcePeriod(job), data, { language: job.language });
+  } catch (error) {
+    console.warn(`⚠️ Previewing without deltas: ${error.message}`);
+  }
+  await publishPost(job.platform, job.target, data, { language: job.language, deltas });
+}
+
+function showHelp() {
+  console.log(`Usage: npm run preview -- <command>
+
+Commands:
+  <platform> <target> [language]  Preview a single post, e.g. "twitter trends" or "telegram dailyrecap fa"
+  calendar                        Preview every enabled job of the content calendar
+  queue                           Preview the due scheduled posts from DynamoDB (nothing is posted or removed)
+  help                            Show this help message
+
+Previews are written to PREVIEW_DIR (default: ./preview/), open index.html to review them.
+Set DRY_RUN=true on the poster to get the same behaviour on Lambda.`);
+}
+
+await run();
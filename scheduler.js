@@ -1,82 +1,136 @@
 import './src/sentry.js'; // Initialize Sentry early
-import { getPopular, getRecap } from './src/api.js';
 import { schedulePost } from './src/dynamodb.js';
 import moment from 'moment-timezone';
 import { getENV } from './src/env.js';
 import { captureError } from './src/sentry.js';
+import {
+  loadCalendar,
+  getDueJobs,
+  getJobScheduleTime,
+  getJobPostKey,
+  getSourceKey,
+  getSourcePeriod,
+  fetchJobData,
+  DEFAULT_CALENDAR_PATH,
+} from './src/calendar.js';
+import { recordSnapshot } from './src/snapshots.js';
+import { loadDeltas } from './src/deltas.js';
 
 const SCHEDULE_TIMEZONE = getENV("SCHEDULE_TIMEZONE","Asia/Tehran");
 
-// Daily coin recap for Telegram -> 9 AM tomorrow
-async function scheduleDailyRecap() {
-  const data = await getPopular();
-  if (data) {
-    const scheduleTime = getNextScheduleTime(9);
-    await schedulePost('telegram', 'dailyrecap', data, scheduleTime.unix());
-    console.log('Daily coin recap scheduled for tomorrow on Telegram');
-  }
-}
+// Load and validate the content calendar on cold start, an invalid calendar fails loudly
+const calendar = loadCalendar(getENV("CONTENT_CALENDAR", DEFAULT_CALENDAR_PATH));
 
-// Daily Popular coins for twitter -> 9-10 AM tomorrow
-async function scheduleDailyPopular() {
-  const data = await getPopular();
-  if (data) {
-    const scheduleTime = getNextScheduleTime(9);
-    await schedulePost('twitter', 'trends', data, scheduleTime.unix());
-    await schedulePost('twitter', 'vol', data, scheduleTime.add(1, 'hour').unix());
-    console.log('Daily popular coins scheduled for tomorrow on Twitter');
+/**
+ * Compare the fetched data of a source with its previous period, then keep it as today's snapshot
+ * Snapshots and deltas only enrich the posts, a failure is reported without failing the job
+ * @param {object} job
+ * @param {object[]} data
+ * @param {moment.Moment} today
+ * @returns {Promise<object|null>} Deltas, null without a previous snapshot
+ */
+async function loadJobHistory(job, data, today) {
+  const source = getSourceKey(job);
+  let deltas = null;
+  try {
+    deltas = await loadDeltas(source, getSourcePeriod(job), data, { date: today, language: job.language });
+  } catch (error) {
+    console.error(`Failed to compare the ${source} data:`, error);
+    captureError(error, {
+      tags: {
+        worker: 'scheduler',
+        function: 'loadDeltas',
+        job: job.name
+      },
+      extra: {
+        source: source
+      }
+    });
   }
-}
 
-// Weekly coin recap for Instagram -> 9 AM tomorrow
-async function scheduleWeeklyRecap() {
-  const data = await getRecap("coin", "weekly");
-  if (data) {
-    const scheduleTime = getNextScheduleTime(9);
-    await schedulePost('instagram', 'weekly-coin', data, scheduleTime.unix());
-    console.log('Weekly coin recap scheduled for tomorrow on Instagram');
+  try {
+    await recordSnapshot(source, data, { date: today });
+  } catch (error) {
+    console.error(`Failed to store the ${source} snapshot:`, error);
+    captureError(error, {
+      tags: {
+        worker: 'scheduler',
+        function: 'recordSnapshot',
+        job: job.name
+      },
+      extra: {
+        source: source
+      }
+    });
   }
+  return deltas;
 }
 
-// Monthly exchange recap for Instagram -> 9 AM tomorrow
-async function scheduleMonthlyRecap() {
-  const data = await getRecap("exchange", "monthly");
+/**
+ * Schedule a single calendar job
+ * @param {object} job
+ * @param {moment.Moment} today
+ * @param {Map} cache
+ * @param {Map} history - Pending/loaded deltas by source key, each source is compared and stored once
+ */
+async function scheduleJob(job, today, cache, history) {
+  const data = await fetchJobData(job, cache);
   if (data) {
-    const scheduleTime = getNextScheduleTime(9);
-    await schedulePost('instagram', 'monthly-exchange', data, scheduleTime.unix());
-    console.log('Monthly exchange recap scheduled for tomorrow on Instagram');
+    const source = getSourceKey(job);
+    if (!history.has(source)) {
+      history.set(source, loadJobHistory(job, data, today));
+    }
+    const deltas = await history.get(source);
+    const scheduleTime = getJobScheduleTime(job, today);
+    // Keyed by job and day: a retried run skips the jobs it already queued
+    const id = await schedulePost(job.platform, job.target, data, scheduleTime.unix(), {
+      language: job.language,
+      deltas,
+      key: getJobPostKey(job, today),
+    });
+    if (!id) {
+      console.log(`${job.name} was already scheduled today, skipped`);
+      return;
+    }
+    console.log(`${job.name} scheduled for ${scheduleTime.format()} on ${job.platform} (${job.language})`);
   }
 }
 
-function getNextScheduleTime(hour) {
-  return moment()
-    .add(1, 'day')
-    .set({ hour, minute: 0, second: 0, millisecond: 0 })
-    .tz(SCHEDULE_TIMEZONE, true);
-}
-
-function isTodayLastDayOfMonth(timezone) {
-  const today = moment().tz(timezone);
-  const tomorrow = today.clone().add(1, 'day');
-  return today.month() !== tomorrow.month();
-}
-
 export const midnight = async (event) => {
   try {
-    await scheduleDailyRecap();
-    await scheduleDailyPopular();
-    // Only Fridays
-    if (moment().tz(SCHEDULE_TIMEZONE).day() === 5) {
-      await scheduleWeeklyRecap();
+    const today = moment().tz(SCHEDULE_TIMEZONE);
+    const jobs = getDueJobs(calendar, today);
+    const cache = new Map();
+    const history = new Map();
+    const failures = [];
+
+    for (const job of jobs) {
+      try {
+        await scheduleJob(job, today, cache, history);
+      } catch (error) {
+        // Keep scheduling the remaining jobs
+        console.error(`Failed to schedule ${job.name}:`, error);
+        failures.push(job.name);
+        captureError(error, {
+          tags: {
+            worker: 'scheduler',
+            function: 'scheduleJob',
+            job: job.name
+          },
+          extra: {
+            source: getSourceKey(job)
+          }
+        });
+      }
     }
-    // Only last day of month
-    if (isTodayLastDayOfMonth(SCHEDULE_TIMEZONE)) {
-      await scheduleMonthlyRecap();
+
+    if (failures.length > 0) {
+      throw new Error(`Failed to schedule jobs: ${failures.join(', ')}`);
     }
 
     return {
       statusCode: 200,
-      body: JSON.stringify({ message: 'Data fetched and posts scheduled successfully' }),
+      body: JSON.stringify({ message: 'Data fetched and posts scheduled successfully', jobs: jobs.map((job) => job.name) }),
     };
   } catch (error) {
     captureError(error, {
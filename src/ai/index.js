@@ -21,6 +21,23 @@ export function estimateTokenCount(content) {
   return Math.ceil(content.length / 3.5);
 }
 
+/**
+ * Language instructions appended to the system prompts
+ * @param {string} language - Content language ("en" or "fa")
+ * @returns {string} Prompt lines
+ */
+function getLanguageRules(language = "en") {
+  if (language === "fa") {
+    return `LANGUAGE:
+- Write in fluent, natural Persian (Farsi) for an Iranian audience, not a literal translation
+- Use Persian digits and "ریال" for the currency
+- Keep token symbols (BTC, ETH, USDT) in Latin letters
+- Hashtags may be Persian (e.g. #بیت_کوین) or English`;
+  }
+  return `LANGUAGE:
+- Write in English`;
+}
+
 /**
  * Generate engaging tweet templates for cryptocurrency content
  * @param {string} subject - The subject or prompt for the tweet
@@ -29,6 +46,8 @@ export function estimateTokenCount(content) {
  * @param {string} options.tone - Tone of the tweet (professional, casual, excited)
  * @param {boolean} options.includeHashtags - Whether to include hashtags
  * @param {string} options.lineBreak - Line break style ("\n" or "\r\n")
+ * @param {string} options.language - Content language ("en" or "fa", default: "en")
+ * @param {boolean} options.graphemes - Count maxLength in graphemes (default: false)
  * @returns {Promise<string|null>} Generated tweet template or null if failed
  */
 export async function writeTweet(subject, options = {}) {
@@ -41,6 +60,8 @@ export async function writeTweet(subject, options = {}) {
     tone: options.tone || "professional",
     includeHashtags: options.includeHashtags !== false,
     lineBreak: options.lineBreak || "\r\n",
+    language: options.language || "en",
+    graphemes: options.graphemes || false,
   };
 
   const systemPrompt = `You write creative, engaging tweets for IranCrypto.market (Iran's crypto monitoring platform).
@@ -57,6 +78,8 @@ CONSTRAINTS:
 - ${config.includeHashtags ? "2-3 relevant hashtags at end" : "No hashtags"}
 - 0-2 emojis, natural placement
 
+${getLanguageRules(config.language)}
+
 OUTPUT: Only the tweet text.`;
 
   const userPrompt = `${subject.trim()}`;
@@ -79,6 +102,7 @@ OUTPUT: Only the tweet text.`;
       maxLength: config.maxLength,
       keepFirstBlock: true,
       formatHashtags: true,
+      graphemes: config.graphemes,
     });
   } catch (error) {
     console.warn(`Failed to generate tweet: ${error.message}`);
@@ -95,6 +119,7 @@ OUTPUT: Only the tweet text.`;
  * @param {boolean} options.includeCall2Action - Whether to include call-to-action
  * @param {string} options.lineBreak - Line break style ("\n" or "\r\n")
  * @param {number} options.maxLength - Maximum caption length (default: 400)
+ * @param {string} options.language - Content language ("en" or "fa", default: "en")
  * @returns {Promise<string|null>} Generated Instagram caption or null if failed
  */
 export async function writeCaption(subject, options = {}) {
@@ -108,6 +133,7 @@ export async function writeCaption(subject, options = {}) {
     includeCall2Action: options.includeCall2Action !== false,
     lineBreak: options.lineBreak || "\n",
     maxLength: options.maxLength || 400,
+    language: options.language || "en",
   };
 
   const systemPrompt = `You write creative, engaging Instagram captions for IranCrypto.market (Iran's crypto monitoring platform).
@@ -130,6 +156,8 @@ CONSTRAINTS:
 - 0-${config.maxHashtags} relevant hashtags
 - 0-4 emojis, natural placement
 
+${getLanguageRules(config.language)}
+
 OUTPUT: Only the caption text.`;
 
   const userPrompt = `${subject.trim()}`;
@@ -158,3 +186,57 @@ OUTPUT: Only the caption text.`;
     return null;
   }
 }
+
+/**
+ * Polish a generated image description into natural alt text
+ * @param {string} description - Description built from the image data
+ * @param {Object} options - Optional configuration
+ * @param {number} options.maxLength - Maximum alt text length (default: 1000)
+ * @param {string} options.language - Content language ("en" or "fa", default: "en")
+ * @returns {Promise<string|null>} Alt text or null if failed
+ */
+export async function writeAltText(description, options = {}) {
+  if (!description || typeof description !== "string" || description.trim().length === 0) {
+    throw new Error("Description must be a non-empty string");
+  }
+
+  const config = {
+    maxLength: options.maxLength || 1000,
+    language: options.language || "en",
+  };
+
+  const systemPrompt = `You write alt text for images of IranCrypto.market (Iran's crypto monitoring platform) for screen reader users.
+
+RULES:
+- Describe what the image shows in plain sentences, starting with the kind of image (table, chart)
+- Keep every name and number from the description, in the same order
+- No hashtags, emojis, opinions or financial advice
+- Max ${config.maxLength} characters
+
+${getLanguageRules(config.language)}
+
+OUTPUT: Only the alt text.`;
+
+  try {
+    const result = await ask(
+      [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: description.trim() },
+      ],
+      { temperature: 0.3, maxTokens: 2000 }
+    );
+
+    if (!result || result.length === 0) {
+      return null;
+    }
+
+    return formatContent(result[0].message.content, {
+      lineBreak: " ",
+      maxLength: config.maxLength,
+      formatHashtags: false,
+    });
+  } catch (error) {
+    console.warn(`Failed to generate alt text: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * Coin Alerts
+ * Telegram users subscribe to alerts with the bot, e.g.:
+ * - "/alert BTC volume > 500B": 24h IRR volume crosses 500 billion
+ * - "/alert BTC price < 60000": Average USD price crosses 60,000
+ * - "/alert BTC rank <= 3": Rank among the coins traded in Iran crosses 3
+ * - "/alert BTC volume change > 50%": Volume rose more than 50% since the previous snapshot
+ * - "/alert BTC rank change >= 3": Rank moved 3 or more places since the previous snapshot
+ * The poster compares the latest getPopular snapshot with the previous one every hour
+ * and sends the triggered alerts as direct messages, at most once per cooldown
+ */
+import { getPopular } from "./api.js";
+import { getENV } from "./env.js";
+import { translate } from "./i18n.js";
+import { abbreviateNumber, numFormat, localizeDigits } from "./number.js";
+import { sendMessage, isBotBlocked } from "./telegram.js";
+import { isDryRun } from "./preview.js";
+import { captureError } from "./sentry.js";
+import { escapeHTML } from "./util.js";
+
+export const ALERT_METRICS = ["volume", "price", "rank"];
+
+const OPERATORS = {
+  ">": (value, threshold) => value > threshold,
+  ">=": (value, threshold) => value >= threshold,
+  "<": (value, threshold) => value < threshold,
+  "<=": (value, threshold) => value <= threshold,
+};
+
+// Multipliers of the short volume suffixes, e.g. 500B
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+// Snapshot of getPopular the alerts are compared with, replaced every hour
+// Kept in DynamoDB whatever SNAPSHOT_STORE is, the alerts need it even without data snapshots
+const SNAPSHOT_NAME = "popular";
+
+/**
+ * Alert condition
+ * @typedef {Object} AlertCondition
+ * @property {string} symbol - Coin symbol, upper case
+ * @property {string} metric - "volume" (IRR), "price" (USD) or "rank"
+ * @property {boolean} change - Compare the change since the previous snapshot instead of the value
+ * @property {string} operator - ">", ">=", "<" or "<="
+ * @property {number} value - Threshold, a percentage for volume and price changes, places for rank changes
+ * @property {string} condition - Normalized text of the condition, e.g. "BTC volume > 500B"
+ */
+
+/**
+ * Snapshot of the coins traded in Iran
+ * @typedef {Object} Snapshot
+ * @property {number} takenAt - Unix timestamp
+ * @property {Object<string, {rank: number, volume: number, price: number}>} coins - Coins by symbol
+ */
+
+/**
+ * Cooldown and limit settings of the alerts
+ * @returns {{cooldown: number, maxPerChat: number}}
+ */
+export function getAlertConfig() {
+  return {
+    // Seconds before a triggered alert can trigger again
+    cooldown: parseInt(getENV("ALERT_COOLDOWN", "21600"), 10),
+    // Alerts a chat can subscribe to
+    maxPerChat: parseInt(getENV("ALERT_MAX_PER_CHAT", "10"), 10),
+  };
+}
+
+/**
+ * Parse the arguments of /alert, e.g. ["BTC", "volume", ">", "500B"]
+ * @param {string[]} args
+ * @returns {AlertCondition|null} Null when the condition is invalid
+ */
+export function parseAlert(args) {
+  // Operators may be written without spaces, e.g. "volume>500B"
+  const tokens = args.join(" ").replace(/(>=|<=|>|<)/g, " $1 ").split(/\s+/).filter(Boolean);
+  const [symbol, metric, ...rest] = tokens;
+  if (!symbol || !/^[a-z0-9]{1,15}$/i.test(symbol) || !ALERT_METRICS.includes(metric?.toLowerCase())) {
+    return null;
+  }
+
+  const change = rest[0]?.toLowerCase() === "change";
+  const [operator, rawValue, ...extra] = change ? rest.slice(1) : rest;
+  const match = /^([+-]?\d+(?:\.\d+)?)([kmbt%])?$/i.exec(rawValue ?? "");
+  if (!OPERATORS[operator] || !match || extra.length) {
+    return null;
+  }
+
+  const suffix = match[2]?.toLowerCase();
+  // Changes of volume and price are percentages, ranks and rank changes are plain numbers
+  if (metric.toLowerCase() === "rank" ? Boolean(suffix) : (suffix === "%") !== change) {
+    return null;
+  }
+
+  const value = parseFloat(match[1]) * (SUFFIXES[suffix] ?? 1);
+  const normalizedSymbol = symbol.toUpperCase();
+  const normalizedMetric = metric.toLowerCase();
+  return {
+    symbol: normalizedSymbol,
+    metric: normalizedMetric,
+    change,
+    operator,
+    value,
+    condition: [normalizedSymbol, normalizedMetric, change ? "change" : null, operator, rawValue.toUpperCase()]
+      .filter(Boolean)
+      .join(" "),
+  };
+}
+
+/**
+ * Build a snapshot of the coins traded in Iran, ranked like the recap tables
+ * @param {Array} data - Popular items data
+ * @param {number} takenAt - Unix timestamp
+ * @returns {Snapshot}
+ */
+export function buildSnapshot(data, takenAt) {
+  const coins = {};
+  data
+    .filter((item) => item.has_iran && item.symbol)
+    .forEach((item, index) => {
+      const symbol = item.symbol.toUpperCase();
+      // Keep the best ranked entry of a symbol
+      coins[symbol] ??= {
+        rank: index + 1,
+        volume: Number(item.irr?.volume ?? 0),
+        price: Number(item.usd?.price ?? 0),
+      };
+    });
+  return { takenAt, coins };
+}
+
+/**
+ * Check an alert against the latest and previous snapshots
+ * Value alerts trigger when the value crosses the threshold, not on every snapshot past it
+ * @param {AlertCondition} alert
+ * @param {Snapshot} current
+ * @param {Snapshot|false} previous
+ * @returns {{value: number, previousValue: number|null, change: number|null}|null} Null when not triggered
+ */
+export function evaluateAlert(alert, current, previous) {
+  const now = current.coins[alert.symbol];
+  const before = previous ? previous.coins?.[alert.symbol] : undefined;
+  if (!now) {
+    return null;
+  }
+
+  const compare = OPERATORS[alert.operator];
+  const value = now[alert.metric];
+  const previousValue = before?.[alert.metric] ?? null;
+
+  if (alert.change) {
+    if (previousValue === null || (alert.metric !== "rank" && !previousValue)) {
+      return null;
+    }
+    const change =
+      alert.metric === "rank"
+        ? Math.abs(value - previousValue)
+        : ((value - previousValue) / previousValue) * 100;
+    return compare(change, alert.value) ? { value, previousValue, change } : null;
+  }
+
+  if (!compare(value, alert.value) || (previousValue !== null && compare(previousValue, alert.value))) {
+    return null;
+  }
+  return { value, previousValue, change: null };
+}
+
+/**
+ * Format a metric value for messages
+ * @param {string} metric
+ * @param {number|null} value
+ * @param {string} language
+ * @returns {string}
+ */
+function formatMetric(metric, value, language) {
+  if (value === null) {
+    return "-";
+  }
+  switch (metric) {
+    case "volume":
+      return `${abbreviateNumber(Math.round(value), 1, true, language)} ${translate(language, "currency")}`;
+    case "price":
+      return "$" + localizeDigits(numFormat(value), language);
+    default:
+      return "#" + localizeDigits(value, language);
+  }
+}
+
+/**
+ * Build the message of a triggered alert
+ * @param {AlertCondition} alert
+ * @param {{value: number, previousValue: number|null, change: number|null}} result
+ * @param {string} language
+ * @returns {string}
+ */
+export function buildAlertMessage(alert, result, language) {
+  let value = formatMetric(alert.metric, result.value, language);
+  if (result.change !== null && alert.metric !== "rank") {
+    const sign = result.change > 0 ? "+" : "";
+    value += ` (${localizeDigits(sign + result.change.toFixed(1), language)}%)`;
+  }
+  // Plain text sent as an HTML message, conditions contain "<" and ">"
+  return escapeHTML(
+    translate(language, "botAlertTriggered", {
+      condition: alert.condition,
+      value,
+      previous: formatMetric(alert.metric, result.previousValue, language),
+    })
+  );
+}
+
+/**
+ * Alert store, src/dynamodb.js by default
+ * @typedef {Object} AlertStore
+ * @property {Function} getAlerts
+ * @property {Function} claimAlert
+ * @property {Function} releaseAlert
+ * @property {Function} removeAlert
+ * @property {Function} getSnapshot
+ * @property {Function} saveSnapshot
+ */
+
+/**
+ * Claim a triggered alert and send it, the claim is undone when the message fails
+ * @param {Object} alert - Stored alert
+ * @param {string} text - Alert message
+ * @param {Object} options
+ * @param {number} options.now - Unix timestamp of the evaluation
+ * @param {number} options.cooldown - Seconds before the alert can trigger again
+ * @param {AlertStore} store
+ * @param {Function} send - async (chatId, text), sends a Telegram message
+ * @returns {Promise<boolean>} Whether the alert was delivered
+ */
+export async function deliverAlert(alert, text, { now, cooldown }, store, send = sendMessage) {
+  try {
+    if (!(await store.claimAlert(alert.id, now, now + cooldown))) {
+      console.log(`Alert ${alert.id} was already sent`);
+      return false;
+    }
+    await send(alert.chatId, text);
+    return true;
+  } catch (error) {
+    // Users who blocked the bot can't receive alerts anymore
+    if (isBotBlocked(error)) {
+      console.log(`Chat ${alert.chatId} blocked the bot, removing alert ${alert.id}`);
+      await store.removeAlert(alert.id);
+      return false;
+    }
+    // Keep sending the remaining alerts
+    console.error(`Failed to send alert ${alert.id}:`, error.message);
+    captureError(error, {
+      tags: {
+        worker: 'alerts',
+        function: 'evaluateAlerts'
+      },
+      extra: {
+        alertId: alert.id,
+        condition: alert.condition
+      }
+    });
+    // The alert wasn't sent, so its cooldown doesn't start (a no-op when the claim itself failed)
+    try {
+      await store.releaseAlert(alert, now);
+    } catch (releaseError) {
+      console.error(`Failed to release alert ${alert.id}:`, releaseError.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Compare the latest getPopular snapshot with the previous one and send the triggered alerts
+ * Each alert is claimed before it is sent, so concurrent runs can't send it twice
+ * The snapshot is recorded on every run, so new alerts compare with the previous hour
+ * Dry runs only log the alerts and leave DynamoDB untouched
+ * @param {AlertStore|null} store - Store to use instead of DynamoDB
+ * @returns {Promise<{alerts: number, delivered: number}>}
+ */
+export async function evaluateAlerts(store = null) {
+  store ??= await import("./dynamodb.js");
+  const now = Math.floor(Date.now() / 1000);
+  const current = buildSnapshot(await getPopular(), now);
+  const alerts = await store.getAlerts();
+  const dryRun = isDryRun();
+  let delivered = 0;
+
+  if (alerts.length) {
+    const previous = await store.getSnapshot(SNAPSHOT_NAME);
+    const { cooldown } = getAlertConfig();
+
+    // Alerts in cooldown wait for their scheduledAt
+    for (const alert of alerts.filter((alert) => alert.scheduledAt <= now)) {
+      const result = evaluateAlert(alert, current, previous);
+      if (!result) {
+        continue;
+      }
+
+      const text = buildAlertMessage(alert, result, alert.language);
+      if (dryRun) {
+        console.log(`Dry run: alert ${alert.id} for chat ${alert.chatId} triggered:`, text);
+        continue;
+      }
+      if (await deliverAlert(alert, text, { now, cooldown }, store)) {
+        delivered++;
+      }
+    }
+  }
+
+  if (!dryRun) {
+    await store.saveSnapshot(SNAPSHOT_NAME, current);
+  }
+  console.log(`Evaluated ${alerts.length} alerts, ${delivered} delivered`);
+  return { alerts: alerts.length, delivered };
+}
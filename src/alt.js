@@ -0,0 +1,106 @@
+/**
+ * Alt Text Helper
+ * Describes rendered images for screen readers from the same data passed to the template
+ */
+import { writeAltText } from "./ai/index.js";
+import { getENV } from "./env.js";
+import { translate, normalizeLanguage, LANGUAGES } from "./i18n.js";
+import { localizeDigits } from "./number.js";
+
+// Shortest alt text limit of the platforms (Twitter)
+export const ALT_TEXT_MAX_LENGTH = 1000;
+
+/**
+ * Check whether alt texts are polished by the AI (ALT_TEXT_AI=true)
+ * @returns {boolean}
+ */
+export function isAltTextAIEnabled() {
+  return getENV("ALT_TEXT_AI", "false").toLowerCase() === "true";
+}
+
+/**
+ * Build the alt text of a table or chart template from its data
+ * Rows with a trend column also describe their rank movement
+ * @param {Object} data - Template data (title, subtitle, headers, tokens, exchanges, events or chart, lastUpdate)
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {number} options.maxLength - Maximum length (default: ALT_TEXT_MAX_LENGTH)
+ * @returns {string} Alt text
+ */
+export function buildAltText(data, options = {}) {
+  const language = normalizeLanguage(options.language);
+  const maxLength = options.maxLength || ALT_TEXT_MAX_LENGTH;
+  const separator = language === LANGUAGES.FA ? "؛ " : "; ";
+
+  // Event lists (breaking news) are read out as sentences
+  if (data.events) {
+    const sentences = [data.title, data.subtitle, ...data.events.map((event) => event.text)].filter(Boolean);
+    return (sentences.join(". ") + ".").slice(0, maxLength);
+  }
+
+  // Charts list their values, tables their rows with the column headers
+  let summary;
+  let lines;
+  if (data.chart) {
+    const kinds = { bar: "altBarChart", pie: "altPieChart", line: "altLineChart" };
+    summary = translate(language, kinds[data.chart.kind], { count: localizeDigits(data.chart.rows.length, language) });
+    lines = data.chart.rows.map((row, index) =>
+      data.chart.kind === "line"
+        ? `${row.name}: ${row.value}`
+        : `${localizeDigits(index + 1, language)}. ${row.name}: ${row.value}`
+    );
+  } else {
+    const rows = data.tokens ?? data.exchanges ?? [];
+    const headers = data.headers ?? translate(language, data.exchanges ? "exchangeHeaders" : "coinHeaders");
+    const columns = data.exchanges ? ["volume"] : ["price", "volume"];
+    summary = translate(language, "altTable", {
+      count: localizeDigits(rows.length, language),
+      columns: headers.join(language === LANGUAGES.FA ? "، " : ", "),
+    });
+    lines = rows.map((row, index) => {
+      const cells = columns
+        .map((column, i) => `${headers[i + 1]} ${row[column]}`)
+        .join(language === LANGUAGES.FA ? "، " : ", ");
+      const movement = row.movement ? ` (${row.movement})` : "";
+      return `${localizeDigits(index + 1, language)}. ${row.name}: ${cells}${movement}`;
+    });
+  }
+
+  const parts = [[data.title, data.subtitle].filter(Boolean).join(". "), summary];
+  if (data.lastUpdate) {
+    parts.push(`${translate(language, "lastUpdate")}: ${data.lastUpdate}`);
+  }
+  const header = parts.join(". ") + ".";
+
+  // Add rows while they fit, so long tables keep the top ranks
+  let text = header;
+  for (const [index, line] of lines.entries()) {
+    const next = index === 0 ? `${text} ${line}` : `${text}${separator}${line}`;
+    if (next.length > maxLength) {
+      break;
+    }
+    text = next;
+  }
+  return text.slice(0, maxLength);
+}
+
+/**
+ * Describe a rendered image, polished by the AI when ALT_TEXT_AI=true
+ * Falls back to the built description when the AI fails
+ * @param {Object} data - Template data
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {number} options.maxLength - Maximum length (default: ALT_TEXT_MAX_LENGTH)
+ * @returns {Promise<string>} Alt text
+ */
+export async function describeImage(data, options = {}) {
+  const description = buildAltText(data, options);
+  if (!isAltTextAIEnabled()) {
+    return description;
+  }
+  const polished = await writeAltText(description, {
+    maxLength: options.maxLength || ALT_TEXT_MAX_LENGTH,
+    language: normalizeLanguage(options.language),
+  });
+  return polished || description;
+}
@@ -0,0 +1,339 @@
+/**
+ * Market Anomaly Detector
+ * Compares every hourly getPopular fetch with the samples of the previous hours and flags:
+ * - spike: A coin's volume is ANOMALY_STDDEV standard deviations above its trailing average
+ * - entrant: A coin enters the top 10 after staying out of it for the whole window
+ * - collapse: The total volume falls ANOMALY_COLLAPSE percent below its trailing average
+ * Flagged anomalies are queued right away as "breaking" posts (see ANOMALY_TARGETS),
+ * each anomaly at most once per ANOMALY_COOLDOWN and at most ANOMALY_DAILY_CAP posts per target and UTC day
+ */
+import { getPopular } from "./api.js";
+import { getENV } from "./env.js";
+import { isDryRun } from "./preview.js";
+import { normalizeLanguage } from "./i18n.js";
+import { getTelegramChannels } from "./telegram.js";
+import { captureError } from "./sentry.js";
+
+// Snapshot keeping the hourly samples and the last time each anomaly was flagged
+// Run state in DynamoDB, not a dated data snapshot of src/snapshots.js
+const HISTORY_NAME = "anomaly-history";
+
+// Coins kept per sample, enough to see coins climbing into the top 10
+const TRACKED_COINS = 30;
+
+// Rows of the ranking watched for new entrants
+const TOP_SIZE = 10;
+
+// Post target of the breaking news
+export const BREAKING_TARGET = "breaking";
+
+/**
+ * Hourly sample of the coins traded in Iran
+ * @typedef {Object} Sample
+ * @property {number} takenAt - Unix timestamp
+ * @property {number} total - Total volume in IRR
+ * @property {Object<string, {rank: number, volume: number}>} coins - Top coins by symbol
+ */
+
+/**
+ * Flagged market event
+ * @typedef {Object} Anomaly
+ * @property {string} type - "spike", "entrant" or "collapse"
+ * @property {string} key - Key of the event for the cooldown, e.g. "spike:BTC"
+ * @property {Object|null} coin - Names and icon of the coin (symbol, name, name_en, name_fa, icon), null for collapses
+ * @property {number|null} rank - Current rank of the coin
+ * @property {number} volume - Current volume in IRR, the total volume for collapses
+ * @property {number} average - Trailing average volume in IRR
+ * @property {number|null} deviations - Standard deviations above the average, for spikes
+ * @property {number|null} change - Change against the average in percent, for collapses
+ * @property {number} hours - Hourly samples of the average
+ * @property {number} detectedAt - Unix timestamp
+ */
+
+/**
+ * Detector settings
+ * @returns {{deviations: number, window: number, minSamples: number, collapse: number, dailyCap: number, cooldown: number}}
+ */
+export function getAnomalyConfig() {
+  return {
+    // Standard deviations above the trailing average that make a volume spike
+    deviations: parseFloat(getENV("ANOMALY_STDDEV", "3")),
+    // Hourly samples of the trailing window
+    window: parseInt(getENV("ANOMALY_WINDOW", "24"), 10),
+    // Samples needed before anything is flagged
+    minSamples: parseInt(getENV("ANOMALY_MIN_SAMPLES", "6"), 10),
+    // Drop of the total volume below its trailing average, in percent
+    collapse: parseFloat(getENV("ANOMALY_COLLAPSE", "40")),
+    // Breaking posts per target and day
+    dailyCap: parseInt(getENV("ANOMALY_DAILY_CAP", "3"), 10),
+    // Seconds before the same anomaly can be flagged again
+    cooldown: parseInt(getENV("ANOMALY_COOLDOWN", "86400"), 10),
+  };
+}
+
+/**
+ * Platforms and languages of the breaking posts, from ANOMALY_TARGETS such as "twitter:en,telegram:fa"
+ * Telegram targets without a channel of their language are left out, their posts could only fail
+ * @returns {{platform: string, language: string}[]}
+ * @throws {Error} When an entry isn't "platform:language"
+ */
+export function getBreakingTargets() {
+  const targets = getENV("ANOMALY_TARGETS", "twitter:en,telegram:en")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [platform, language, ...rest] = entry.split(":");
+      if (!platform || !language || rest.length) {
+        throw new Error(`Invalid ANOMALY_TARGETS entry "${entry}", must be platform:language`);
+      }
+      return { platform: platform.toLowerCase(), language: normalizeLanguage(language) };
+    });
+
+  if (!targets.some((target) => target.platform === "telegram")) {
+    return targets;
+  }
+  const languages = new Set(getTelegramChannels().map((channel) => channel.language));
+  return targets.filter((target) => {
+    if (target.platform === "telegram" && !languages.has(target.language)) {
+      console.log(`No Telegram channel in ${target.language}, skipping its breaking posts`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Build the sample of the coins traded in Iran, ranked like the recap tables
+ * @param {Array} data - Popular items data
+ * @param {number} takenAt - Unix timestamp
+ * @returns {Sample}
+ */
+export function buildSample(data, takenAt) {
+  const traded = data.filter((item) => item.has_iran && item.symbol);
+  const coins = {};
+  traded.slice(0, TRACKED_COINS).forEach((item, index) => {
+    // Keep the best ranked entry of a symbol
+    coins[item.symbol.toUpperCase()] ??= { rank: index + 1, volume: Number(item.irr?.volume ?? 0) };
+  });
+  return {
+    takenAt,
+    total: traded.reduce((acc, item) => acc + Number(item.irr?.volume ?? 0), 0),
+    coins,
+  };
+}
+
+/**
+ * Mean and population standard deviation
+ * @param {number[]} values
+ * @returns {{mean: number, deviation: number}}
+ */
+function getStats(values) {
+  const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+  const variance = values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length;
+  return { mean, deviation: Math.sqrt(variance) };
+}
+
+/**
+ * Names and icon of a coin, enough for getItemName and the breaking image
+ * @param {Object} item - Popular item
+ * @returns {{symbol: string, name: string, name_en: string, name_fa: string, icon: string}}
+ */
+function getCoinNames(item) {
+  return {
+    symbol: item.symbol,
+    name: item.name ?? null,
+    name_en: item.name_en ?? null,
+    name_fa: item.name_fa ?? null,
+    icon: item.icon ?? null,
+  };
+}
+
+/**
+ * Find the anomalies of the current data against the trailing samples
+ * @param {Array} data - Popular items data
+ * @param {Sample[]} samples - Previous samples, oldest first
+ * @param {Object} config - Detector settings (see getAnomalyConfig)
+ * @param {number} detectedAt - Unix timestamp of the data
+ * @returns {Anomaly[]}
+ */
+export function detectAnomalies(
+  data,
+  samples,
+  config = getAnomalyConfig(),
+  detectedAt = Math.floor(Date.now() / 1000)
+) {
+  const trailing = samples.slice(-config.window);
+  if (trailing.length < config.minSamples) {
+    return [];
+  }
+
+  const current = buildSample(data, 0);
+  const items = {};
+  data.filter((item) => item.has_iran && item.symbol).forEach((item) => (items[item.symbol.toUpperCase()] ??= item));
+  const anomalies = [];
+
+  for (const [symbol, { rank, volume }] of Object.entries(current.coins)) {
+    const coin = getCoinNames(items[symbol]);
+
+    // Coins missing from a sample weren't among the tracked coins, their volume was low
+    const history = trailing.map((sample) => sample.coins[symbol]?.volume ?? 0);
+    const { mean, deviation } = getStats(history);
+    if (deviation > 0 && volume > mean + config.deviations * deviation) {
+      anomalies.push({
+        type: "spike",
+        key: `spike:${symbol}`,
+        coin,
+        rank,
+        volume,
+        average: Math.round(mean),
+        deviations: Math.round(((volume - mean) / deviation) * 10) / 10,
+        change: null,
+        hours: trailing.length,
+        detectedAt,
+      });
+    }
+
+    const wasInTop = trailing.some((sample) => (sample.coins[symbol]?.rank ?? Infinity) <= TOP_SIZE);
+    if (rank <= TOP_SIZE && !wasInTop) {
+      anomalies.push({
+        type: "entrant",
+        key: `entrant:${symbol}`,
+        coin,
+        rank,
+        volume,
+        average: Math.round(mean),
+        deviations: null,
+        change: null,
+        hours: trailing.length,
+        detectedAt,
+      });
+    }
+  }
+
+  const { mean } = getStats(trailing.map((sample) => sample.total));
+  if (mean > 0 && current.total < mean * (1 - config.collapse / 100)) {
+    anomalies.push({
+      type: "collapse",
+      key: "collapse",
+      coin: null,
+      rank: null,
+      volume: current.total,
+      average: Math.round(mean),
+      deviations: null,
+      change: Math.round(((current.total - mean) / mean) * 1000) / 10,
+      hours: trailing.length,
+      detectedAt,
+    });
+  }
+
+  return anomalies;
+}
+
+/**
+ * Drop the anomalies flagged within the cooldown
+ * @param {Anomaly[]} anomalies
+ * @param {Object<string, number>} flagged - Last flag time by anomaly key
+ * @param {number} now - Unix timestamp
+ * @param {number} cooldown - Seconds
+ * @returns {Anomaly[]}
+ */
+export function filterCooldown(anomalies, flagged, now, cooldown) {
+  return anomalies.filter((anomaly) => !flagged[anomaly.key] || flagged[anomaly.key] + cooldown <= now);
+}
+
+/**
+ * Anomaly store, src/dynamodb.js by default
+ * @typedef {Object} AnomalyStore
+ * @property {Function} getSnapshot
+ * @property {Function} saveSnapshot
+ * @property {Function} countRequest
+ * @property {Function} schedulePost
+ */
+
+/**
+ * Key of a breaking post, the same anomalies are queued once per target and hour
+ * @param {string} platform
+ * @param {string} language
+ * @param {Anomaly[]} anomalies
+ * @param {number} now - Unix timestamp
+ * @returns {string} e.g. "breaking-twitter-en-2024-05-31T10-spike:BTC"
+ */
+export function getBreakingPostKey(platform, language, anomalies, now) {
+  const hour = new Date(now * 1000).toISOString().slice(0, 13);
+  const keys = anomalies.map((anomaly) => anomaly.key).sort();
+  return [BREAKING_TARGET, platform, language, hour, ...keys].join("-");
+}
+
+/**
+ * Check the latest getPopular data for anomalies and queue the breaking posts
+ * The sample and the flags are stored after each check, even when a target failed, so the next hour
+ * compares with it and doesn't report the anomalies again
+ * Dry runs only log the anomalies and leave DynamoDB untouched
+ * @param {AnomalyStore|null} store - Store to use instead of DynamoDB
+ * @returns {Promise<{anomalies: Anomaly[], scheduled: number}>}
+ */
+export async function checkAnomalies(store = null) {
+  store ??= await import("./dynamodb.js");
+  const { getSnapshot, saveSnapshot, countRequest, schedulePost } = store;
+  const config = getAnomalyConfig();
+  const now = Math.floor(Date.now() / 1000);
+  const data = await getPopular();
+  const history = (await getSnapshot(HISTORY_NAME)) || { samples: [], flagged: {} };
+
+  const detected = detectAnomalies(data, history.samples, config, now);
+  const anomalies = filterCooldown(detected, history.flagged, now, config.cooldown);
+  const keys = anomalies.map((anomaly) => anomaly.key).join(", ");
+  let scheduled = 0;
+
+  if (isDryRun()) {
+    if (anomalies.length) {
+      console.log(`Dry run: anomalies found: ${keys}`);
+    }
+    return { anomalies, scheduled };
+  }
+
+  if (anomalies.length) {
+    for (const { platform, language } of getBreakingTargets()) {
+      // Counted per target and UTC day
+      const posts = await countRequest(`${BREAKING_TARGET}-${platform}-${language}`, 86400);
+      if (posts > config.dailyCap) {
+        console.log(`Daily cap of ${config.dailyCap} breaking posts reached on ${platform}/${language}, skipping: ${keys}`);
+        continue;
+      }
+      try {
+        // Keyed, so a run repeated within the hour doesn't queue the post again
+        const key = getBreakingPostKey(platform, language, anomalies, now);
+        if (await schedulePost(platform, BREAKING_TARGET, data, now, { language, anomalies, key })) {
+          scheduled++;
+        }
+      } catch (error) {
+        // The other targets still get the news
+        console.error(`Failed to queue breaking news on ${platform}/${language}:`, error);
+        captureError(error, {
+          tags: {
+            worker: 'anomalies',
+            function: 'checkAnomalies'
+          },
+          extra: {
+            platform,
+            language,
+            anomalies: keys
+          }
+        });
+      }
+    }
+    console.log(`Breaking news queued on ${scheduled} targets: ${keys}`);
+  }
+
+  // Capped anomalies are marked too, so stale news isn't posted the next day
+  const flagged = Object.fromEntries(
+    Object.entries(history.flagged).filter(([, flaggedAt]) => flaggedAt + config.cooldown > now)
+  );
+  anomalies.forEach((anomaly) => (flagged[anomaly.key] = now));
+  await saveSnapshot(HISTORY_NAME, {
+    samples: [...history.samples, buildSample(data, now)].slice(-config.window),
+    flagged,
+  });
+  return { anomalies, scheduled };
+}
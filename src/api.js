@@ -7,14 +7,19 @@ import { getENV } from "./env.js";
 const BASE_URL = "https://irancrypto.market/api/v1/";
 const REQUEST_TIMEOUT = 10000; // 10 seconds
 
+// Valid parameters of the recap endpoint
+export const RECAP_TYPES = ["exchange", "coin"];
+export const RECAP_INTERVALS = ["weekly", "monthly"];
+
 /**
  * Make a request to the IranCrypto API
  * @param {string} method - API method endpoint
  * @param {object} params - Query parameters
+ * @param {string} language - Response language ("en" or "fa")
  * @returns {Promise<object>} API response data
  * @throws {Error} When API request fails
  */
-async function request(method, params = {}) {
+async function request(method, params = {}, language = "en") {
   const apiKey = getENV("IRANCRYPTO_API_KEY");
   if (!apiKey) {
     throw new Error("IRANCRYPTO_API_KEY environment variable is required");
@@ -31,7 +36,7 @@ async function request(method, params = {}) {
   // Send request
   const response = await fetch(requestUrl, {
     headers: {
-      Language: "en",
+      Language: language,
       Authorization: `Bearer ${apiKey}`,
       "Content-Type": "application/json",
       // User-agent added to bypass Cloudflare's bot protection
@@ -52,39 +57,39 @@ async function request(method, params = {}) {
 
 /**
  * Popular Cryptos in Iran by 24h volume
+ * @param {string} language - Response language ("en" or "fa")
  * @returns {object[]}
  */
-export async function getPopular() {
-  return await request("popular");
+export async function getPopular(language = "en") {
+  return await request("popular", {}, language);
 }
 
 /**
  * Exchanges transactions volume in Iran by 24h volume
+ * @param {string} language - Response language ("en" or "fa")
  * @returns {object[]}
  */
-export async function getExchanges() {
-  return await request("exchanges");
+export async function getExchanges(language = "en") {
+  return await request("exchanges", {}, language);
 }
 
 /**
  * Get recap data for most traded tokens or exchanges
  * @param {string} type - Type of recap ('exchange' or 'coin')
  * @param {string} interval - Time interval ('weekly' or 'monthly')
+ * @param {string} language - Response language ("en" or "fa")
  * @returns {Promise<object[]>} Array of recap data
  * @throws {Error} When parameters are invalid or API fails
  */
-export async function getRecap(type, interval) {
+export async function getRecap(type, interval, language = "en") {
   // Validate parameters
-  const validTypes = ['exchange', 'coin'];
-  const validIntervals = ['weekly', 'monthly'];
-
-  if (!validTypes.includes(type)) {
-    throw new Error(`Invalid type: ${type}. Must be one of: ${validTypes.join(', ')}`);
+  if (!RECAP_TYPES.includes(type)) {
+    throw new Error(`Invalid type: ${type}. Must be one of: ${RECAP_TYPES.join(', ')}`);
   }
 
-  if (!validIntervals.includes(interval)) {
-    throw new Error(`Invalid interval: ${interval}. Must be one of: ${validIntervals.join(', ')}`);
+  if (!RECAP_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval: ${interval}. Must be one of: ${RECAP_INTERVALS.join(', ')}`);
   }
 
-  return await request("recap", { type, interval, limit: 50 });
+  return await request("recap", { type, interval, limit: 50 }, language);
 }
\ No newline at end of file
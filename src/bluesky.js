@@ -0,0 +1,210 @@
+/**
+ * Bluesky (AT Protocol) helper for posting with rich text and images
+ * https://docs.bsky.app/docs/advanced-guides/posts
+ */
+import { getBlueskyCredentials } from "./env.js";
+import { loadImage } from "./images.js";
+import { findHashtags } from "./util.js";
+
+const REQUEST_TIMEOUT = 30000; // 30 seconds
+
+// Maximum size of an embedded image
+export const BLUESKY_MAX_IMAGE_SIZE = 1000000;
+
+// Links with a scheme or bare domains (irancrypto.market/popular), trailing punctuation excluded
+const LINK_REGEX = /(?<=^|[\s(])(?:https?:\/\/[^\s]+|[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s]*)?)/gu;
+
+let session;
+
+/**
+ * Make a XRPC request to the Bluesky service
+ * @param {string} nsid - XRPC method, e.g. "com.atproto.repo.createRecord"
+ * @param {Object} options
+ * @param {Object|Buffer} options.body - JSON body or raw bytes
+ * @param {string} options.contentType - Content type of raw bytes
+ * @param {boolean} options.auth - Send the session access token (default: true)
+ * @param {string} options.token - Token to send instead, e.g. the refresh token
+ * @param {boolean} options.retry - Refresh an expired session and retry once (default: true)
+ * @returns {Promise<object>}
+ * @throws {Error} When the request fails
+ */
+async function request(nsid, { body, contentType, auth = true, token = null, retry = true } = {}) {
+  const { service } = getBlueskyCredentials();
+  const isRaw = Buffer.isBuffer(body);
+  const headers = { "Content-Type": isRaw ? contentType : "application/json" };
+  const bearer = auth ? (await login()).accessJwt : token;
+  if (bearer) {
+    headers.Authorization = `Bearer ${bearer}`;
+  }
+
+  const response = await fetch(`${service}/xrpc/${nsid}`, {
+    method: "POST",
+    headers,
+    body: isRaw ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Bluesky API Error (${response.status}):`, errorText);
+    // Access tokens expire after a few hours, a warm Lambda outlives them
+    if (auth && retry && response.status === 400 && getErrorName(errorText) === "ExpiredToken") {
+      await refreshSession();
+      return request(nsid, { body, contentType, auth, retry: false });
+    }
+    // Force a new login on the next request when the session is rejected
+    if (response.status === 401) {
+      session = undefined;
+    }
+    throw new Error(`Bluesky request ${nsid} failed: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Log in with the app password, the session is reused while the Lambda is warm
+ * @returns {Promise<{accessJwt: string, did: string}>} Session
+ */
+export async function login() {
+  if (!session) {
+    const { identifier, password } = getBlueskyCredentials();
+    session = await request("com.atproto.server.createSession", {
+      body: { identifier, password },
+      auth: false,
+    });
+  }
+  return session;
+}
+
+/**
+ * Replace the cached session with a refreshed one, or a new login when the refresh token is rejected too
+ * @returns {Promise<{accessJwt: string, did: string}>} Session
+ */
+async function refreshSession() {
+  const refreshJwt = session?.refreshJwt;
+  session = undefined;
+  if (refreshJwt) {
+    try {
+      session = await request("com.atproto.server.refreshSession", { auth: false, token: refreshJwt });
+      return session;
+    } catch (error) {
+      console.error("Failed to refresh the Bluesky session, logging in again:", error.message);
+    }
+  }
+  return login();
+}
+
+/**
+ * Error name of a XRPC error response, e.g. "ExpiredToken"
+ * @param {string} errorText - Response body
+ * @returns {string|null}
+ */
+function getErrorName(errorText) {
+  try {
+    return JSON.parse(errorText).error ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the rich-text facets of hashtags and links
+ * Facet ranges are UTF-8 byte offsets, so Persian text and emojis shift them
+ * @param {string} text - Post text
+ * @returns {Array<object>} app.bsky.richtext.facet records
+ */
+export function buildFacets(text) {
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+  const byteRange = (index, value) => {
+    const byteStart = Buffer.byteLength(text.slice(0, index));
+    return { byteStart, byteEnd: byteStart + Buffer.byteLength(value) };
+  };
+
+  const links = [...text.matchAll(LINK_REGEX)].map((match) => {
+    const link = match[0].replace(/[.,;:!?)]+$/, "");
+    return {
+      index: match.index,
+      facet: {
+        index: byteRange(match.index, link),
+        features: [
+          {
+            $type: "app.bsky.richtext.facet#link",
+            uri: /^https?:\/\//i.test(link) ? link : `https://${link}`,
+          },
+        ],
+      },
+      end: match.index + link.length,
+    };
+  });
+
+  // Hashtags inside links (e.g. URL fragments) are part of the link
+  const tags = findHashtags(text)
+    .all.filter(({ index }) => !links.some((link) => index >= link.index && index < link.end))
+    .map(({ hashtag, index }) => ({
+      index,
+      facet: {
+        index: byteRange(index, hashtag),
+        features: [{ $type: "app.bsky.richtext.facet#tag", tag: hashtag.slice(1) }],
+      },
+    }));
+
+  return [...links, ...tags].sort((a, b) => a.index - b.index).map(({ facet }) => facet);
+}
+
+/**
+ * Upload an image blob
+ * @param {import("./images.js").RenderedImage|string} file - Rendered image or image path
+ * @returns {Promise<object>} Blob reference
+ */
+export async function uploadBlob(file) {
+  const image = await loadImage(file);
+  if (image.buffer.length > BLUESKY_MAX_IMAGE_SIZE) {
+    throw new Error(`Image ${image.fileName} exceeds ${BLUESKY_MAX_IMAGE_SIZE} bytes`);
+  }
+  const { blob } = await request("com.atproto.repo.uploadBlob", {
+    body: image.buffer,
+    contentType: image.mimeType,
+  });
+  return blob;
+}
+
+/**
+ * Publish a post with facets and an optional embedded image
+ * @param {string} text - Post text
+ * @param {Object} options
+ * @param {import("./images.js").RenderedImage|string} options.image - Rendered image or image path
+ * @param {string} options.alt - Alt text of the image
+ * @param {string} options.language - Language code of the post
+ * @returns {Promise<{uri: string, cid: string}>} Created record
+ */
+export async function createPost(text, options = {}) {
+  const { did } = await login();
+  const record = {
+    $type: "app.bsky.feed.post",
+    text,
+    createdAt: new Date().toISOString(),
+  };
+
+  const facets = buildFacets(text);
+  if (facets.length > 0) {
+    record.facets = facets;
+  }
+  if (options.language) {
+    record.langs = [options.language];
+  }
+  if (options.image) {
+    record.embed = {
+      $type: "app.bsky.embed.images",
+      images: [{ image: await uploadBlob(options.image), alt: options.alt || "" }],
+    };
+  }
+
+  const result = await request("com.atproto.repo.createRecord", {
+    body: { repo: did, collection: "app.bsky.feed.post", record },
+  });
+  console.log(`Bluesky post published: ${result.uri}`);
+  return result;
+}
@@ -0,0 +1,243 @@
+/**
+ * Telegram Bot Commands
+ * Answers the commands sent to the bot with IranCrypto API data:
+ * - /top: Most traded coins of the past 24h (table image)
+ * - /coin <symbol>: Price, volume and rank of a coin
+ * - /exchanges: Most active exchanges of the past 24h (table image)
+ * - /weekly: Most traded coins of the past week (table image)
+ * - /alert <condition>: Subscribe to an alert (see src/alerts.js)
+ * - /alerts: List the alerts of the chat
+ * - /unalert <number>: Remove an alert
+ * - /start, /help: List of the commands
+ */
+import { getPopular, getExchanges, getRecap } from "./api.js";
+import { getCached } from "./cache.js";
+import { renderBotImage } from "./content.js";
+import { parseAlert, getAlertConfig } from "./alerts.js";
+import { getENV } from "./env.js";
+import { translate, getItemName, LANGUAGES } from "./i18n.js";
+import { abbreviateNumber, numFormat, localizeDigits } from "./number.js";
+import { escapeHTML } from "./util.js";
+
+// Link sent as the caption of the table images
+const SITE_LINK = '<a href="https://irancrypto.market/popular/">irancrypto.market</a>';
+
+/**
+ * Reply of a command, sent as a photo when it has an image
+ * @typedef {Object} BotReply
+ * @property {string} text - HTML message or caption
+ * @property {import("./images.js").RenderedImage} [image] - Rendered image
+ */
+
+/**
+ * Rate limit and cache settings of the bot
+ * @returns {{rateLimit: number, rateWindow: number, cacheTTL: number}}
+ */
+export function getBotConfig() {
+  return {
+    // Commands a chat can send per window
+    rateLimit: parseInt(getENV("BOT_RATE_LIMIT", "5"), 10),
+    // Rate limit window in seconds
+    rateWindow: parseInt(getENV("BOT_RATE_WINDOW", "60"), 10),
+    // Seconds API results are reused for
+    cacheTTL: parseInt(getENV("BOT_CACHE_TTL", "300"), 10),
+  };
+}
+
+/**
+ * Parse a command message such as "/coin BTC" or "/top@IranCryptoBot"
+ * @param {string} text - Message text
+ * @returns {{command: string, args: string[], mention: string|null}|null} Null when the text isn't a command
+ */
+export function parseCommand(text) {
+  const match = /^\/(\w+)(?:@(\w+))?(?:\s+([\s\S]*))?$/.exec(String(text ?? "").trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    command: match[1].toLowerCase(),
+    args: (match[3] ?? "").split(/\s+/).filter(Boolean),
+    mention: match[2] ?? null,
+  };
+}
+
+/**
+ * Answer in Persian to users whose Telegram app is in Persian
+ * @param {Object} user - Telegram user of the message
+ * @returns {string} Language code
+ */
+export function getUserLanguage(user) {
+  return user?.language_code?.toLowerCase().startsWith(LANGUAGES.FA) ? LANGUAGES.FA : LANGUAGES.EN;
+}
+
+/**
+ * Fetch API data through the cache
+ * @param {string} name - Data name, part of the cache key
+ * @param {string} language
+ * @param {Function} load - async (language) => data
+ * @returns {Promise<Array>}
+ */
+function fetchData(name, language, load) {
+  return getCached(`${name}-${language}`, () => load(language), getBotConfig().cacheTTL);
+}
+
+/**
+ * Reply with a localized plain text, escaped for HTML messages
+ * @param {string} language
+ * @param {string} key - String key
+ * @param {Object} vars - Placeholder values
+ * @returns {BotReply}
+ */
+function replyText(language, key, vars = {}) {
+  return { text: escapeHTML(translate(language, key, vars)) };
+}
+
+/**
+ * Describe a coin of the popular list
+ * @param {string} symbol - Coin symbol or name
+ * @param {string} language
+ * @returns {Promise<BotReply>}
+ */
+async function describeCoin(symbol, language) {
+  if (!symbol) {
+    return replyText(language, "botCoinUsage");
+  }
+
+  // Rank among the coins traded in Iran, like the recap tables
+  const coins = (await fetchData("popular", language, getPopular)).filter((item) => item.has_iran);
+  const query = symbol.toLowerCase();
+  const index = coins.findIndex(
+    (item) =>
+      item.symbol?.toLowerCase() === query ||
+      item.name?.toLowerCase() === query ||
+      item.name_en?.toLowerCase() === query
+  );
+  if (index === -1) {
+    return replyText(language, "botCoinNotFound", { symbol: symbol.toUpperCase() });
+  }
+
+  const coin = coins[index];
+  return {
+    text: translate(language, "botCoin", {
+      name: escapeHTML(getItemName(coin, language)),
+      symbol: escapeHTML(coin.symbol),
+      rank: localizeDigits(index + 1, language),
+      price: "$" + localizeDigits(numFormat(coin.usd.price), language),
+      volume: `${abbreviateNumber(Math.round(coin.irr.volume), 1, true, language)} ${translate(language, "currency")}`,
+    }),
+  };
+}
+
+/**
+ * Render a table image of API data
+ * @param {string} target - Bot image target (see renderBotImage)
+ * @param {Array} data
+ * @param {string} language
+ * @returns {Promise<BotReply>}
+ */
+async function replyWithTable(target, data, language) {
+  const { image } = await renderBotImage(target, data, { language });
+  return { text: SITE_LINK, image };
+}
+
+/**
+ * Subscribe a private chat to an alert
+ * @param {string[]} args - Alert condition
+ * @param {string} language
+ * @param {Object} chat - Telegram chat of the message
+ * @returns {Promise<BotReply>}
+ */
+async function subscribeAlert(args, language, chat) {
+  if (chat?.type !== "private") {
+    return replyText(language, "botAlertPrivate");
+  }
+  const alert = parseAlert(args);
+  if (!alert) {
+    return replyText(language, "botAlertUsage");
+  }
+
+  const { getAlerts, saveAlert } = await import("./dynamodb.js");
+  const { maxPerChat, cooldown } = getAlertConfig();
+  const alerts = await getAlerts(chat.id);
+  if (alerts.some((item) => item.condition === alert.condition)) {
+    return replyText(language, "botAlertDuplicate");
+  }
+  if (alerts.length >= maxPerChat) {
+    return replyText(language, "botAlertLimit", { max: localizeDigits(maxPerChat, language) });
+  }
+
+  await saveAlert({ ...alert, chatId: chat.id, language });
+  return replyText(language, "botAlertCreated", {
+    condition: alert.condition,
+    hours: localizeDigits(Math.round((cooldown / 3600) * 10) / 10, language),
+  });
+}
+
+/**
+ * List the alerts of a chat, numbered for /unalert
+ * @param {string} language
+ * @param {Object} chat - Telegram chat of the message
+ * @returns {Promise<BotReply>}
+ */
+async function listAlerts(language, chat) {
+  const { getAlerts } = await import("./dynamodb.js");
+  const alerts = await getAlerts(chat.id);
+  if (!alerts.length) {
+    return replyText(language, "botAlertNone");
+  }
+  return replyText(language, "botAlertList", {
+    alerts: alerts.map((alert, index) => `${localizeDigits(index + 1, language)}. ${alert.condition}`).join("\n"),
+  });
+}
+
+/**
+ * Remove an alert of a chat by its number in /alerts
+ * @param {string} number
+ * @param {string} language
+ * @param {Object} chat - Telegram chat of the message
+ * @returns {Promise<BotReply>}
+ */
+async function unsubscribeAlert(number, language, chat) {
+  const { getAlerts, removeAlert } = await import("./dynamodb.js");
+  const alerts = await getAlerts(chat.id);
+  const alert = /^\d+$/.test(number ?? "") ? alerts[parseInt(number, 10) - 1] : undefined;
+  if (!alert) {
+    return replyText(language, "botAlertNotFound", { number: number ?? "" });
+  }
+  await removeAlert(alert.id);
+  return replyText(language, "botAlertRemoved", { condition: alert.condition });
+}
+
+const COMMANDS = {
+  start: async (args, language) => replyText(language, "botHelp"),
+  help: async (args, language) => replyText(language, "botHelp"),
+  top: async (args, language) => replyWithTable("top", await fetchData("popular", language, getPopular), language),
+  coin: async (args, language) => describeCoin(args[0], language),
+  exchanges: async (args, language) =>
+    replyWithTable("exchanges", await fetchData("exchanges", language, getExchanges), language),
+  weekly: async (args, language) =>
+    replyWithTable(
+      "weekly",
+      await fetchData("weekly-coin", language, (lang) => getRecap("coin", "weekly", lang)),
+      language
+    ),
+  alert: async (args, language, chat) => subscribeAlert(args, language, chat),
+  alerts: async (args, language, chat) => listAlerts(language, chat),
+  unalert: async (args, language, chat) => unsubscribeAlert(args[0], language, chat),
+};
+
+/**
+ * Answer a bot command
+ * @param {{command: string, args: string[]}} command - Parsed command
+ * @param {Object} options
+ * @param {string} options.language - Reply language
+ * @param {Object} options.chat - Telegram chat of the message
+ * @returns {Promise<BotReply|null>} Null for unknown commands
+ */
+export async function handleCommand({ command, args = [] }, { language = LANGUAGES.EN, chat = null } = {}) {
+  const answer = Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : null;
+  if (!answer) {
+    return null;
+  }
+  return await answer(args, language, chat);
+}
@@ -0,0 +1,37 @@
+/**
+ * In-memory Cache
+ * Keeps results for a while on a warm Lambda instance, cold starts begin empty
+ */
+
+const entries = new Map();
+
+/**
+ * Get a cached value or load and cache it
+ * Concurrent calls share one load, failed loads aren't cached
+ * @param {string} key
+ * @param {Function} load - async () => value
+ * @param {number} ttl - Time to live in seconds
+ * @returns {Promise<*>}
+ */
+export async function getCached(key, load, ttl) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return await entry.value;
+  }
+
+  const value = Promise.resolve().then(load);
+  entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+  try {
+    return await value;
+  } catch (error) {
+    entries.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Remove every cached value
+ */
+export function clearCache() {
+  entries.clear();
+}
@@ -0,0 +1,304 @@
+/**
+ * Content Calendar
+ * Loads and validates the declarative list of scheduled jobs (config/calendar.json)
+ * and decides which jobs are due on a given day
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getPopular, getRecap, getExchanges, RECAP_TYPES, RECAP_INTERVALS } from "./api.js";
+import { CALENDARS, toJalali, isLastDayOfJalaliMonth } from "./date.js";
+import { DEFAULT_LANGUAGE, normalizeLanguage } from "./i18n.js";
+import { getPlatformTargets } from "./publishers/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CALENDAR_PATH = path.join(__dirname, "../config/calendar.json");
+
+// Targets each registered publisher knows how to render
+export const PLATFORM_TARGETS = getPlatformTargets();
+
+// Data source methods available to jobs
+const SOURCES = { getPopular, getRecap, getExchanges };
+
+// Data sources available to jobs and their argument validation
+export const DATA_SOURCES = {
+  getPopular: (args) => args.length === 0 || "getPopular takes no arguments",
+  getExchanges: (args) => args.length === 0 || "getExchanges takes no arguments",
+  getRecap: (args) =>
+    (args.length === 2 && RECAP_TYPES.includes(args[0]) && RECAP_INTERVALS.includes(args[1])) ||
+    `getRecap expects [type, interval] with type in (${RECAP_TYPES.join(", ")}) and interval in (${RECAP_INTERVALS.join(", ")})`,
+};
+
+// Cron-like rule fields: day-of-month, month, day-of-week
+const RULE_FIELDS = [
+  { name: "day-of-month", min: 1, max: 31, allowLast: true },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 6 },
+];
+
+/**
+ * Parse a single cron-like field ("*", "5", "1,15", "1-5", "L")
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition from RULE_FIELDS
+ * @returns {{any: boolean, last: boolean, values: Set<number>}}
+ * @throws {Error} When the field is malformed or out of range
+ */
+function parseRuleField(value, field) {
+  const parsed = { any: false, last: false, values: new Set() };
+
+  for (const part of value.split(",")) {
+    if (part === "*") {
+      parsed.any = true;
+      continue;
+    }
+    if (part === "L" && field.allowLast) {
+      parsed.last = true;
+      continue;
+    }
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) {
+      throw new Error(`Invalid ${field.name} value "${part}"`);
+    }
+    const start = parseInt(range[1], 10);
+    const end = range[2] !== undefined ? parseInt(range[2], 10) : start;
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} "${part}" must be within ${field.min}-${field.max}`);
+    }
+    for (let i = start; i <= end; i++) {
+      parsed.values.add(i);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse a cron-like rule "<day-of-month> <month> <day-of-week>"
+ * Day-of-month accepts "L" for the last day of the month, day-of-week uses 0 for Sunday
+ * @param {string} rule - Rule string, e.g. "* * 5" (Fridays) or "L * *" (last day of month)
+ * @returns {Array<Object>} Parsed fields
+ * @throws {Error} When the rule is malformed
+ */
+export function parseRule(rule) {
+  if (typeof rule !== "string") {
+    throw new Error("Rule must be a string");
+  }
+  const parts = rule.trim().split(/\s+/);
+  if (parts.length !== RULE_FIELDS.length) {
+    throw new Error(`Rule "${rule}" must have ${RULE_FIELDS.length} fields: day-of-month month day-of-week`);
+  }
+  return parts.map((part, i) => parseRuleField(part, RULE_FIELDS[i]));
+}
+
+/**
+ * Check whether a rule matches a date
+ * With the jalali calendar, day-of-month, month and "L" follow the Solar Hijri calendar
+ * @param {string} rule - Cron-like rule
+ * @param {moment.Moment} date - Date in the schedule timezone
+ * @param {string} calendar - "gregorian" (default) or "jalali"
+ * @returns {boolean}
+ */
+export function matchesRule(rule, date, calendar = CALENDARS.GREGORIAN) {
+  const [dayOfMonth, month, dayOfWeek] = parseRule(rule);
+  const matches = (field, value) => field.any || field.values.has(value);
+
+  let day = date.date();
+  let monthNumber = date.month() + 1;
+  let isLastDay = day === date.daysInMonth();
+  if (calendar === CALENDARS.JALALI) {
+    const jalali = toJalali(date, date.tz());
+    day = jalali.day;
+    monthNumber = jalali.month;
+    isLastDay = isLastDayOfJalaliMonth(date, date.tz());
+  }
+  const dayMatches = matches(dayOfMonth, day) || (dayOfMonth.last && isLastDay);
+
+  return dayMatches && matches(month, monthNumber) && matches(dayOfWeek, date.day());
+}
+
+/**
+ * Parse a "HH:mm" posting time
+ * @param {string} time
+ * @returns {{hour: number, minute: number}|null} Null when the time is invalid
+ */
+export function parseTime(time) {
+  const match = typeof time === "string" ? time.match(/^([01]?\d|2[0-3]):([0-5]\d)$/) : null;
+  if (!match) {
+    return null;
+  }
+  return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+}
+
+/**
+ * Validate a calendar object
+ * @param {Object} calendar - Parsed calendar
+ * @returns {Object} The same calendar with defaults applied
+ * @throws {Error} Listing every invalid job
+ */
+export function validateCalendar(calendar) {
+  if (!calendar || !Array.isArray(calendar.jobs)) {
+    throw new Error("Content calendar must have a \"jobs\" array");
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  calendar.jobs.forEach((job, index) => {
+    const label = job?.name ? `Job "${job.name}"` : `Job #${index + 1}`;
+
+    if (!job || typeof job !== "object") {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!job.name || typeof job.name !== "string") {
+      errors.push(`${label}: "name" is required`);
+    } else if (names.has(job.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(job.name);
+    }
+
+    try {
+      parseRule(job.when);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+
+    const method = job.source?.method;
+    if (!DATA_SOURCES[method]) {
+      errors.push(`${label}: unknown source method "${method}", must be one of ${Object.keys(DATA_SOURCES).join(", ")}`);
+    } else {
+      const args = job.source.args ?? [];
+      const valid = Array.isArray(args) ? DATA_SOURCES[method](args) : "source args must be an array";
+      if (valid !== true) {
+        errors.push(`${label}: ${valid}`);
+      }
+    }
+
+    const targets = PLATFORM_TARGETS[job.platform];
+    if (!targets) {
+      errors.push(`${label}: unknown platform "${job.platform}", must be one of ${Object.keys(PLATFORM_TARGETS).join(", ")}`);
+    } else if (!targets.includes(job.target)) {
+      errors.push(`${label}: unknown target "${job.target}" for ${job.platform}, must be one of ${targets.join(", ")}`);
+    }
+
+    if (!parseTime(job.postAt)) {
+      errors.push(`${label}: "postAt" must be a time in HH:mm format`);
+    }
+
+    if (job.dayOffset !== undefined && (!Number.isInteger(job.dayOffset) || job.dayOffset < 0)) {
+      errors.push(`${label}: "dayOffset" must be a non-negative integer`);
+    }
+
+    if (job.calendar !== undefined && ![CALENDARS.GREGORIAN, CALENDARS.JALALI].includes(job.calendar)) {
+      errors.push(`${label}: "calendar" must be "${CALENDARS.GREGORIAN}" or "${CALENDARS.JALALI}"`);
+    }
+
+    try {
+      normalizeLanguage(job.language);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid content calendar:\n- ${errors.join("\n- ")}`);
+  }
+
+  calendar.jobs = calendar.jobs.map((job) => ({
+    dayOffset: 1,
+    enabled: true,
+    calendar: CALENDARS.GREGORIAN,
+    ...job,
+    language: normalizeLanguage(job.language ?? DEFAULT_LANGUAGE),
+    source: { args: [], ...job.source },
+  }));
+  return calendar;
+}
+
+/**
+ * Load and validate the content calendar file
+ * @param {string} filePath - Path to the JSON calendar
+ * @returns {Object} Validated calendar
+ * @throws {Error} When the file is missing, not JSON or invalid
+ */
+export function loadCalendar(filePath = DEFAULT_CALENDAR_PATH) {
+  let calendar;
+  try {
+    calendar = JSON.parse(fs.readFileSync(filePath, { encoding: "utf-8" }));
+  } catch (error) {
+    throw new Error(`Could not read content calendar ${filePath}: ${error.message}`);
+  }
+  return validateCalendar(calendar);
+}
+
+/**
+ * Get the enabled jobs whose rule matches the given date
+ * @param {Object} calendar - Validated calendar
+ * @param {moment.Moment} date - Date in the schedule timezone
+ * @returns {Array<Object>} Due jobs
+ */
+export function getDueJobs(calendar, date) {
+  return calendar.jobs.filter((job) => job.enabled && matchesRule(job.when, date, job.calendar));
+}
+
+/**
+ * Get the posting time of a job as a moment in the schedule timezone
+ * @param {Object} job - Validated job
+ * @param {moment.Moment} date - Date the scheduler runs on, in the schedule timezone
+ * @returns {moment.Moment}
+ */
+export function getJobScheduleTime(job, date) {
+  const { hour, minute } = parseTime(job.postAt);
+  return date
+    .clone()
+    .add(job.dayOffset, "day")
+    .set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+/**
+ * Key of a job's post on a scheduler run, so a retried run doesn't queue the post again
+ * @param {Object} job - Validated job
+ * @param {moment.Moment} date - Date the scheduler runs on, in the schedule timezone
+ * @returns {string} e.g. "daily-trends-twitter-twitter-trends-2024-05-16"
+ */
+export function getJobPostKey(job, date) {
+  return `${job.name}-${job.platform}-${job.target}-${date.format("YYYY-MM-DD")}`;
+}
+
+/**
+ * Key identifying a job's data source, jobs with the same key share one API call
+ * @param {Object} job - Validated job
+ * @returns {string}
+ */
+export function getSourceKey(job) {
+  return [job.source.method, ...job.source.args, job.language].join(":");
+}
+
+/**
+ * Period covered by the data of a job, compared with the previous period of the same length
+ * @param {Object} job - Validated job
+ * @returns {string} "day", "week" or "month" (see SNAPSHOT_PERIODS)
+ */
+export function getSourcePeriod(job) {
+  if (job.source.method === "getRecap") {
+    return job.source.args[1] === "weekly" ? "week" : "month";
+  }
+  return "day";
+}
+
+/**
+ * Fetch the data of a job, sharing the result between jobs with the same source
+ * @param {Object} job - Validated job
+ * @param {Map} cache - Pending/fetched data by source key
+ * @returns {Promise<object[]>}
+ */
+export function fetchJobData(job, cache = new Map()) {
+  const key = getSourceKey(job);
+  if (!cache.has(key)) {
+    cache.set(key, SOURCES[job.source.method](...job.source.args, job.language));
+  }
+  return cache.get(key);
+}
@@ -0,0 +1,202 @@
+/**
+ * Chart Renderer
+ * Draws bar, pie and line charts as inline SVG markup for the chart templates,
+ * so Chromium screenshots them without loading any chart library
+ */
+import { escapeHTML } from "./util.js";
+
+// Colors of the bars and slices, in order
+export const CHART_PALETTE = [
+  "#00C2A8",
+  "#F0B90B",
+  "#5B8DEF",
+  "#2EBD85",
+  "#F6465D",
+  "#A66CFF",
+  "#FF8A3D",
+  "#7FD1E3",
+  "#E36BAE",
+  "#C0C0C0",
+];
+
+// Colors of the labels and grid on the dark chart templates
+const DEFAULT_COLORS = {
+  text: "#FFFFFF",
+  muted: "#DCDCDC",
+  grid: "rgba(255, 255, 255, 0.15)",
+  line: "#00C2A8",
+};
+
+/**
+ * Value of a chart
+ * @typedef {Object} ChartValue
+ * @property {string} label - Bar, slice or point label
+ * @property {number} value
+ * @property {string} [valueLabel] - Formatted value shown on the chart (default: the value)
+ */
+
+/**
+ * Round a coordinate for compact markup
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Render an SVG element
+ * @param {number} width
+ * @param {number} height
+ * @param {string[]} children - SVG markup
+ * @param {string} direction - "ltr" or "rtl", the start and end text anchors follow it (default: the page direction)
+ * @returns {string}
+ */
+function svg(width, height, children, direction = null) {
+  const attribute = direction ? ` direction="${direction}"` : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"${attribute}>${children.join("")}</svg>`;
+}
+
+/**
+ * Render an SVG text
+ * @param {number} x
+ * @param {number} y
+ * @param {string} text - Plain text, escaped here
+ * @param {Object} attributes - Extra attributes, e.g. {"text-anchor": "end"}
+ * @returns {string}
+ */
+function text(x, y, value, attributes = {}) {
+  const extra = Object.entries(attributes)
+    .map(([name, attribute]) => ` ${name}="${escapeHTML(attribute)}"`)
+    .join("");
+  return `<text x="${round(x)}" y="${round(y)}" dominant-baseline="middle"${extra}>${escapeHTML(value)}</text>`;
+}
+
+/**
+ * Render a horizontal bar chart, one bar per value with its label and formatted value
+ * @param {ChartValue[]} values - Bars from top to bottom
+ * @param {Object} options
+ * @param {number} options.width - Chart width in px (default: 900)
+ * @param {number} options.height - Chart height in px (default: 600)
+ * @param {number} options.labelWidth - Width of the label column in px (default: 200)
+ * @param {boolean} options.rtl - Draw the labels on the right and grow the bars to the left
+ * @param {Object} options.colors - Label colors, see DEFAULT_COLORS
+ * @param {string[]} options.palette - Bar colors (default: CHART_PALETTE)
+ * @returns {string} SVG markup
+ */
+export function renderBarChart(values, options = {}) {
+  const { width = 900, height = 600, labelWidth = 200, rtl = false, palette = CHART_PALETTE } = options;
+  const colors = { ...DEFAULT_COLORS, ...options.colors };
+  // Room for the value label at the end of the longest bar
+  const valueWidth = 200;
+  const gap = 16;
+  const maxBar = width - labelWidth - valueWidth - gap * 2;
+  const max = Math.max(...values.map((item) => item.value), 0);
+  const rowHeight = height / Math.max(values.length, 1);
+  const barHeight = rowHeight * 0.6;
+
+  // Mirror the x axis for right-to-left languages, the text anchors are mirrored by the direction
+  const x = (position) => (rtl ? width - position : position);
+
+  const children = values.flatMap((item, index) => {
+    const center = rowHeight * index + rowHeight / 2;
+    const length = max > 0 ? (item.value / max) * maxBar : 0;
+    const start = labelWidth + gap;
+    return [
+      text(x(labelWidth), center, item.label, { "text-anchor": "end", fill: colors.text, "font-size": 24 }),
+      `<rect x="${round(rtl ? width - start - length : start)}" y="${round(center - barHeight / 2)}" width="${round(length)}" height="${round(barHeight)}" rx="6" fill="${palette[index % palette.length]}"/>`,
+      text(x(start + length + gap / 2), center, item.valueLabel ?? String(item.value), {
+        "text-anchor": "start",
+        fill: colors.muted,
+        "font-size": 20,
+      }),
+    ];
+  });
+  return svg(width, height, children, rtl ? "rtl" : "ltr");
+}
+
+/**
+ * Render a donut chart, the slices start at the top and go clockwise
+ * @param {ChartValue[]} values - Slices
+ * @param {Object} options
+ * @param {number} options.size - Chart width and height in px (default: 520)
+ * @param {number} options.thickness - Ring thickness in px (default: 110)
+ * @param {string} options.centerLabel - Text in the middle of the ring
+ * @param {Object} options.colors - Label colors, see DEFAULT_COLORS
+ * @param {string[]} options.palette - Slice colors (default: CHART_PALETTE)
+ * @returns {string} SVG markup
+ */
+export function renderPieChart(values, options = {}) {
+  const { size = 520, thickness = 110, centerLabel = null, palette = CHART_PALETTE } = options;
+  const colors = { ...DEFAULT_COLORS, ...options.colors };
+  const radius = (size - thickness) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const total = values.reduce((acc, item) => acc + item.value, 0);
+  const center = size / 2;
+
+  let offset = 0;
+  const children = values.map((item, index) => {
+    const length = total > 0 ? (item.value / total) * circumference : 0;
+    // Each slice is a dash of the ring stroke, rotated to start at 12 o'clock
+    const slice = `<circle cx="${center}" cy="${center}" r="${round(radius)}" fill="none" stroke="${palette[index % palette.length]}" stroke-width="${thickness}" stroke-dasharray="${round(length)} ${round(circumference)}" stroke-dashoffset="${round(-offset)}" transform="rotate(-90 ${center} ${center})"/>`;
+    offset += length;
+    return slice;
+  });
+  if (centerLabel) {
+    children.push(text(center, center, centerLabel, { "text-anchor": "middle", fill: colors.text, "font-size": 30 }));
+  }
+  return svg(size, size, children);
+}
+
+/**
+ * Render a line chart with its area, from a zero baseline, labeled under each point
+ * @param {ChartValue[]} values - Points from left to right
+ * @param {Object} options
+ * @param {number} options.width - Chart width in px (default: 900)
+ * @param {number} options.height - Chart height in px (default: 560)
+ * @param {Object} options.colors - Line and label colors, see DEFAULT_COLORS
+ * @returns {string} SVG markup
+ */
+export function renderLineChart(values, options = {}) {
+  const { width = 900, height = 560 } = options;
+  const colors = { ...DEFAULT_COLORS, ...options.colors };
+  // Room for the value labels above and the point labels below, and for half a value label on the sides
+  const padding = { top: 50, bottom: 50, side: 100 };
+  const plotWidth = width - padding.side * 2;
+  const plotHeight = height - padding.top - padding.bottom;
+  const max = Math.max(...values.map((item) => item.value), 0);
+  const step = values.length > 1 ? plotWidth / (values.length - 1) : 0;
+
+  const points = values.map((item, index) => ({
+    ...item,
+    x: padding.side + (values.length > 1 ? step * index : plotWidth / 2),
+    y: padding.top + plotHeight - (max > 0 ? (item.value / max) * plotHeight : 0),
+  }));
+  const baseline = padding.top + plotHeight;
+  const line = points.map((point) => `${round(point.x)},${round(point.y)}`).join(" ");
+
+  const children = [0, 0.25, 0.5, 0.75, 1].map((ratio) => {
+    const y = round(padding.top + plotHeight * (1 - ratio));
+    return `<line x1="${padding.side}" y1="${y}" x2="${width - padding.side}" y2="${y}" stroke="${colors.grid}" stroke-width="1"/>`;
+  });
+  if (points.length) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    children.push(
+      `<polygon points="${round(first.x)},${baseline} ${line} ${round(last.x)},${baseline}" fill="${colors.line}" fill-opacity="0.15"/>`,
+      `<polyline points="${line}" fill="none" stroke="${colors.line}" stroke-width="4" stroke-linejoin="round" stroke-linecap="round"/>`
+    );
+  }
+  for (const point of points) {
+    children.push(
+      `<circle cx="${round(point.x)}" cy="${round(point.y)}" r="7" fill="${colors.line}"/>`,
+      text(point.x, point.y - 26, point.valueLabel ?? String(point.value), {
+        "text-anchor": "middle",
+        fill: colors.text,
+        "font-size": 20,
+      }),
+      text(point.x, baseline + 28, point.label, { "text-anchor": "middle", fill: colors.muted, "font-size": 20 })
+    );
+  }
+  return svg(width, height, children);
+}
@@ -1,40 +1,522 @@
-import { tweet } from "./twitter.js";
-import { publishImage } from "./instagram.js";
+/**
+ * Content Renderer
+ * Builds the text and image of each post from the API data, publishers deliver them
+ */
 import { writeTweet, writeCaption } from "./ai/index.js";
-import { abbreviateNumber, numFormat } from "./number.js";
-import { createImageFromTemplate, getRandomTheme } from "./html.js";
-import { getENV } from "./env.js";
-import TelegramBot from "node-telegram-bot-api";
+import { abbreviateNumber, numFormat, localizeDigits } from "./number.js";
+import { renderImages } from "./html.js";
+import { getRandomTheme } from "./templates.js";
 import moment from "moment";
-import { captureError } from "./sentry.js";
+import { formatDateLabel, formatJalali, describeDate, describePeriod, CALENDARS } from "./date.js";
+import { translate, fillPlaceholders, getItemName, isRTL, normalizeLanguage, LANGUAGES } from "./i18n.js";
+import { getContentHash, escapeHTML } from "./util.js";
+import { describeImage } from "./alt.js";
+import { getENV } from "./env.js";
+import { getTelegramChannels } from "./telegram.js";
+import { describeDeltas, describeItemDelta, getItemDelta, getRankMovement } from "./deltas.js";
+import { renderBarChart, renderPieChart, renderLineChart, CHART_PALETTE } from "./charts.js";
+import { getRecentSnapshots } from "./snapshots.js";
 
-const bot = new TelegramBot(getENV("TELEGRAM_BOT_TOKEN"));
+/**
+ * Rendered post handed to a publisher
+ * @typedef {Object} Content
+ * @property {string} platform - Platform name
+ * @property {string} target - Post target/type
+ * @property {string} language - Content language
+ * @property {string} text - Tweet, caption or message text
+ * @property {import("./images.js").RenderedImage|null} image - Rendered image
+ * @property {string|null} [alt] - Alt text of the image
+ * @property {{image: import("./images.js").RenderedImage, alt: string}[]} [slides] - Chart images posted after the image, as a carousel
+ * @property {string[]} [replies] - Replies posted under the text, for threads
+ * @property {string} [threadKey] - Key of the stored thread progress
+ * @property {TelegramMessage[]} [messages] - Telegram messages, one per chat
+ * @property {string} [reportDate] - Day the recap reports on (YYYY-MM-DD), or the detection time of breaking news
+ */
+
+/**
+ * Telegram message of a chat, each chat has its own image and caption
+ * @typedef {Object} TelegramMessage
+ * @property {string|null} chatId - Chat id, null for previews without configured chats
+ * @property {string} text - HTML caption
+ * @property {import("./images.js").RenderedImage} image - Rendered image
+ * @property {string} alt - Alt text of the image
+ * @property {boolean} pin - Pin the message
+ */
 
 // Default line break style for tweets (CRLF for Twitter compatibility)
 const TWEET_LINE_BREAK = "\r\n";
 
+// Maximum length of a Mastodon status on default instances
+export const MASTODON_MAX_LENGTH = 500;
+
+// Maximum length of a Bluesky post in graphemes
+export const BLUESKY_MAX_GRAPHEMES = 300;
+
+// Coin table template of each platform, square by default, the manifest sizes the viewport
+// Timeline platforms get a 16:9 variant so the image isn't cropped
+const PLATFORM_IMAGES = {
+  default: { template: "table-coin" },
+  twitter: { template: "table-coin-wide" },
+  mastodon: { template: "table-coin-wide" },
+  // Bluesky rejects images over 1MB
+  bluesky: { template: "table-coin-wide", deviceScaleFactor: 2, quality: 85 },
+};
+
+// Recap tables and charts are posted on Instagram, which only takes JPEG photos whatever IMAGE_FORMAT is
+const RECAP_IMAGE_OPTIONS = { format: "jpeg" };
+
+// Coin table templates a chat can choose instead of the platform one
+const COIN_TABLES = ["table-coin", "table-coin-wide"];
+
+// Events shown on the breaking news image
+const BREAKING_MAX_EVENTS = 4;
+
+// Coins of the bar chart, exchanges of the pie chart before "Others", and days of the line chart
+const CHART_COINS = 10;
+const CHART_EXCHANGES = 5;
+const CHART_DAYS = 7;
+
+// Colors of the trend column, readable on every theme
+const TREND_COLORS = {
+  up: "#2EBD85",
+  down: "#F6465D",
+  same: "#A0A0A0",
+  new: "#F0B90B",
+};
+
+/**
+ * Format a date label for images and captions
+ * Persian content always uses the Jalali calendar with Persian digits
+ * @param {Date|moment.Moment} date
+ * @param {string} language
+ * @returns {string}
+ */
+function getDateLabel(date, language) {
+  if (language === LANGUAGES.FA) {
+    return localizeDigits(formatDateLabel(date, { calendar: CALENDARS.JALALI }), language);
+  }
+  return formatDateLabel(date);
+}
+
+/**
+ * Format an IRR volume with a long suffix and the localized currency
+ * @param {number} volume
+ * @param {number} decimal
+ * @param {string} language
+ * @returns {string}
+ */
+function formatVolume(volume, decimal, language) {
+  return `${abbreviateNumber(Math.round(volume), decimal, true, language)} ${translate(language, "currency")}`;
+}
+
+/**
+ * Absolute URL of an API icon
+ * @param {string} icon
+ * @returns {string}
+ */
+function getIconURL(icon) {
+  return icon.startsWith('http') ? icon : `https://irancrypto.market/${icon}`;
+}
+
+/**
+ * Trend column of a table row: arrow with the rank movement, and its description for the alt text
+ * The arrows are in the unicode-range of the bundled fonts (static/fonts/fonts.css)
+ * @param {import("./deltas.js").ItemDelta|null} delta
+ * @param {string} language
+ * @returns {{trend: string, trendColor: string, movement: string}}
+ */
+export function getTrendCell(delta, language) {
+  const movement = getRankMovement(delta);
+  if (movement === null) {
+    return {
+      trend: translate(language, "trendNew"),
+      trendColor: TREND_COLORS.new,
+      movement: translate(language, "movementNew"),
+    };
+  }
+  if (movement === 0) {
+    return { trend: "—", trendColor: TREND_COLORS.same, movement: translate(language, "movementSame") };
+  }
+  const places = localizeDigits(Math.abs(movement), language);
+  return movement > 0
+    ? { trend: `↑ ${places}`, trendColor: TREND_COLORS.up, movement: translate(language, "movementUp", { places }) }
+    : { trend: `↓ ${places}`, trendColor: TREND_COLORS.down, movement: translate(language, "movementDown", { places }) };
+}
+
+/**
+ * Map popular/recap items to the rows of the coin table template
+ * @param {Array} data - Items which are traded in Iran
+ * @param {string} language
+ * @param {import("./deltas.js").Deltas|null} deltas - Adds the trend column of the rows
+ * @returns {Array} Top 10 rows
+ */
+function getTokenRows(data, language, deltas = null) {
+  return data
+    .map((item) => ({
+      name: getItemName(item, language),
+      price: "$" + localizeDigits(numFormat(item.usd.price), language),
+      volume: formatVolume(item.irr.volume, 1, language),
+      icon: getIconURL(item.icon),
+      ...(deltas ? getTrendCell(getItemDelta(deltas, item), language) : {}),
+    }))
+    .slice(0, 10);
+}
+
+/**
+ * Total traded volume of the coins traded in Iran
+ * Uses BigInt to avoid precision issues with large numbers
+ * @param {Array} data - Popular items data
+ * @returns {bigint} Volume in IRR
+ */
+function getIranVolume(data) {
+  return data
+    .filter((item) => item.has_iran)
+    .reduce((acc, item) => acc + BigInt(Math.round(item.irr.volume || 0)), 0n);
+}
+
+/**
+ * Image of a content: a render job with the language of its alt text
+ * @typedef {import("./html.js").RenderJob & {language: string}} ImageJob
+ */
+
+/**
+ * Build the render job of a template image
+ * @param {string} templateName
+ * @param {Object} data - Template data
+ * @param {string} outputFileName
+ * @param {string} language - Language of the alt text
+ * @param {Object} options - Theme, format, quality and deviceScaleFactor of the render
+ * @returns {ImageJob}
+ */
+function createImageJob(templateName, data, outputFileName, language, options = {}) {
+  return { template: templateName, data, outputFileName, language, ...options };
+}
+
+/**
+ * Render images in parallel pages together with their alt texts, described from the same data
+ * The whole batch is validated before the first render starts (see renderImages)
+ * @param {ImageJob[]} jobs
+ * @returns {Promise<Array<{image: import("./images.js").RenderedImage, alt: string}>>} In the order of the jobs
+ */
+async function renderImageJobs(jobs) {
+  const images = await renderImages(jobs);
+  return await Promise.all(
+    images.map(async (image, index) => ({
+      image,
+      alt: await describeImage(jobs[index].data, { language: jobs[index].language }),
+    }))
+  );
+}
+
+/**
+ * Render an image together with its alt text
+ * @param {ImageJob} job
+ * @returns {Promise<{image: import("./images.js").RenderedImage, alt: string}>}
+ */
+async function renderImage(job) {
+  const [rendered] = await renderImageJobs([job]);
+  return rendered;
+}
+
+/**
+ * Render job of the daily recap table of the coins traded in Iran
+ * @param {Array} data - Popular items data
+ * @param {string} date - Date label
+ * @param {string} language
+ * @param {string} platform - Platform the image is sized for (see PLATFORM_IMAGES)
+ * @param {Object} overrides
+ * @param {string} overrides.template - Coin table template instead of the platform one (see COIN_TABLES)
+ * @param {string} overrides.theme - Theme instead of a random one of the template
+ * @param {import("./deltas.js").Deltas|null} overrides.deltas - Changes since the previous day, shown as a trend column
+ * @returns {ImageJob}
+ * @throws {Error} When the template isn't a coin table, the theme is checked when the job renders
+ */
+function getDailyCoinsJob(data, date, language, platform = "default", overrides = {}) {
+  const image = { ...(PLATFORM_IMAGES[platform] ?? PLATFORM_IMAGES.default) };
+  if (overrides.template) {
+    if (!COIN_TABLES.includes(overrides.template)) {
+      throw new Error(`Unknown coin table template: ${overrides.template}`);
+    }
+    image.template = overrides.template;
+  }
+  const { template, ...options } = image;
+  const fileName = ["daily-coins", platform === "default" ? null : platform, overrides.template, overrides.theme]
+    .filter(Boolean)
+    .join("-");
+  return createImageJob(
+    template,
+    {
+      tokens: getTokenRows(data.filter((item) => item.has_iran), language, overrides.deltas),
+      trends: Boolean(overrides.deltas),
+      headers: translate(language, "coinHeaders"),
+      title: translate(language, "dailyRecapTitle"),
+      subtitle: translate(language, "dailySubtitle", {
+        volume: formatVolume(Number(getIranVolume(data)), 0, language),
+      }),
+      lastUpdate: date,
+      rtl: isRTL(language),
+    },
+    `${fileName}.jpg`,
+    language,
+    { ...options, theme: overrides.theme ?? getRandomTheme(template) }
+  );
+}
+
+/**
+ * Render job of the weekly recap table of the coins traded in Iran
+ * @param {Array} data - Weekly coin recap data
+ * @param {string} language
+ * @param {string} outputFileName
+ * @param {import("./deltas.js").Deltas|null} deltas - Changes since the previous week, shown as a trend column
+ * @returns {ImageJob}
+ */
+function getWeeklyCoinsJob(data, language, outputFileName = "weekly-coins.jpg", deltas = null) {
+  return createImageJob(
+    "table-coin",
+    {
+      tokens: getTokenRows(data.filter((item) => item.has_iran), language, deltas),
+      trends: Boolean(deltas),
+      headers: translate(language, "coinHeaders"),
+      title: translate(language, "weeklyRecapTitle"),
+      subtitle: translate(language, "weeklySubtitle", {
+        volume: formatVolume(Number(getIranVolume(data)), 0, language),
+      }),
+      lastUpdate: getDateLabel(new Date(), language),
+      rtl: isRTL(language),
+    },
+    outputFileName,
+    language,
+    { ...RECAP_IMAGE_OPTIONS, theme: getRandomTheme("table-coin") }
+  );
+}
+
+/**
+ * Total traded volume of the exchanges
+ * Uses BigInt to avoid precision issues with large numbers
+ * @param {Array} data - Exchanges data
+ * @returns {number} Volume in IRR
+ */
+function getExchangesVolume(data) {
+  return Number(data.reduce((acc, item) => acc + BigInt(Math.round(item.volume || 0)), 0n));
+}
+
+/**
+ * Render job of the table of the top 5 exchanges
+ * @param {Array} data - Exchanges data
+ * @param {string} language
+ * @param {string} interval - "daily" or "monthly"
+ * @param {string} outputFileName
+ * @returns {ImageJob}
+ */
+function getExchangesJob(data, language, interval, outputFileName = `${interval}-exchange.jpg`) {
+  const exchanges = data
+    .map((item) => ({
+      name: getItemName(item, language),
+      volume: `${localizeDigits(numFormat(Math.round(item.volume)), language)} ${translate(language, "currency")}`,
+      logo: item.logo,
+    }))
+    .slice(0, 5);
+
+  return createImageJob(
+    "table-exchange",
+    {
+      exchanges,
+      headers: translate(language, "exchangeHeaders"),
+      title: translate(language, interval === "daily" ? "dailyExchangeTitle" : "monthlyExchangeTitle"),
+      subtitle: translate(language, interval === "daily" ? "dailySubtitle" : "monthlySubtitle", {
+        volume: formatVolume(getExchangesVolume(data), 0, language),
+      }),
+      lastUpdate: getDateLabel(new Date(), language),
+      rtl: isRTL(language),
+    },
+    outputFileName,
+    language,
+    RECAP_IMAGE_OPTIONS
+  );
+}
+
+/**
+ * Rows of a chart for its alt text
+ * @param {import("./charts.js").ChartValue[]} values
+ * @param {Function} format - Formats the value of a row
+ * @returns {{name: string, value: string}[]}
+ */
+function getChartRows(values, format) {
+  return values.map((item) => ({ name: item.label, value: format(item.value) }));
+}
+
+/**
+ * Render job of the bar chart of the top 10 coins traded in Iran by volume
+ * @param {Array} data - Popular items or weekly coin recap data
+ * @param {string} language
+ * @param {string} interval - "daily" or "weekly"
+ * @param {string} outputFileName
+ * @returns {ImageJob}
+ */
+function getCoinsChartJob(data, language, interval, outputFileName = `${interval}-coins-chart.jpg`) {
+  const values = data
+    .filter((item) => item.has_iran)
+    .slice(0, CHART_COINS)
+    .map((item) => ({
+      label: getItemName(item, language),
+      value: Number(item.irr.volume || 0),
+      valueLabel: formatVolume(item.irr.volume || 0, 1, language),
+    }));
+
+  return createImageJob(
+    "chart-bar",
+    {
+      chart: {
+        kind: "bar",
+        svg: renderBarChart(values, { rtl: isRTL(language) }),
+        rows: getChartRows(values, (value) => formatVolume(value, 1, language)),
+      },
+      title: translate(language, "coinsChartTitle"),
+      subtitle: translate(language, interval === "daily" ? "dailySubtitle" : "weeklySubtitle", {
+        volume: formatVolume(Number(getIranVolume(data)), 0, language),
+      }),
+      lastUpdate: getDateLabel(new Date(), language),
+      rtl: isRTL(language),
+    },
+    outputFileName,
+    language,
+    RECAP_IMAGE_OPTIONS
+  );
+}
+
+/**
+ * Render job of the pie chart of the market share of the top 5 exchanges, the rest grouped as "Others"
+ * @param {Array} data - Exchanges data, sorted by volume
+ * @param {string} language
+ * @param {string} interval - "daily" or "monthly"
+ * @param {string} outputFileName
+ * @returns {ImageJob}
+ */
+function getExchangesChartJob(data, language, interval, outputFileName = `${interval}-exchange-chart.jpg`) {
+  const total = getExchangesVolume(data);
+  const values = data
+    .slice(0, CHART_EXCHANGES)
+    .map((item) => ({ label: getItemName(item, language), value: Number(item.volume || 0) }));
+  const others = total - values.reduce((acc, item) => acc + item.value, 0);
+  if (others > 0) {
+    values.push({ label: translate(language, "chartOthers"), value: others });
+  }
+  const getShare = (value) =>
+    `${localizeDigits(total > 0 ? Math.round((value / total) * 1000) / 10 : 0, language)}%`;
+
+  return createImageJob(
+    "chart-pie",
+    {
+      chart: {
+        kind: "pie",
+        svg: renderPieChart(values, { size: 460, thickness: 100 }),
+        legend: values.map((item, index) => ({
+          label: item.label,
+          share: getShare(item.value),
+          color: CHART_PALETTE[index % CHART_PALETTE.length],
+        })),
+        rows: getChartRows(values, getShare),
+      },
+      title: translate(language, "exchangesChartTitle"),
+      subtitle: translate(language, interval === "daily" ? "dailySubtitle" : "monthlySubtitle", {
+        volume: formatVolume(total, 0, language),
+      }),
+      lastUpdate: getDateLabel(new Date(), language),
+      rtl: isRTL(language),
+    },
+    outputFileName,
+    language,
+    RECAP_IMAGE_OPTIONS
+  );
+}
+
+/**
+ * Daily total volumes of the coins traded in Iran, from the stored getPopular snapshots
+ * @param {string} language - Language of the snapshot source
+ * @param {number} days - Days to look back, including today
+ * @returns {Promise<{date: string, volume: number}[]>} Oldest first, missing days skipped
+ */
+async function getVolumeHistory(language, days = CHART_DAYS) {
+  const snapshots = await getRecentSnapshots(`getPopular:${language}`, days);
+  return snapshots.map((snapshot) => ({ date: snapshot.date, volume: Number(getIranVolume(snapshot.data)) }));
+}
+
+/**
+ * Render job of the line chart of the daily total volume
+ * @param {{date: string, volume: number}[]} history - Daily volumes, oldest first (see getVolumeHistory)
+ * @param {string} language
+ * @param {string} outputFileName
+ * @returns {ImageJob}
+ */
+function getVolumeChartJob(history, language, outputFileName = "volume-chart.jpg") {
+  const values = history.map(({ date, volume }) => ({
+    // Noon UTC keeps the day when it is converted to the Jalali calendar
+    label:
+      language === LANGUAGES.FA
+        ? localizeDigits(formatJalali(new Date(`${date}T12:00:00Z`), "MM/DD", "UTC"), language)
+        : moment(date, "YYYY-MM-DD").format("MMM D"),
+    value: volume,
+    valueLabel: String(abbreviateNumber(volume, 1, false, language)),
+  }));
+
+  return createImageJob(
+    "chart-line",
+    {
+      chart: {
+        kind: "line",
+        svg: renderLineChart(values),
+        rows: getChartRows(values, (value) => formatVolume(value, 1, language)),
+      },
+      title: translate(language, "volumeChartTitle"),
+      subtitle: translate(language, "volumeChartSubtitle", { days: localizeDigits(values.length, language) }),
+      lastUpdate: getDateLabel(new Date(), language),
+      rtl: isRTL(language),
+    },
+    outputFileName,
+    language,
+    RECAP_IMAGE_OPTIONS
+  );
+}
+
+/**
+ * Render job of the volume line chart from the stored snapshots
+ * The chart needs at least two daily snapshots, it is skipped without them or when they can't be read
+ * @param {string} language
+ * @returns {Promise<ImageJob|null>}
+ */
+async function getVolumeChartSlideJob(language) {
+  try {
+    const history = await getVolumeHistory(language);
+    return history.length >= 2 ? getVolumeChartJob(history, language) : null;
+  } catch (error) {
+    console.warn(`Volume chart skipped: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Build dynamic AI prompt for tweets with real data and date context
- * @param {string} type - Tweet type ('trends' or 'vol')
+ * @param {string} type - Tweet type ('trends', 'vol' or 'thread' headline)
  * @param {Array} data - Popular items data
  * @param {number} totalVolIRR - Total volume in IRR
+ * @param {string} language - Content language
+ * @param {import("./deltas.js").Deltas|null} deltas - Changes since the previous day
  * @returns {string} Dynamic prompt with real data
  */
-function buildTweetPrompt(type, data, totalVolIRR) {
-  const today = moment().format("MMMM D, YYYY");
-  const dayOfWeek = moment().format("dddd");
+function buildTweetPrompt(type, data, totalVolIRR, language = LANGUAGES.EN, deltas = null) {
+  const today = describeDate(new Date(), "dddd, MMMM D, YYYY");
 
   if (type === "trends") {
     const top3 = data.slice(0, 3).map((item, i) => ({
       rank: i + 1,
-      name: item.name_en,
+      name: getItemName(item, language),
       symbol: item.symbol,
       volume: abbreviateNumber(item.irr.volume, 1, true),
     }));
 
     return `Write a creative tweet about today's top 3 crypto trends in Iran.
 
-DATE: ${dayOfWeek}, ${today}
+DATE: ${today}
 PERIOD: Last 24 hours
 
 TOP 3 BY TRADING VOLUME:
@@ -42,6 +524,8 @@ ${top3.map(c => `${c.rank}. ${c.name} (${c.symbol}) - ${c.volume} IRR`).join("\n
 
 TOTAL MARKET VOLUME: ${abbreviateNumber(totalVolIRR, 1, true)} IRR
 
+${describeDeltas(deltas, data.slice(0, 3), language)}
+
 Make it engaging - highlight the leader, mention the rankings, ask a question or add insight.
 Vary your style from previous posts - be creative!`;
   }
@@ -49,112 +533,346 @@ Vary your style from previous posts - be creative!`;
   if (type === "vol") {
     return `Write a creative tweet about Iran's crypto trading volume today.
 
-DATE: ${dayOfWeek}, ${today}
+DATE: ${today}
 PERIOD: Last 24 hours
 TOTAL VOLUME: ${abbreviateNumber(totalVolIRR, 1, true)} IRR
 
+${describeDeltas(deltas, [], language)}
+
 Share this volume milestone creatively. Add context, ask a question, or note the market activity.
 Keep it fresh and different from typical volume announcements!`;
   }
 
+  if (type === "thread") {
+    const size = Math.min(getThreadSize(), data.length);
+    return `Write the opening tweet of a thread about today's top ${size} cryptocurrencies traded in Iran.
+
+DATE: ${today}
+PERIOD: Last 24 hours
+TOTAL MARKET VOLUME: ${abbreviateNumber(totalVolIRR, 1, true)} IRR
+TOP ${size}: ${data.slice(0, size).map((item) => getItemName(item, language)).join(", ")}
+
+${describeDeltas(deltas, data.slice(0, size), language)}
+
+The daily ranking table is attached. Tease the replies below (one per coin) and end with a thread marker like 🧵 or 👇.`;
+  }
+
   return "";
 }
 
 /**
- * Create and post a tweet based on target type
- * @param {string} target - Tweet type ('trends' or 'vol')
+ * Build the AI prompt of a thread reply about one coin
+ * @param {Object} item - Popular item
+ * @param {number} rank - Rank of the coin (1-based)
+ * @param {number} totalVolIRR - Total volume in IRR
+ * @param {string} language - Content language
+ * @param {import("./deltas.js").Deltas|null} deltas - Changes since the previous day
+ * @returns {string} Prompt with the coin data
+ */
+function buildCoinReplyPrompt(item, rank, totalVolIRR, language = LANGUAGES.EN, deltas = null) {
+  const volume = item.irr?.volume || 0;
+  const share = totalVolIRR > 0 ? (volume / totalVolIRR * 100).toFixed(1) : "0";
+  const change = describeItemDelta(getItemDelta(deltas, item)) ?? "unknown, don't compare with previous days";
+
+  return `Write a reply tweet of our daily top coins thread about the coin ranked #${rank} in Iran today.
+
+COIN: ${getItemName(item, language)} (${item.symbol})
+AVERAGE PRICE: $${numFormat(item.usd?.price)}
+TRADED VOLUME (24h): ${abbreviateNumber(volume, 1, true)} IRR
+SHARE OF TOTAL VOLUME: ${share}%
+CHANGE SINCE YESTERDAY: ${change}
+
+Start with "${rank}." and give one short insight about the numbers. Use at most one hashtag.`;
+}
+
+/**
+ * Number of coins covered by the daily Twitter thread (TWITTER_THREAD_SIZE)
+ * @returns {number}
+ */
+function getThreadSize() {
+  return Math.max(1, parseInt(getENV("TWITTER_THREAD_SIZE", "5"), 10) || 5);
+}
+
+/**
+ * Key of the stored progress of a thread, the same across retries of a post
  * @param {Array} data - Popular items data
+ * @param {string} language - Content language
+ * @returns {string}
  */
-export async function makeTweet(target, data) {
-  try {
-    // Calculate total volume - use BigInt to avoid precision issues with large numbers
-    const totalVolIRR = Number(data.reduce((acc, item) => acc + BigInt(Math.round(item.irr?.volume || 0)), 0n));
+export function getThreadKey(data, language) {
+  return getContentHash("twitter", "thread", data, normalizeLanguage(language));
+}
 
-    // Build dynamic prompt with real data and date context
-    const prompt = buildTweetPrompt(target, data, totalVolIRR);
+/**
+ * Render the daily thread: a headline tweet with the recap image and one reply per top coin
+ * @param {Array} data - Popular items data
+ * @param {number} totalVolIRR - Total volume in IRR
+ * @param {string} language - Content language
+ * @param {import("./deltas.js").Deltas|null} deltas - Changes since the previous day
+ * @returns {Promise<Content>}
+ */
+async function renderThread(data, totalVolIRR, language, deltas = null) {
+  const headline = await writeTweet(buildTweetPrompt("thread", data, totalVolIRR, language, deltas), {
+    lineBreak: TWEET_LINE_BREAK,
+    language,
+  });
 
-    if (!prompt) {
-      console.warn(`Unknown tweet target: ${target}`);
-      return;
-    }
+  // Replies are written one by one so each gets its own length check
+  const replies = [];
+  const coins = data.slice(0, getThreadSize());
+  for (const [index, item] of coins.entries()) {
+    replies.push(
+      await writeTweet(buildCoinReplyPrompt(item, index + 1, totalVolIRR, language, deltas), {
+        lineBreak: TWEET_LINE_BREAK,
+        includeHashtags: false,
+        language,
+      })
+    );
+  }
 
-    // Generate tweet from AI with real data
-    const phrase = await writeTweet(prompt, {
-      lineBreak: TWEET_LINE_BREAK,
-    });
+  const date = getDateLabel(moment().subtract(1, "day"), language);
+  const { image, alt } = await renderImage(getDailyCoinsJob(data, date, language, "twitter", { deltas }));
 
-    if (!phrase) {
-      console.warn(`Failed to generate tweet for target: ${target}`);
-      return;
-    }
+  return {
+    platform: "twitter",
+    target: "thread",
+    language,
+    text: headline,
+    image,
+    alt,
+    replies,
+    // Identifies the thread across retries so a failed thread resumes
+    threadKey: getThreadKey(data, language),
+  };
+}
 
-    // Send tweet (no placeholder replacement needed - AI has real data)
-    console.log("Tweeting...", phrase);
-    await tweet(phrase);
-  } catch (error) {
-    captureError(error, {
-      tags: {
-        worker: 'content',
-        function: 'makeTweet',
-        target: target
-      },
-      extra: {
-        dataLength: data?.length || 0
-      }
-    });
-    throw error; // Re-throw to maintain Lambda error handling
+/**
+ * Describe a market anomaly in a sentence
+ * @param {import("./anomalies.js").Anomaly} anomaly
+ * @param {string} language
+ * @returns {string}
+ */
+export function describeAnomaly(anomaly, language = LANGUAGES.EN) {
+  const keys = { spike: "anomalySpike", entrant: "anomalyEntrant", collapse: "anomalyCollapse" };
+  return translate(language, keys[anomaly.type], {
+    name: anomaly.coin ? getItemName(anomaly.coin, language) : "",
+    volume: formatVolume(anomaly.volume, 1, language),
+    average: formatVolume(anomaly.average, 1, language),
+    rank: localizeDigits(anomaly.rank ?? "", language),
+    deviations: localizeDigits(anomaly.deviations ?? "", language),
+    change: localizeDigits(Math.abs(anomaly.change ?? 0), language),
+    hours: localizeDigits(anomaly.hours, language),
+  });
+}
+
+/**
+ * Get the anomalies a breaking post reports
+ * @param {Object} options - Render options
+ * @returns {import("./anomalies.js").Anomaly[]}
+ * @throws {Error} When the post wasn't queued by the anomaly detector
+ */
+function getBreakingAnomalies(options) {
+  if (!options.anomalies?.length) {
+    throw new Error("Breaking posts are queued by the anomaly detector with their anomalies");
   }
+  return options.anomalies;
 }
 
 /**
- * Create and post content to Telegram
- * @param {string} target - Content type
- * @param {Array} data - Data for the content
+ * Build the AI prompt of a breaking news post
+ * @param {import("./anomalies.js").Anomaly[]} anomalies
+ * @returns {string} Prompt with the detected events
  */
-export async function makeTelegram(target, data) {
-  try {
-    // Total Trade Volume - use BigInt to avoid precision issues with large numbers
-    const totalVol = data
-      .filter((item) => item.has_iran)
-      .reduce((acc, item) => acc + BigInt(Math.round(item.irr.volume || 0)), 0n);
+function buildBreakingPrompt(anomalies) {
+  return `Write a breaking news post about unusual activity in Iran's crypto market, detected in the past hour.
 
-    // Filter Data
-    const tokens = data
-      .filter((item) => item.has_iran)
-      .map((item) => ({
-        name: item.name_en,
-        price: "$" + numFormat(item.usd.price),
-        volume: abbreviateNumber(Math.round(item.irr.volume), 1, true) + " IRR",
-        icon: item.icon.startsWith('http') ? item.icon : `https://irancrypto.market/${item.icon}`,
-      }))
-      .slice(0, 10);
-
-    // Yesterday date
-    const date = moment().subtract(1, "day").format("YYYY-MM-DD");
-
-    // Create Image
-    const image = await createImageFromTemplate(
-      "table-coin-" + getRandomTheme(),
-      {
-        tokens,
-        headers: ["Token", "Average Price", "Traded Volume"],
-        title: "Daily Recap",
-        subtitle: `Total traded volume (24h): ${abbreviateNumber(
-          Number(totalVol),
-          0,
-          true
-        )} IRR`,
-        lastUpdate: date,
-      },
-      "daily-coins.jpg"
-    );
+DATE: ${describeDate(new Date(), "dddd, MMMM D, YYYY")}
 
-    if (!image) {
-      throw new Error("Image is not generated!");
-    }
+EVENTS:
+${anomalies.map((anomaly) => `- ${describeAnomaly(anomaly)}`).join("\n")}
+
+Start with "🚨" and lead with the most striking event. Keep the numbers exact, don't guess the cause or give financial advice.`;
+}
+
+/**
+ * Render job of the breaking news image, one row per event
+ * @param {import("./anomalies.js").Anomaly[]} anomalies
+ * @param {string} language
+ * @returns {ImageJob}
+ */
+function getBreakingJob(anomalies, language) {
+  return createImageJob(
+    "breaking",
+    {
+      title: translate(language, "breakingTitle"),
+      subtitle: translate(language, "breakingSubtitle"),
+      events: anomalies.slice(0, BREAKING_MAX_EVENTS).map((anomaly) => ({
+        text: describeAnomaly(anomaly, language),
+        icon: anomaly.coin?.icon ? getIconURL(anomaly.coin.icon) : null,
+      })),
+      lastUpdate: getDateLabel(new Date(), language),
+      rtl: isRTL(language),
+    },
+    `breaking-${language}.jpg`,
+    language
+  );
+}
+
+/**
+ * Render a tweet based on target type
+ * @param {string} target - Tweet type ('trends', 'vol', 'thread' or 'breaking')
+ * @param {Array} data - Popular items data
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {import("./deltas.js").Deltas|null} options.deltas - Changes since the previous day
+ * @param {import("./anomalies.js").Anomaly[]} options.anomalies - Events of a breaking tweet
+ * @returns {Promise<Content>}
+ */
+export async function renderTweet(target, data, options = {}) {
+  const language = normalizeLanguage(options.language);
+  const deltas = options.deltas ?? null;
+
+  if (target === "breaking") {
+    const anomalies = getBreakingAnomalies(options);
+    const text = await writeTweet(buildBreakingPrompt(anomalies), { lineBreak: TWEET_LINE_BREAK, language });
+    const { image, alt } = await renderImage(getBreakingJob(anomalies, language));
+    return { platform: "twitter", target, language, text, image, alt };
+  }
+
+  // Calculate total volume - use BigInt to avoid precision issues with large numbers
+  const totalVolIRR = Number(data.reduce((acc, item) => acc + BigInt(Math.round(item.irr?.volume || 0)), 0n));
+
+  // Build dynamic prompt with real data, computed changes and date context
+  const prompt = buildTweetPrompt(target, data, totalVolIRR, language, deltas);
+
+  if (!prompt) {
+    throw new Error(`Unknown tweet target: ${target}`);
+  }
+
+  if (target === "thread") {
+    return await renderThread(data, totalVolIRR, language, deltas);
+  }
+
+  // Generate tweet from AI with real data (no placeholder replacement needed)
+  const phrase = await writeTweet(prompt, {
+    lineBreak: TWEET_LINE_BREAK,
+    language,
+  });
+
+  // Trends tweet carries the 16:9 coin table unless TWITTER_TRENDS_IMAGE=false
+  let image = null;
+  let alt = null;
+  if (target === "trends" && getENV("TWITTER_TRENDS_IMAGE", "true").toLowerCase() !== "false") {
+    const date = getDateLabel(moment().subtract(1, "day"), language);
+    ({ image, alt } = await renderImage(getDailyCoinsJob(data, date, language, "twitter", { deltas })));
+  }
+
+  return { platform: "twitter", target, language, text: phrase, image, alt };
+}
+
+/**
+ * Render a status for tweet-like platforms from the tweet pipeline
+ * The trends status carries the daily recap image
+ * @param {string} platform - Platform name
+ * @param {string} target - Status type ('trends' or 'vol')
+ * @param {Array} data - Popular items data
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {number} options.maxLength - Maximum status length
+ * @param {boolean} options.graphemes - Count maxLength in graphemes
+ * @param {import("./deltas.js").Deltas|null} options.deltas - Changes since the previous day
+ * @returns {Promise<Content>}
+ */
+async function renderStatus(platform, target, data, options) {
+  const language = normalizeLanguage(options.language);
+  const deltas = options.deltas ?? null;
+  const totalVolIRR = Number(data.reduce((acc, item) => acc + BigInt(Math.round(item.irr?.volume || 0)), 0n));
+
+  const prompt = buildTweetPrompt(target, data, totalVolIRR, language, deltas);
+  if (!prompt) {
+    throw new Error(`Unknown ${platform} target: ${target}`);
+  }
+
+  const text = await writeTweet(prompt, {
+    maxLength: options.maxLength,
+    graphemes: options.graphemes,
+    lineBreak: "\n",
+    language,
+  });
+
+  let image = null;
+  let alt = null;
+  if (target === "trends") {
+    const date = getDateLabel(moment().subtract(1, "day"), language);
+    ({ image, alt } = await renderImage(getDailyCoinsJob(data, date, language, platform, { deltas })));
+  }
+
+  return { platform, target, language, text, image, alt };
+}
+
+/**
+ * Render a Mastodon status, with room for 500 characters
+ * @param {string} target - Status type ('trends' or 'vol')
+ * @param {Array} data - Popular items data
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {import("./deltas.js").Deltas|null} options.deltas - Changes since the previous day
+ * @returns {Promise<Content>}
+ */
+export async function renderMastodon(target, data, options = {}) {
+  return await renderStatus("mastodon", target, data, { ...options, maxLength: MASTODON_MAX_LENGTH });
+}
+
+/**
+ * Render a Bluesky post, limited to 300 graphemes
+ * @param {string} target - Post type ('trends' or 'vol')
+ * @param {Array} data - Popular items data
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {import("./deltas.js").Deltas|null} options.deltas - Changes since the previous day
+ * @returns {Promise<Content>}
+ */
+export async function renderBluesky(target, data, options = {}) {
+  return await renderStatus("bluesky", target, data, {
+    ...options,
+    maxLength: BLUESKY_MAX_GRAPHEMES,
+    graphemes: true,
+  });
+}
+
+/**
+ * Build the Telegram caption of the daily recap
+ * @param {string} date - Date label
+ * @param {bigint} totalVol - Total traded volume in IRR
+ * @param {string} language
+ * @param {string|null} template - Caption template of the chat with {date} and {volume} placeholders
+ * @returns {string} HTML caption
+ */
+function buildTelegramCaption(date, totalVol, language, template = null) {
+  if (template) {
+    return fillPlaceholders(template, {
+      date,
+      volume: localizeDigits(numFormat(Number(totalVol)), language),
+    });
+  }
+
+  if (language === LANGUAGES.FA) {
+    return `
+📈 گزارش بازار رمزارز دیروز | ${date}
 
-    // Caption Manually
-    const caption = `
+📊 حجم کل معاملات (۲۴ ساعت): ${localizeDigits(numFormat(Number(totalVol)), language)} ریال
+
+🖥 جزئیات بیشتر در وب‌سایت:
+<a href="https://irancrypto.market/popular/">irancrypto.market</a>
+
+🛎 ما را دنبال کنید
+<a href="https://instagram.com/irancryptomarket">اینستاگرام @irancryptomarket</a> |
+<a href="https://twitter.com/ircryptomarket">توییتر @ircryptomarket</a> |
+<a href="https://t.me/irancrypto_market">تلگرام @irancrypto_market</a>
+`;
+  }
+
+  return `
 📈 Yesterday's Crypto Market Recap | ${date}
 
 📊 Total Traded Volume (24h): ${numFormat(Number(totalVol))} IRR
@@ -167,34 +885,136 @@ export async function makeTelegram(target, data) {
 <a href="https://twitter.com/ircryptomarket">Twitter @ircryptomarket</a> |
 <a href="https://t.me/irancrypto_market">Telegram @irancrypto_market</a>
 `;
+}
 
-    // Publish the image on Telegram channel
-    await bot.sendPhoto(
-      getENV("TELEGRAM_CHANNEL_ID"),
+/**
+ * Render Telegram breaking news for every chat of the language
+ * The event list stands in for the AI text, so the news isn't delayed by a retry
+ * @param {import("./anomalies.js").Anomaly[]} anomalies
+ * @param {string} language
+ * @returns {Promise<Content>}
+ */
+async function renderTelegramBreaking(anomalies, language) {
+  const written = await writeTweet(buildBreakingPrompt(anomalies), {
+    maxLength: 900,
+    lineBreak: "\n",
+    language,
+  });
+  const text = escapeHTML(written || anomalies.map((anomaly) => `🚨 ${describeAnomaly(anomaly, language)}`).join("\n"));
+  const { image, alt } = await renderImage(getBreakingJob(anomalies, language));
+
+  const channels = getTelegramChannels().filter((channel) => channel.language === language);
+  const messages = (channels.length ? channels : [{ chatId: null }]).map((channel) => ({
+    chatId: channel.chatId,
+    text,
+    image,
+    alt,
+    pin: false,
+  }));
+  return {
+    platform: "telegram",
+    target: "breaking",
+    language,
+    text,
+    image,
+    alt,
+    messages,
+    // Identifies the news across retries, so a retry edits the chats which already got it
+    reportDate: moment.unix(anomalies[0].detectedAt).utc().format("YYYY-MM-DD-HHmm"),
+  };
+}
+
+/**
+ * Render the Telegram daily recap for every chat of the language
+ * Chats sharing a template and theme share the image
+ * @param {string} target - Content type
+ * @param {Array} data - Data for the content
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {import("./deltas.js").Deltas|null} options.deltas - Changes since the previous day
+ * @param {import("./anomalies.js").Anomaly[]} options.anomalies - Events of breaking news
+ * @returns {Promise<Content>} The first message is also the text and image of the content
+ */
+export async function renderTelegram(target, data, options = {}) {
+  const language = normalizeLanguage(options.language);
+  if (target === "breaking") {
+    return await renderTelegramBreaking(getBreakingAnomalies(options), language);
+  }
+
+  // Total Trade Volume - use BigInt to avoid precision issues with large numbers
+  const totalVol = getIranVolume(data);
+
+  // Yesterday date
+  const reportDate = moment().subtract(1, "day");
+  const date = getDateLabel(reportDate, language);
+
+  // Without configured chats the recap is still rendered, for previews
+  const channels = getTelegramChannels().filter((channel) => channel.language === language);
+  const targets = channels.length ? channels : [{ chatId: null }];
+  const getImageKey = (channel) => `${channel.template ?? ""}/${channel.theme ?? ""}`;
+
+  // Each template and theme is rendered once, all of them in one batch
+  const jobs = new Map();
+  for (const channel of targets) {
+    if (!jobs.has(getImageKey(channel))) {
+      jobs.set(
+        getImageKey(channel),
+        getDailyCoinsJob(data, date, language, "telegram", {
+          template: channel.template,
+          theme: channel.theme,
+          deltas: options.deltas ?? null,
+        })
+      );
+    }
+  }
+  const rendered = await renderImageJobs([...jobs.values()]);
+  const images = new Map([...jobs.keys()].map((key, index) => [key, rendered[index]]));
+
+  const messages = [];
+  for (const channel of targets) {
+    const { image, alt } = images.get(getImageKey(channel));
+    messages.push({
+      chatId: channel.chatId,
+      text: buildTelegramCaption(date, totalVol, language, channel.caption),
       image,
-      {
-        caption: caption,
-        parse_mode: "html",
-        disable_web_page_preview: true,
-      },
-      {
-        filename: `daily-coins-${new Date().toISOString().slice(0, 10)}.jpg`,
-        contentType: "image/jpeg",
-      }
-    );
-    console.log("Daily coin recap published successfully on telegram");
-  } catch (error) {
-    captureError(error, {
-      tags: {
-        worker: 'content',
-        function: 'makeTelegram',
-        target: target
-      },
-      extra: {
-        dataLength: data?.length || 0
-      }
+      alt,
+      pin: Boolean(channel.pin),
     });
-    throw error; // Re-throw to maintain Lambda error handling
+  }
+
+  const [{ text, image, alt }] = messages;
+  return {
+    platform: "telegram",
+    target,
+    language,
+    text,
+    image,
+    alt,
+    messages,
+    reportDate: reportDate.format("YYYY-MM-DD"),
+  };
+}
+
+/**
+ * Render the table image answering a bot command, without AI copy
+ * @param {string} target - "top", "weekly" or "exchanges"
+ * @param {Array} data - Popular, weekly coin recap or exchanges data
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @returns {Promise<{image: import("./images.js").RenderedImage, alt: string}>}
+ * @throws {Error} When the target is unknown
+ */
+export async function renderBotImage(target, data, options = {}) {
+  const language = normalizeLanguage(options.language);
+  switch (target) {
+    case "top":
+      return await renderImage(getDailyCoinsJob(data, getDateLabel(new Date(), language), language, "bot"));
+    case "weekly":
+      return await renderImage(getWeeklyCoinsJob(data, language, "bot-weekly-coins.jpg"));
+    case "exchanges":
+      return await renderImage(getExchangesJob(data, language, "daily", "bot-exchanges.jpg"));
+    default:
+      throw new Error(`Unknown bot image: ${target}`);
   }
 }
 
@@ -203,18 +1023,19 @@ export async function makeTelegram(target, data) {
  * @param {string} type - Caption type ('weekly-coin' or 'monthly-exchange')
  * @param {Array} data - Content data
  * @param {number} totalVol - Total volume
+ * @param {string} language - Content language
+ * @param {import("./deltas.js").Deltas|null} deltas - Changes since the previous week or month
  * @returns {string} Dynamic prompt with real data
  */
-function buildInstagramPrompt(type, data, totalVol) {
-  const today = moment().format("MMMM D, YYYY");
-  const weekStart = moment().subtract(7, "days").format("MMM D");
-  const weekEnd = moment().format("MMM D, YYYY");
-  const monthName = moment().format("MMMM YYYY");
+function buildInstagramPrompt(type, data, totalVol, language = LANGUAGES.EN, deltas = null) {
+  const today = describeDate(new Date(), "MMMM D, YYYY");
+  const week = describePeriod(moment().subtract(7, "days"), moment());
+  const monthName = describeDate(new Date(), "MMMM YYYY", { jalaliFormat: "MMMM YYYY" });
 
   if (type === "weekly-coin") {
     const top5 = data.slice(0, 5).map((item, i) => ({
       rank: i + 1,
-      name: item.name_en,
+      name: getItemName(item, language),
       volume: abbreviateNumber(item.irr?.volume || 0, 1, true),
     }));
 
@@ -224,7 +1045,7 @@ function buildInstagramPrompt(type, data, totalVol) {
     return `Write an Instagram caption for our weekly crypto market recap in Iran.
 
 DATE: ${today}
-PERIOD: Week of ${weekStart} - ${weekEnd}
+PERIOD: Week of ${week}
 
 TOP 5 TOKENS BY VOLUME:
 ${top5.map(t => `${t.rank}. ${t.name} - ${t.volume} IRR`).join("\n")}
@@ -234,13 +1055,15 @@ HIGHLIGHTS:
 - ${leader.name} dominated with ${leaderShare}% of total volume
 - These are the most traded tokens this week
 
+${describeDeltas(deltas, data.slice(0, 5), language)}
+
 Make it insightful and engaging. Mention the week dates, highlight the leader, share a market insight.`;
   }
 
   if (type === "monthly-exchange") {
     const top5 = data.slice(0, 5).map((item, i) => ({
       rank: i + 1,
-      name: item.name_en,
+      name: getItemName(item, language),
       volume: abbreviateNumber(item.volume || 0, 1, true),
     }));
 
@@ -260,6 +1083,8 @@ HIGHLIGHTS:
 - ${leader.name} leads with ${leaderShare}% market share
 - These exchanges processed the most trades this month
 
+${describeDeltas(deltas, data.slice(0, 5), language)}
+
 Make it insightful and engaging. Mention the month, highlight the competition, share exchange trends.`;
   }
 
@@ -267,110 +1092,52 @@ Make it insightful and engaging. Mention the month, highlight the competition, s
 }
 
 /**
- * Create and post content to Instagram
+ * Render an Instagram post
  * @param {string} target - Content type ('weekly-coin' or 'monthly-exchange')
  * @param {Array} data - Data for the content
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {import("./deltas.js").Deltas|null} options.deltas - Changes since the previous week or month
+ * @returns {Promise<Content>}
  */
-export async function makeInstagram(target, data) {
-  try {
-    if (target === "weekly-coin") {
-      // Total trade volume - use BigInt to avoid precision issues with large numbers
-      const totalVol = Number(data
-        .filter((item) => item.has_iran)
-        .reduce((acc, item) => acc + BigInt(Math.round(item.irr.volume || 0)), 0n));
-
-      // Filter Data
-      const filteredData = data.filter((item) => item.has_iran);
-      const tokens = filteredData
-        .map((item) => ({
-          name: item.name_en,
-          price: "$" + numFormat(item.usd.price),
-          volume: abbreviateNumber(Math.round(item.irr.volume), 1, true) + " IRR",
-          icon: item.icon.startsWith('http') ? item.icon : `https://irancrypto.market/${item.icon}`,
-        }))
-        .slice(0, 10);
-
-      // Create Image
-      const image = await createImageFromTemplate(
-        "table-coin-" + getRandomTheme(),
-        {
-          tokens,
-          headers: ["Token", "Average Price", "Traded Volume"],
-          title: "Weekly Recap",
-          subtitle: `Total traded volume in past week: ${abbreviateNumber(
-            Math.round(totalVol),
-            0,
-            true
-          )} IRR`,
-          lastUpdate: new Date().toISOString().slice(0, 10),
-        },
-        "weekly-coins.jpg"
-      );
+export async function renderInstagram(target, data, options = {}) {
+  const language = normalizeLanguage(options.language);
+  const deltas = options.deltas ?? null;
+  if (target === "weekly-coin") {
+    const totalVol = Number(getIranVolume(data));
 
-      if (!image) {
-        throw new Error("Image is not generated!");
-      }
-
-      // Get Caption from AI with real data and date context
-      const prompt = buildInstagramPrompt("weekly-coin", filteredData, totalVol);
-      const caption = await writeCaption(prompt);
-
-      // Publish the image on IG
-      await publishImage(image, caption);
-      console.log("Weekly coin recap published on Instagram");
-    } else if (target === "monthly-exchange") {
-      // Total Trade Volume - use BigInt to avoid precision issues with large numbers
-      const totalVol = Number(data.reduce((acc, item) => acc + BigInt(Math.round(item.volume || 0)), 0n));
-
-      // Filter Data
-      const exchanges = data
-        .map((item) => ({
-          name: item.name_en,
-          volume: numFormat(Math.round(item.volume), 1, true) + " IRR",
-          logo: item.logo,
-        }))
-        .slice(0, 5);
-
-      // Create Image
-      const image = await createImageFromTemplate(
-        "table-exchange-dark",
-        {
-          exchanges,
-          title: "Exchanges Monthly Recap",
-          subtitle: `Total traded volume in past month: ${abbreviateNumber(
-            Math.round(totalVol),
-            0,
-            true
-          )} IRR`,
-          lastUpdate: new Date().toISOString().slice(0, 10),
-        },
-        "monthly-exchange.jpg"
-      );
+    // Filter Data
+    const filteredData = data.filter((item) => item.has_iran);
+
+    // Create Image and Charts in one batch, the volume chart is skipped without its history
+    const volumeChart = await getVolumeChartSlideJob(language);
+    const [{ image, alt }, ...slides] = await renderImageJobs(
+      [
+        getWeeklyCoinsJob(data, language, "weekly-coins.jpg", deltas),
+        getCoinsChartJob(data, language, "weekly"),
+        volumeChart,
+      ].filter(Boolean)
+    );
 
-      if (!image) {
-        throw new Error("Image is not generated!");
-      }
+    // Get Caption from AI with real data and date context
+    const prompt = buildInstagramPrompt("weekly-coin", filteredData, totalVol, language, deltas);
+    const caption = await writeCaption(prompt, { language });
 
-      // Get Caption from AI with real data and date context
-      const prompt = buildInstagramPrompt("monthly-exchange", data, totalVol);
-      const caption = await writeCaption(prompt);
+    return { platform: "instagram", target, language, text: caption, image, alt, slides };
+  } else if (target === "monthly-exchange") {
+    const totalVol = getExchangesVolume(data);
 
-      // Publish the image on IG
-      await publishImage(image, caption);
-      console.log("Monthly recap exchanges published on Instagram");
-    }
-  } catch (error) {
-    captureError(error, {
-      tags: {
-        worker: 'content',
-        function: 'makeInstagram',
-        target: target
-      },
-      extra: {
-        dataLength: data?.length || 0
-      }
-    });
-    throw error; // Re-throw to maintain Lambda error handling
+    // Create Image and Chart in one batch
+    const [{ image, alt }, ...slides] = await renderImageJobs([
+      getExchangesJob(data, language, "monthly"),
+      getExchangesChartJob(data, language, "monthly"),
+    ]);
+
+    // Get Caption from AI with real data and date context
+    const prompt = buildInstagramPrompt("monthly-exchange", data, totalVol, language, deltas);
+    const caption = await writeCaption(prompt, { language });
+
+    return { platform: "instagram", target, language, text: caption, image, alt, slides };
   }
+  throw new Error(`Unknown Instagram target: ${target}`);
 }
-
@@ -0,0 +1,195 @@
+/**
+ * Date Helper
+ * Gregorian and Persian (Jalali / Solar Hijri) date formatting for labels, captions and prompts
+ * Jalali dates are calculated with the built-in Intl persian calendar (no extra dependency)
+ */
+import moment from "moment-timezone";
+import { getENV } from "./env.js";
+
+export const CALENDARS = {
+  GREGORIAN: "gregorian",
+  JALALI: "jalali",
+  BOTH: "both",
+};
+
+export const JALALI_MONTHS = [
+  "Farvardin",
+  "Ordibehesht",
+  "Khordad",
+  "Tir",
+  "Mordad",
+  "Shahrivar",
+  "Mehr",
+  "Aban",
+  "Azar",
+  "Dey",
+  "Bahman",
+  "Esfand",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+/**
+ * Default timezone of dates, shared with the scheduler
+ * @returns {string}
+ */
+export function getTimezone() {
+  return getENV("SCHEDULE_TIMEZONE", "Asia/Tehran");
+}
+
+/**
+ * Calendar used for date labels (DATE_CALENDAR: gregorian, jalali or both)
+ * @returns {string}
+ */
+export function getDateCalendar() {
+  const calendar = getENV("DATE_CALENDAR", CALENDARS.GREGORIAN).toLowerCase();
+  if (!Object.values(CALENDARS).includes(calendar)) {
+    throw new Error(`Invalid DATE_CALENDAR: ${calendar}. Must be one of: ${Object.values(CALENDARS).join(", ")}`);
+  }
+  return calendar;
+}
+
+/**
+ * Get a cached Intl formatter of the persian calendar
+ * @param {string} timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getJalaliFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US-u-ca-persian", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Convert a date to its Jalali parts
+ * @param {Date|moment.Moment|number|string} date - Date to convert (default: now)
+ * @param {string} timezone - Timezone the day is taken in
+ * @returns {{year: number, month: number, day: number, monthName: string}} Month is 1-based
+ */
+export function toJalali(date = new Date(), timezone = getTimezone()) {
+  const parts = getJalaliFormatter(timezone).formatToParts(new Date(date.valueOf()));
+  const value = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+  const month = value("month");
+  return {
+    year: value("year"),
+    month,
+    day: value("day"),
+    monthName: JALALI_MONTHS[month - 1],
+  };
+}
+
+/**
+ * Format a date in the Jalali calendar
+ * Supported tokens: YYYY, MMMM (month name), MM, M, DD, D
+ * @param {Date|moment.Moment|number|string} date - Date to format
+ * @param {string} format - Output format (default: "YYYY-MM-DD")
+ * @param {string} timezone - Timezone the day is taken in
+ * @returns {string}
+ */
+export function formatJalali(date = new Date(), format = "YYYY-MM-DD", timezone = getTimezone()) {
+  const { year, month, day, monthName } = toJalali(date, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return format.replace(/YYYY|MMMM|MM|M|DD|D/g, (token) => {
+    switch (token) {
+      case "YYYY":
+        return String(year);
+      case "MMMM":
+        return monthName;
+      case "MM":
+        return pad(month);
+      case "M":
+        return String(month);
+      case "DD":
+        return pad(day);
+      default:
+        return String(day);
+    }
+  });
+}
+
+/**
+ * Format a date label according to DATE_CALENDAR
+ * @param {Date|moment.Moment|number|string} date - Date to format
+ * @param {Object} options
+ * @param {string} options.calendar - Override DATE_CALENDAR
+ * @param {string} options.timezone - Timezone the day is taken in
+ * @returns {string} e.g. "2024-05-16", "1403-02-27" or "2024-05-16 | 1403-02-27"
+ */
+export function formatDateLabel(date = new Date(), options = {}) {
+  const { calendar = getDateCalendar(), timezone = getTimezone() } = options;
+  const gregorian = moment(date.valueOf()).tz(timezone).format("YYYY-MM-DD");
+
+  if (calendar === CALENDARS.JALALI) {
+    return formatJalali(date, "YYYY-MM-DD", timezone);
+  }
+  if (calendar === CALENDARS.BOTH) {
+    return `${gregorian} | ${formatJalali(date, "YYYY-MM-DD", timezone)}`;
+  }
+  return gregorian;
+}
+
+/**
+ * Describe a date for AI prompts, adding the Jalali date when enabled
+ * @param {Date|moment.Moment|number|string} date - Date to describe
+ * @param {string} format - moment format of the Gregorian date
+ * @param {Object} options
+ * @param {string} options.jalaliFormat - formatJalali() format of the Jalali date
+ * @param {string} options.calendar - Override DATE_CALENDAR
+ * @param {string} options.timezone - Timezone the day is taken in
+ * @returns {string} e.g. "Thursday, May 16, 2024 (27 Ordibehesht 1403 in the Persian calendar)"
+ */
+export function describeDate(date = new Date(), format = "dddd, MMMM D, YYYY", options = {}) {
+  const {
+    jalaliFormat = "D MMMM YYYY",
+    calendar = getDateCalendar(),
+    timezone = getTimezone(),
+  } = options;
+  const gregorian = moment(date.valueOf()).tz(timezone).format(format);
+  if (calendar === CALENDARS.GREGORIAN) {
+    return gregorian;
+  }
+  return `${gregorian} (${formatJalali(date, jalaliFormat, timezone)} in the Persian calendar)`;
+}
+
+/**
+ * Describe a period for AI prompts, adding the Jalali dates when enabled
+ * @param {Date|moment.Moment|number|string} start - First day of the period
+ * @param {Date|moment.Moment|number|string} end - Last day of the period
+ * @param {Object} options
+ * @param {string} options.calendar - Override DATE_CALENDAR
+ * @param {string} options.timezone - Timezone the days are taken in
+ * @returns {string} e.g. "May 9 - May 16, 2024 (20 Ordibehesht - 27 Ordibehesht 1403 in the Persian calendar)"
+ */
+export function describePeriod(start, end, options = {}) {
+  const { calendar = getDateCalendar(), timezone = getTimezone() } = options;
+  const from = moment(start.valueOf()).tz(timezone).format("MMM D");
+  const to = moment(end.valueOf()).tz(timezone).format("MMM D, YYYY");
+  if (calendar === CALENDARS.GREGORIAN) {
+    return `${from} - ${to}`;
+  }
+  const jalaliFrom = formatJalali(start, "D MMMM", timezone);
+  const jalaliTo = formatJalali(end, "D MMMM YYYY", timezone);
+  return `${from} - ${to} (${jalaliFrom} - ${jalaliTo} in the Persian calendar)`;
+}
+
+/**
+ * Check whether a date is the last day of its Jalali month
+ * @param {Date|moment.Moment|number|string} date - Date to check
+ * @param {string} timezone - Timezone the day is taken in
+ * @returns {boolean}
+ */
+export function isLastDayOfJalaliMonth(date = new Date(), timezone = getTimezone()) {
+  const today = toJalali(date, timezone);
+  const tomorrow = toJalali(new Date(date.valueOf()).getTime() + DAY_MS, timezone);
+  return today.month !== tomorrow.month;
+}
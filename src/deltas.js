@@ -0,0 +1,247 @@
+/**
+ * Period Deltas
+ * Compares the data of a post with the snapshot of the previous day, week or month:
+ * volume change, rank movement, new entrants and dropouts of the top rows
+ * The AI prompts and the table images get these computed movements instead of guessing them
+ */
+import { getPreviousSnapshot } from "./snapshots.js";
+import { getItemName, LANGUAGES } from "./i18n.js";
+
+// Rows compared, the length of the recap tables
+export const DELTA_LIMIT = 10;
+
+/**
+ * Movement of a row since the previous period
+ * @typedef {Object} ItemDelta
+ * @property {number} rank - Current rank (1-based)
+ * @property {number|null} previousRank - Rank in the previous period, null for new entrants
+ * @property {number|null} volumeChange - Volume change in percent, rounded to 0.1
+ */
+
+/**
+ * Deltas of a dataset, stored with the scheduled post
+ * @typedef {Object} Deltas
+ * @property {string} period - "day", "week" or "month"
+ * @property {string} previousDate - Day of the compared snapshot (YYYY-MM-DD)
+ * @property {number|null} totalVolumeChange - Change of the total volume in percent, rounded to 0.1
+ * @property {Object<string, ItemDelta>} items - Deltas of the top rows by item key (see getItemKey)
+ * @property {string[]} newEntrants - Keys of the top rows missing from the previous top rows
+ * @property {{key: string, name: string, previousRank: number}[]} dropouts - Previous top rows which left the top
+ */
+
+/**
+ * Key identifying an item across snapshots: the symbol of coins, the id or name of exchanges
+ * @param {Object} item
+ * @returns {string}
+ */
+export function getItemKey(item) {
+  return String(item.symbol ?? item.id ?? item.name_en ?? item.name).toUpperCase();
+}
+
+/**
+ * Traded volume of a coin (irr.volume) or an exchange (volume) in IRR
+ * @param {Object} item
+ * @returns {number}
+ */
+function getItemVolume(item) {
+  return Number(item.irr?.volume ?? item.volume ?? 0);
+}
+
+/**
+ * Rank the items like the recap tables: coins traded in Iran, exchanges as listed
+ * @param {Array} data
+ * @returns {Array}
+ */
+function getRankedItems(data) {
+  return data.filter((item) => item.has_iran ?? true);
+}
+
+/**
+ * Change between two values in percent, rounded to 0.1
+ * @param {number} value
+ * @param {number} previous
+ * @returns {number|null} Null when there is no previous value
+ */
+function getChange(value, previous) {
+  if (!previous) {
+    return null;
+  }
+  return Math.round(((value - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * Compute the deltas of the top rows between two datasets
+ * @param {Array} data - Current API data
+ * @param {Array} previousData - API data of the previous period
+ * @param {Object} options
+ * @param {string} options.period - "day", "week" or "month"
+ * @param {string} options.previousDate - Day of the previous data (YYYY-MM-DD)
+ * @param {string} options.language - Language of the dropout names
+ * @param {number} options.limit - Rows compared (default: DELTA_LIMIT)
+ * @returns {Deltas}
+ */
+export function computeDeltas(data, previousData, options = {}) {
+  const { period, previousDate, language = LANGUAGES.EN, limit = DELTA_LIMIT } = options;
+  const current = getRankedItems(data);
+  const previous = getRankedItems(previousData);
+
+  // Rank of every previous item, a coin listed twice keeps its best rank
+  const previousRanks = new Map();
+  previous.forEach((item, index) => {
+    const key = getItemKey(item);
+    if (!previousRanks.has(key)) {
+      previousRanks.set(key, { item, rank: index + 1 });
+    }
+  });
+
+  const items = {};
+  const newEntrants = [];
+  for (const [index, item] of current.slice(0, limit).entries()) {
+    const key = getItemKey(item);
+    if (items[key]) {
+      continue;
+    }
+    const before = previousRanks.get(key);
+    items[key] = {
+      rank: index + 1,
+      previousRank: before?.rank ?? null,
+      volumeChange: before ? getChange(getItemVolume(item), getItemVolume(before.item)) : null,
+    };
+    if (!before || before.rank > limit) {
+      newEntrants.push(key);
+    }
+  }
+
+  const dropouts = previous
+    .slice(0, limit)
+    .filter((item) => !items[getItemKey(item)])
+    .map((item) => ({
+      key: getItemKey(item),
+      name: getItemName(item, language),
+      previousRank: previousRanks.get(getItemKey(item)).rank,
+    }));
+
+  const total = (list) => list.reduce((acc, item) => acc + getItemVolume(item), 0);
+  return {
+    period,
+    previousDate,
+    totalVolumeChange: getChange(total(current), total(previous)),
+    items,
+    newEntrants,
+    dropouts,
+  };
+}
+
+/**
+ * Compute the deltas of a source against its snapshot of the previous period
+ * @param {string} source - Source key, e.g. "getPopular:en"
+ * @param {string} period - "day", "week" or "month"
+ * @param {Array} data - Current API data
+ * @param {Object} options
+ * @param {string|Date|moment.Moment} options.date - Day of the current data (default: today)
+ * @param {string} options.language - Language of the dropout names
+ * @param {Object} options.store - Snapshot store instead of the configured one
+ * @returns {Promise<Deltas|null>} Null without a previous snapshot
+ */
+export async function loadDeltas(source, period, data, options = {}) {
+  const { language, ...snapshotOptions } = options;
+  const previous = await getPreviousSnapshot(source, period, snapshotOptions);
+  if (!previous) {
+    return null;
+  }
+  return computeDeltas(data, previous.data, { period, previousDate: previous.date, language });
+}
+
+/**
+ * Get the delta of an item
+ * @param {Deltas|null} deltas
+ * @param {Object} item
+ * @returns {ItemDelta|null}
+ */
+export function getItemDelta(deltas, item) {
+  return deltas?.items?.[getItemKey(item)] ?? null;
+}
+
+/**
+ * Rank movement of a delta: positive when the item moved up
+ * @param {ItemDelta|null} delta
+ * @returns {number|null} Null for new entrants
+ */
+export function getRankMovement(delta) {
+  if (!delta || delta.previousRank === null) {
+    return null;
+  }
+  return delta.previousRank - delta.rank;
+}
+
+/**
+ * Format a change in percent with its sign, e.g. "+12.5%"
+ * @param {number} change
+ * @returns {string}
+ */
+function formatChange(change) {
+  return `${change > 0 ? "+" : ""}${change}%`;
+}
+
+/**
+ * Describe the movement of an item for AI prompts, e.g. "volume +12.5%, up 2 places (was #3)"
+ * @param {ItemDelta|null} delta
+ * @returns {string|null} Null without a delta
+ */
+export function describeItemDelta(delta) {
+  if (!delta) {
+    return null;
+  }
+  const movement = getRankMovement(delta);
+  if (movement === null) {
+    return `new in the top ${DELTA_LIMIT}`;
+  }
+  const parts = [];
+  if (delta.volumeChange !== null) {
+    parts.push(`volume ${formatChange(delta.volumeChange)}`);
+  }
+  if (movement === 0) {
+    parts.push("rank unchanged");
+  } else {
+    const places = Math.abs(movement) === 1 ? "place" : "places";
+    parts.push(`${movement > 0 ? "up" : "down"} ${Math.abs(movement)} ${places} (was #${delta.previousRank})`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Describe the deltas of the top items as a prompt section
+ * Without deltas the AI is told not to compare, so it doesn't invent movements
+ * @param {Deltas|null} deltas
+ * @param {Array} items - Items mentioned by the prompt, in rank order
+ * @param {string} language - Content language of the item names
+ * @returns {string}
+ */
+export function describeDeltas(deltas, items, language = LANGUAGES.EN) {
+  if (!deltas) {
+    return "CHANGES: No previous data to compare with. Don't claim any rise, drop or rank change.";
+  }
+
+  const lines = [`CHANGES SINCE THE PREVIOUS ${deltas.period.toUpperCase()} (${deltas.previousDate}):`];
+  if (deltas.totalVolumeChange !== null) {
+    lines.push(`- Total volume: ${formatChange(deltas.totalVolumeChange)}`);
+  }
+  for (const item of items) {
+    const description = describeItemDelta(getItemDelta(deltas, item));
+    if (description) {
+      lines.push(`- ${getItemName(item, language)}: ${description}`);
+    }
+  }
+  if (deltas.newEntrants.length) {
+    lines.push(`- New in the top ${DELTA_LIMIT}: ${deltas.newEntrants.join(", ")}`);
+  }
+  if (deltas.dropouts.length) {
+    lines.push(
+      `- Dropped out of the top ${DELTA_LIMIT}: ${deltas.dropouts
+        .map((item) => `${item.name} (was #${item.previousRank})`)
+        .join(", ")}`
+    );
+  }
+  lines.push("Only use these computed changes when comparing with the previous period.");
+  return lines.join("\n");
+}
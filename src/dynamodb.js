@@ -10,9 +10,13 @@ import {
   DynamoDBDocumentClient,
   GetCommand,
   DeleteCommand,
-  ScanCommand,
+  QueryCommand,
+  UpdateCommand,
+  TransactWriteCommand,
 } from "@aws-sdk/lib-dynamodb";
+import { randomUUID } from "crypto";
 import { getENV } from "./env.js";
+import { POST_STATUS, HISTORY_STATUS } from "./retry.js";
 
 //Define DynamoDB client
 const client = new DynamoDBClient({
@@ -20,6 +24,14 @@ const client = new DynamoDBClient({
 });
 const docClient = DynamoDBDocumentClient.from(client);
 
+// Global secondary index of scheduled posts (queue + scheduledAt)
+const SCHEDULE_INDEX = getENV("DYNAMODB_SCHEDULE_INDEX", "queue-scheduledAt-index");
+const SCHEDULE_QUEUE = "scheduled";
+// Alerts share the index, scheduledAt is the time they can trigger again
+const ALERT_QUEUE = "alert";
+// Seconds a schedule key is kept after the post time, longer than its retries take
+const SCHEDULE_KEY_TTL = 7 * 86400;
+
 /**
  * Fetch twitter data from DynamoDB
  * @returns {object}
@@ -114,75 +126,674 @@ export async function updateInstagram($data) {
 
 /**
  * Schedule a post with a specified timestamp
+ * Each call creates a new queue item, so several posts per platform/target can coexist
+ * A key makes it idempotent: the post is queued once per key, even after it was published and removed
  * @param {string} platform "twitter", "instagram", etc.
+ * @param {string} target Post type on the platform
  * @param {object} data Data to be posted
  * @param {number} timestamp Unix timestamp when the post should be made
+ * @param {object} options
+ * @param {string} options.language Content language ("en" or "fa")
+ * @param {object} options.deltas Changes since the previous period (see src/deltas.js)
+ * @param {object[]} options.anomalies Market events of a breaking post (see src/anomalies.js)
+ * @param {string} options.key Key of the post, e.g. the calendar job and date (see getJobPostKey)
+ * @returns {Promise<string|null>} Id of the scheduled post, null when its key was already queued
+ */
+export async function schedulePost(platform, target, data, timestamp, options = {}) {
+  const TableName = getENV("DYNAMODB_TABLE");
+  const id = options.key ? `post-${options.key}` : `post-${randomUUID()}`;
+  const post = {
+    Put: {
+      TableName,
+      Item: {
+        id: id,
+        // Queue index keys, scheduledAt is moved forward on each retry
+        queue: SCHEDULE_QUEUE,
+        scheduledAt: timestamp,
+        platform: platform,
+        target: target,
+        language: options.language ?? "en",
+        // Convert large numbers to strings in the data object
+        data: convertLargeNumbersToString(data),
+        deltas: options.deltas ?? null,
+        anomalies: options.anomalies ?? null,
+        timestamp: timestamp,
+        // Retry state
+        status: POST_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+      },
+      ConditionExpression: "attribute_not_exists(id)",
+    },
+  };
+
+  try {
+    if (!options.key) {
+      await docClient.send(new PutCommand(post.Put));
+      return id;
+    }
+    // The marker outlives the post, which is removed once published
+    await docClient.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName,
+              Item: {
+                id: `scheduled-${options.key}`,
+                type: "scheduled",
+                scheduleId: id,
+                expiresAt: timestamp + SCHEDULE_KEY_TTL,
+              },
+              ConditionExpression: "attribute_not_exists(id)",
+            },
+          },
+          post,
+        ],
+      })
+    );
+    return id;
+  } catch (error) {
+    if (
+      error.name === "TransactionCanceledException" &&
+      error.CancellationReasons?.some((reason) => reason.Code === "ConditionalCheckFailed")
+    ) {
+      return null;
+    }
+    console.error("Error scheduling post to DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch scheduled posts which are due from DynamoDB
+ * Queries the queue index, dead-lettered posts are not part of the index
+ * @returns {object}
+ */
+export async function getScheduledPosts() {
+  try {
+    const items = [];
+    let lastKey;
+    do {
+      const result = await docClient.send(
+        new QueryCommand({
+          TableName: getENV("DYNAMODB_TABLE"),
+          IndexName: SCHEDULE_INDEX,
+          KeyConditionExpression: "#queue = :queue AND scheduledAt <= :now",
+          ExpressionAttributeNames: {
+            "#queue": "queue",
+          },
+          ExpressionAttributeValues: {
+            ":queue": SCHEDULE_QUEUE,
+            ":now": Math.floor(Date.now() / 1000), // Convert current time to Unix timestamp in seconds
+          },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+      items.push(...(result.Items ?? []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    // Index sort key keeps the due posts ordered by scheduledAt (oldest first)
+    return items;
+  } catch (error) {
+    console.error("Error fetching scheduled posts from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a scheduled post from DynamoDB
+ * @param {string} id Id of the scheduled post
+ */
+export async function removeScheduledPost(id) {
+  try {
+    return await docClient.send(
+      new DeleteCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: id,
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Error removing scheduled post from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Store the retry state of a failed scheduled post
+ * Retries are rescheduled on the queue, dead-lettered posts leave the queue index
+ * @param {string} id Id of the scheduled post
+ * @param {object} state Result of getRetryState()
+ */
+export async function markPostFailed(id, state) {
+  const isDead = state.status === POST_STATUS.DEAD;
+  try {
+    return await docClient.send(
+      new UpdateCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: id,
+        },
+        UpdateExpression: isDead
+          ? "SET #status = :status, attempts = :attempts, lastError = :lastError, failedAt = :failedAt REMOVE #queue"
+          : "SET #status = :status, attempts = :attempts, lastError = :lastError, failedAt = :failedAt, scheduledAt = :next",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeNames: {
+          "#status": "status",
+          ...(isDead ? { "#queue": "queue" } : {}),
+        },
+        ExpressionAttributeValues: {
+          ":status": state.status,
+          ":attempts": state.attempts,
+          ":lastError": state.lastError,
+          ":failedAt": Math.floor(Date.now() / 1000),
+          ...(isDead ? {} : { ":next": state.nextAttemptAt }),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Error updating failed post on DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch a published post from history by its content hash
+ * @param {string} contentHash
+ * @returns {object|false}
+ */
+export async function getPostHistory(contentHash) {
+  try {
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: `history-${contentHash}`,
+        },
+      })
+    );
+    return result.Item ?? false;
+  } catch (error) {
+    console.error("Error fetching post history from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the progress of a Twitter thread
+ * @param {string} key - Thread key (content hash)
+ * @returns {Promise<{tweets: string[], ids: string[]}|false>}
  */
-export async function schedulePost(platform, target, data, timestamp) {
+export async function getThread(key) {
   try {
-    // Convert large numbers to strings in the data object
-    const processedData = convertLargeNumbersToString(data);
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: `thread-${key}`,
+        },
+      })
+    );
+    return result.Item ?? false;
+  } catch (error) {
+    console.error("Error fetching thread from DynamoDB:", error);
+    throw error;
+  }
+}
 
+/**
+ * Store the tweets of a thread and the ids of the tweets already posted
+ * @param {string} key - Thread key (content hash)
+ * @param {{tweets: string[], ids: string[]}} thread
+ */
+export async function saveThread(key, { tweets, ids }) {
+  try {
     return await docClient.send(
       new PutCommand({
         TableName: getENV("DYNAMODB_TABLE"),
         Item: {
-          id: `post-${platform}-${target}`,
-          platform: platform,
-          target: target,
-          data: processedData,
-          timestamp: timestamp,
+          id: `thread-${key}`,
+          type: "thread",
+          tweets,
+          ids,
+          updatedAt: Math.floor(Date.now() / 1000),
         },
       })
     );
   } catch (error) {
-    console.error("Error scheduling post to DynamoDB:", error);
+    console.error("Error saving thread to DynamoDB:", error);
     throw error;
   }
 }
 
 /**
- * Fetch scheduled posts from DynamoDB
- * @returns {object}
+ * Remove the progress of a completed thread
+ * @param {string} key - Thread key (content hash)
  */
-export async function getScheduledPosts() {
+export async function removeThread(key) {
+  try {
+    return await docClient.send(
+      new DeleteCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: `thread-${key}`,
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Error removing thread from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the Telegram message sent for a report
+ * @param {string} key - Message key (chat, target and report date)
+ * @returns {Promise<{chatId: string, messageId: number}|false>}
+ */
+export async function getTelegramMessage(key) {
+  try {
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: `telegram-${key}`,
+        },
+      })
+    );
+    return result.Item ?? false;
+  } catch (error) {
+    console.error("Error fetching Telegram message from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Store the id of a sent Telegram message so corrections edit it instead of reposting
+ * @param {string} key - Message key (chat, target and report date)
+ * @param {{chatId: string, messageId: number}} message
+ */
+export async function saveTelegramMessage(key, { chatId, messageId }) {
+  try {
+    return await docClient.send(
+      new PutCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Item: {
+          id: `telegram-${key}`,
+          type: "telegram",
+          chatId,
+          messageId,
+          updatedAt: Math.floor(Date.now() / 1000),
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Error saving Telegram message to DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Count a request in a fixed time window, the counter expires with its window
+ * @param {string} key - Rate limit key, e.g. a chat id
+ * @param {number} window - Window length in seconds
+ * @returns {Promise<number>} Requests of the current window, this one included
+ */
+export async function countRequest(key, window) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % window);
   try {
     const result = await docClient.send(
-      new ScanCommand({
+      new UpdateCommand({
         TableName: getENV("DYNAMODB_TABLE"),
-        FilterExpression: 'attribute_exists(#ts) AND #ts <= :now',
+        Key: {
+          id: `ratelimit-${key}-${windowStart}`,
+        },
+        UpdateExpression: "ADD hits :one SET #type = :type, expiresAt = :expiresAt",
         ExpressionAttributeNames: {
-          '#ts': 'timestamp',
+          "#type": "type",
         },
         ExpressionAttributeValues: {
-          ":now": Math.floor(Date.now() / 1000), // Convert current time to Unix timestamp in seconds
+          ":one": 1,
+          ":type": "ratelimit",
+          ":expiresAt": windowStart + window,
         },
+        ReturnValues: "UPDATED_NEW",
       })
     );
-    return result.Items ?? [];
+    return result.Attributes.hits;
   } catch (error) {
-    console.error("Error fetching scheduled posts from DynamoDB:", error);
+    console.error("Error counting request in DynamoDB:", error);
     throw error;
   }
 }
 
 /**
- * Remove a scheduled post from DynamoDB
- * @param {string} platform
- * @param {string} target
+ * Store an alert subscription, it can trigger right away
+ * @param {import("./alerts.js").AlertCondition & {chatId: number, language: string}} alert
+ * @returns {Promise<string>} Id of the alert
+ */
+export async function saveAlert({ symbol, metric, change, operator, value, condition, chatId, language }) {
+  try {
+    const id = `alert-${randomUUID()}`;
+    await docClient.send(
+      new PutCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Item: {
+          id,
+          type: "alert",
+          queue: ALERT_QUEUE,
+          scheduledAt: 0,
+          symbol,
+          metric,
+          change,
+          operator,
+          value,
+          condition,
+          chatId,
+          language,
+          createdAt: Math.floor(Date.now() / 1000),
+          lastTriggeredAt: null,
+        },
+        ConditionExpression: "attribute_not_exists(id)",
+      })
+    );
+    return id;
+  } catch (error) {
+    console.error("Error saving alert to DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the alert subscriptions, oldest first
+ * @param {number|string|null} chatId - Only the alerts of this chat
+ * @returns {Promise<object[]>}
+ */
+export async function getAlerts(chatId = null) {
+  try {
+    const items = [];
+    let lastKey;
+    do {
+      const result = await docClient.send(
+        new QueryCommand({
+          TableName: getENV("DYNAMODB_TABLE"),
+          IndexName: SCHEDULE_INDEX,
+          KeyConditionExpression: "#queue = :queue",
+          ...(chatId !== null ? { FilterExpression: "chatId = :chatId" } : {}),
+          ExpressionAttributeNames: {
+            "#queue": "queue",
+          },
+          ExpressionAttributeValues: {
+            ":queue": ALERT_QUEUE,
+            ...(chatId !== null ? { ":chatId": chatId } : {}),
+          },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+      items.push(...(result.Items ?? []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.error("Error fetching alerts from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a triggered alert before sending it and start its cooldown
+ * @param {string} id - Alert id
+ * @param {number} now - Unix timestamp of the evaluation
+ * @param {number} nextAt - Unix timestamp the alert can trigger again
+ * @returns {Promise<boolean>} False when the alert was removed or claimed by another run
+ */
+export async function claimAlert(id, now, nextAt) {
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id,
+        },
+        UpdateExpression: "SET scheduledAt = :nextAt, lastTriggeredAt = :now",
+        ConditionExpression: "attribute_exists(id) AND scheduledAt <= :now",
+        ExpressionAttributeValues: {
+          ":now": now,
+          ":nextAt": nextAt,
+        },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    console.error("Error claiming alert on DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Undo the claim of an alert that couldn't be sent, restoring its cooldown as read before the claim
+ * Left as is when another run changed the alert since
+ * @param {{id: string, scheduledAt: number, lastTriggeredAt?: number}} alert - Alert as read before the claim
+ * @param {number} now - Unix timestamp of the claim
  */
-export async function removeScheduledPost(platform, target) {
+export async function releaseAlert({ id, scheduledAt, lastTriggeredAt }, now) {
+  const previous = lastTriggeredAt ?? null;
+  try {
+    await docClient.send(
+      new UpdateCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id,
+        },
+        UpdateExpression:
+          previous === null
+            ? "SET scheduledAt = :scheduledAt REMOVE lastTriggeredAt"
+            : "SET scheduledAt = :scheduledAt, lastTriggeredAt = :previous",
+        ConditionExpression: "attribute_exists(id) AND lastTriggeredAt = :now",
+        ExpressionAttributeValues: {
+          ":now": now,
+          ":scheduledAt": scheduledAt,
+          ...(previous === null ? {} : { ":previous": previous }),
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return;
+    }
+    console.error("Error releasing alert on DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an alert subscription
+ * @param {string} id - Alert id
+ */
+export async function removeAlert(id) {
   try {
     return await docClient.send(
       new DeleteCommand({
         TableName: getENV("DYNAMODB_TABLE"),
         Key: {
-          id: `post-${platform}-${target}`,
+          id,
         },
       })
     );
   } catch (error) {
-    console.error("Error removing scheduled post from DynamoDB:", error);
+    console.error("Error removing alert from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a stored snapshot
+ * Named snapshots hold run state replaced on each run (alerts, anomaly history), the dated data
+ * snapshots of src/snapshots.js use them as "<source>@<date>" only with SNAPSHOT_STORE=dynamodb
+ * @param {string} name - Snapshot name, e.g. "popular" for the alerts
+ * @returns {Promise<object|false>}
+ */
+export async function getSnapshot(name) {
+  try {
+    const result = await docClient.send(
+      new GetCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: `snapshot-${name}`,
+        },
+      })
+    );
+    return result.Item ?? false;
+  } catch (error) {
+    console.error("Error fetching snapshot from DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Store a snapshot, replacing the snapshot with the same name
+ * @param {string} name - Snapshot name, e.g. "popular" for the alerts
+ * @param {object} snapshot - Snapshot attributes
+ */
+export async function saveSnapshot(name, snapshot) {
+  try {
+    return await docClient.send(
+      new PutCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Item: {
+          ...snapshot,
+          id: `snapshot-${name}`,
+          type: "snapshot",
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Error saving snapshot to DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Claim the content of a scheduled post in history before it is published
+ * The claim stays "publishing" until completeScheduledPost, so a run which stopped in between
+ * (e.g. Lambda timeout) leaves a trace and the post isn't published twice
+ * @param {object} record
+ * @param {string} record.id Id of the scheduled post
+ * @param {string} record.platform
+ * @param {string} record.target
+ * @param {string} record.contentHash
+ * @returns {Promise<boolean>} False when the content hash was already claimed or published
+ */
+export async function claimPost({ id, platform, target, contentHash }) {
+  try {
+    await docClient.send(
+      new PutCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Item: {
+          id: `history-${contentHash}`,
+          type: "history",
+          status: HISTORY_STATUS.PUBLISHING,
+          scheduleId: id,
+          platform: platform,
+          target: target,
+          contentHash: contentHash,
+          postId: null,
+          claimedAt: Math.floor(Date.now() / 1000),
+          publishedAt: null,
+        },
+        ConditionExpression: "attribute_not_exists(id)",
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    console.error("Error claiming post in DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Release the claim of a post which failed to publish, so its retry can claim it again
+ * Published posts are never released
+ * @param {string} contentHash
+ */
+export async function releasePost(contentHash) {
+  try {
+    await docClient.send(
+      new DeleteCommand({
+        TableName: getENV("DYNAMODB_TABLE"),
+        Key: {
+          id: `history-${contentHash}`,
+        },
+        ConditionExpression: "#status = :publishing",
+        ExpressionAttributeNames: {
+          "#status": "status",
+        },
+        ExpressionAttributeValues: {
+          ":publishing": HISTORY_STATUS.PUBLISHING,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return;
+    }
+    console.error("Error releasing post claim in DynamoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed post as published and remove it from the schedule atomically
+ * @param {object} record
+ * @param {string} record.id Id of the scheduled post
+ * @param {string} record.contentHash
+ * @param {string|number|null} record.postId Post id returned by the platform
+ */
+export async function completeScheduledPost({ id, contentHash, postId }) {
+  const TableName = getENV("DYNAMODB_TABLE");
+  try {
+    return await docClient.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName,
+              Key: {
+                id: `history-${contentHash}`,
+              },
+              UpdateExpression: "SET #status = :published, postId = :postId, publishedAt = :publishedAt",
+              ExpressionAttributeNames: {
+                "#status": "status",
+              },
+              ExpressionAttributeValues: {
+                ":published": HISTORY_STATUS.PUBLISHED,
+                ":postId": postId != null ? String(postId) : null,
+                ":publishedAt": Math.floor(Date.now() / 1000),
+              },
+            },
+          },
+          {
+            Delete: {
+              TableName,
+              Key: {
+                id: id,
+              },
+            },
+          },
+        ],
+      })
+    );
+  } catch (error) {
+    console.error("Error recording post history to DynamoDB:", error);
     throw error;
   }
 }
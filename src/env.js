@@ -86,3 +86,28 @@ export function isOffline() {
   }
   return false;
 }
+
+/**
+ * Return the Mastodon instance and access token
+ * The token needs the write:statuses and write:media scopes
+ * @returns {{url: string, accessToken: string}}
+ */
+export function getMastodonCredentials() {
+  return {
+    url: getENV("MASTODON_URL").replace(/\/+$/, ""),
+    accessToken: getENV("MASTODON_ACCESS_TOKEN"),
+  };
+}
+
+/**
+ * Return the Bluesky service and app password credentials
+ * Create the app password under Settings > Privacy and security > App passwords
+ * @returns {{service: string, identifier: string, password: string}}
+ */
+export function getBlueskyCredentials() {
+  return {
+    service: getENV("BLUESKY_SERVICE", "https://bsky.social").replace(/\/+$/, ""),
+    identifier: getENV("BLUESKY_IDENTIFIER"),
+    password: getENV("BLUESKY_APP_PASSWORD"),
+  };
+}
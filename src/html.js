@@ -1,126 +1,486 @@
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
 import Handlebars from "handlebars";
-import { getENV, isOffline } from "./env.js";
+import { getENV } from "./env.js";
+import { createRenderedImage, storeImage, IMAGE_TYPES } from "./images.js";
+import { IMAGE_SIZES, TEMPLATES_DIR, getTheme, getTemplateViewport, validateTemplateData } from "./templates.js";
 // Load puppeteer-core and chromium on AWS Lambda by which chromium is loaded by layer
 // https://github.com/Sparticuz/chromium/tree/master/examples/serverless-with-preexisting-lambda-layer
 // Puppeteer-core should be matched with the version of Chromium: https://pptr.dev/supported-browsers
 import puppeteerCore from "puppeteer-core";
 let chromium;
-// __dirname is not defined in ES6 modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+
+export { IMAGE_SIZES };
+
+// Resource types whose blocked or failed requests fail the render, as the image would be half styled
+const STYLE_RESOURCES = ["stylesheet", "font"];
+
+// Content types of the files inlined into stylesheets
+const FONT_TYPES = { ".woff2": "font/woff2", ".woff": "font/woff", ".ttf": "font/ttf", ".otf": "font/otf" };
+
+// Inlined local stylesheets by path, they embed the fonts so they are only read once
+const inlinedStylesheets = new Map();
+
+// Browser shared by the renders of an invocation, launched by the first one (see closeBrowser)
+let browserPromise = null;
+
+// Pages rendering right now, and the renders waiting for a free page
+let openPages = 0;
+const waitingRenders = [];
+
+/**
+ * Render job of a batch
+ * @typedef {Object} RenderJob
+ * @property {string} template - Template name (see static/templates/manifest.json)
+ * @property {Object} data - Template data
+ * @property {string} [theme] - Theme of the template (default: its first theme)
+ * @property {string} outputFileName - File name of the upload, its extension follows the format
+ * @property {string|{width: number, height: number}} [size] - Key of IMAGE_SIZES or a viewport (default: the first size of the template)
+ * @property {string} [format] - Key of IMAGE_TYPES
+ * @property {number} [quality] - Quality of lossy formats (1-100)
+ * @property {number} [deviceScaleFactor] - Pixel density of the screenshot
+ */
+
+/**
+ * Resolve the viewport of a render
+ * @param {string|{width: number, height: number}} size - Key of IMAGE_SIZES or a viewport
+ * @returns {{width: number, height: number}}
+ * @throws {Error} When the size is unknown
+ */
+export function getViewport(size = "square") {
+  if (typeof size === "object" && size?.width && size?.height) {
+    return size;
+  }
+  if (!IMAGE_SIZES[size]) {
+    throw new Error(`Unknown image size: ${size}. Must be one of: ${Object.keys(IMAGE_SIZES).join(", ")}`);
+  }
+  return IMAGE_SIZES[size];
+}
+
+/**
+ * Resolve the screenshot format and quality, defaults come from IMAGE_FORMAT and IMAGE_QUALITY
+ * @param {Object} options
+ * @param {string} options.format - Key of IMAGE_TYPES (default: IMAGE_FORMAT or "jpeg")
+ * @param {number} options.quality - Quality of lossy formats (default: IMAGE_QUALITY or 100)
+ * @returns {{format: string, quality: number|null, extension: string, mimeType: string}} Null quality for PNG
+ * @throws {Error} When the format is unknown or the quality is out of range
+ */
+export function getImageFormat(options = {}) {
+  const format = String(options.format ?? getENV("IMAGE_FORMAT", "jpeg")).toLowerCase();
+  if (!IMAGE_TYPES[format]) {
+    throw new Error(`Unknown image format: ${format}. Must be one of: ${Object.keys(IMAGE_TYPES).join(", ")}`);
+  }
+  const { extension, mimeType, lossy } = IMAGE_TYPES[format];
+  const quality = Number(options.quality ?? getENV("IMAGE_QUALITY", "100"));
+  if (lossy && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    throw new Error(`Invalid image quality: ${quality}. Must be an integer from 1 to 100`);
+  }
+  return { format, quality: lossy ? quality : null, extension, mimeType };
+}
+
+/**
+ * Replace the extension of an output file name with the one of its format
+ * @param {string} outputFileName - e.g. "weekly-coins.jpg"
+ * @param {string} extension - e.g. ".webp"
+ * @returns {string} e.g. "weekly-coins.webp"
+ */
+export function getOutputFileName(outputFileName, extension) {
+  const current = path.extname(outputFileName);
+  return (current ? outputFileName.slice(0, -current.length) : outputFileName) + extension;
+}
+
+/**
+ * Hosts renders may fetch images from (RENDER_ALLOWED_HOSTS, default: irancrypto.market)
+ * Subdomains of a host are allowed too
+ * @returns {string[]}
+ */
+export function getAllowedHosts() {
+  return getENV("RENDER_ALLOWED_HOSTS", "irancrypto.market")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a page may load a URL, everything else is blocked
+ * Inlined data: URIs are always allowed, remote ones only over HTTPS from the allowed hosts
+ * @param {string} url
+ * @param {string[]} hosts - Allowed hosts (default: getAllowedHosts())
+ * @returns {boolean}
+ */
+export function isRequestAllowed(url, hosts = getAllowedHosts()) {
+  if (url.startsWith("data:") || url === "about:blank") {
+    return true;
+  }
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === "https:" && hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Milliseconds a render may take, from the new page to the screenshot (RENDER_TIMEOUT, default: 20000)
+ * Kept below the 30 s Lambda timeout, so a slow render fails with its own error instead of a killed invocation
+ * @returns {number}
+ */
+function getRenderTimeout() {
+  return Math.max(1000, parseInt(getENV("RENDER_TIMEOUT", "20000"), 10) || 20000);
+}
+
+/**
+ * Pages rendered at the same time (RENDER_CONCURRENCY, default: 3)
+ * @returns {number}
+ */
+function getRenderConcurrency() {
+  return Math.max(1, parseInt(getENV("RENDER_CONCURRENCY", "3"), 10) || 1);
+}
+
+/**
+ * Wait for a free page
+ * @returns {Promise<void>}
+ */
+async function acquirePage() {
+  if (openPages < getRenderConcurrency()) {
+    openPages++;
+    return;
+  }
+  // The page is handed over by releasePage, so the count stays the same
+  await new Promise((resolve) => waitingRenders.push(resolve));
+}
+
+/**
+ * Hand the page over to the next waiting render, or free it
+ */
+function releasePage() {
+  const next = waitingRenders.shift();
+  if (next) {
+    next();
+  } else {
+    openPages--;
+  }
+}
+
+/**
+ * Launch Chromium, from the Lambda layer or the CHROMIUM path
+ * @returns {Promise<import("puppeteer-core").Browser>}
+ */
+async function launchBrowser() {
+  const optArgs=[
+    '--no-zygote',
+    '--no-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-setuid-sandbox',
+    // Same glyph shapes on every host, see the font checks of renderPage
+    '--font-render-hinting=none',
+    '--force-color-profile=srgb',
+    '--hide-scrollbars',
+  ];
+
+  // Load Chromium on AWS Lambda
+  if (!getENV("CHROMIUM", null)) {
+    // Get Chromium data on AWS Lambda layer
+    chromium = await import("@sparticuz/chromium");
+    chromium = chromium.default; // Get default export
+    return await puppeteerCore.launch({
+      executablePath: await chromium.executablePath(),
+      headless: chromium.headless,
+      args: chromium.args.concat(optArgs),
+    });
+  }
+  // Define Chromium path manually via .env
+  return await puppeteerCore.launch({
+    executablePath: getENV("CHROMIUM", null),
+    args: optArgs,
+  });
+}
+
+/**
+ * Get the shared browser, launching it on the first render
+ * A crashed or closed browser is launched again by the next render
+ * @returns {Promise<import("puppeteer-core").Browser>}
+ */
+export async function getBrowser() {
+  if (!browserPromise) {
+    const launching = launchBrowser().then((browser) => {
+      browser.once("disconnected", () => {
+        if (browserPromise === launching) {
+          browserPromise = null;
+        }
+      });
+      return browser;
+    });
+    browserPromise = launching;
+    // Let the next render retry a failed launch
+    launching.catch(() => {
+      if (browserPromise === launching) {
+        browserPromise = null;
+      }
+    });
+  }
+  return await browserPromise;
+}
+
+/**
+ * Close the shared browser, call it at the end of every invocation that renders images
+ * Lambda freezes the process between invocations, a browser left open would be stale
+ * @returns {Promise<void>}
+ */
+export async function closeBrowser() {
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) {
+    return;
+  }
+  try {
+    await (await pending).close();
+  } catch (error) {
+    console.error(`Error closing browser`, error);
+  }
+}
+
+/**
+ * Block the requests of a page outside the allowlist (see isRequestAllowed)
+ * @param {import("puppeteer-core").Page} page
+ * @returns {Promise<{url: string, type: string, reason: string}[]>} Blocked and failed requests, filled while the page loads
+ */
+async function isolatePage(page) {
+  const hosts = getAllowedHosts();
+  const failures = [];
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    if (isRequestAllowed(request.url(), hosts)) {
+      request.continue();
+    } else {
+      failures.push({ url: request.url(), type: request.resourceType(), reason: "blocked" });
+      request.abort("blockedbyclient");
+    }
+  });
+  page.on("requestfailed", (request) => {
+    if (isRequestAllowed(request.url(), hosts)) {
+      failures.push({ url: request.url(), type: request.resourceType(), reason: request.failure()?.errorText ?? "failed" });
+    }
+  });
+  return failures;
+}
+
+/**
+ * Load the HTML in an isolated page, wait for its fonts and take the screenshot
+ * @param {import("puppeteer-core").Page} page
+ * @param {string} templateName
+ * @param {string} html - Rendered template with inlined assets
+ * @param {object} screenshotOptions - Options of element.screenshot()
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} When a stylesheet or font didn't load, or no bundled font was used
+ */
+async function renderPage(page, templateName, html, screenshotOptions) {
+  const failures = await isolatePage(page);
+  await page.setContent(html, { waitUntil: "load" });
+  // Fonts load lazily once text needs them, wait for every face the layout asked for
+  const fonts = await page.evaluate(async () => {
+    await document.fonts.ready;
+    return [...document.fonts].map((font) => ({ family: font.family, status: font.status }));
+  });
+
+  const broken = failures.filter((failure) => STYLE_RESOURCES.includes(failure.type));
+  if (broken.length) {
+    throw new Error(
+      `Render of ${templateName} lost styles: ${broken.map((failure) => `${failure.url} (${failure.reason})`).join(", ")}`
+    );
+  }
+  const failedFonts = fonts.filter((font) => font.status === "error");
+  if (failedFonts.length) {
+    throw new Error(`Render of ${templateName} failed to load fonts: ${failedFonts.map((font) => font.family).join(", ")}`);
+  }
+  if (!fonts.some((font) => font.status === "loaded")) {
+    throw new Error(`Render of ${templateName} uses no bundled font`);
+  }
+  for (const failure of failures) {
+    console.error(`Render of ${templateName} skipped ${failure.type} ${failure.url} (${failure.reason})`);
+  }
+
+  // The viewport already has the size of the template, capturing beyond it shifts right-to-left pages out of the clip
+  const element = await page.$("body");
+  return await element.screenshot({ ...screenshotOptions, captureBeyondViewport: false });
+}
 
 /**
  * Generate an image from an HTML + Parsing via Handlebars
+ * Renders in a page of the shared browser, at most RENDER_CONCURRENCY pages at a time
+ * The page can't reach the network beyond RENDER_ALLOWED_HOSTS, and the render fails after RENDER_TIMEOUT
+ * The image stays in memory, a copy is kept in the IMAGE_STORE when one is configured
  * @param {string} templateName
  * @param {object} data
- * @param {string} outputFileName
- * @returns {Promise<string>} The path to the generated image
+ * @param {string} outputFileName - File name, its extension is replaced to match the format
+ * @param {object} options
+ * @param {string} options.theme - Theme of the template (default: its first theme)
+ * @param {object} options.viewport - Viewport size {width, height} (default: the first size of the template)
+ * @param {number} options.deviceScaleFactor - Pixel density of the screenshot (default: 3)
+ * @param {string} options.format - "jpeg", "png" or "webp" (default: IMAGE_FORMAT or "jpeg")
+ * @param {number} options.quality - Quality of JPEG and WebP (default: IMAGE_QUALITY or 100)
+ * @returns {Promise<import("./images.js").RenderedImage>}
+ * @throws {Error} When the data doesn't match the template, or the render times out or loses its styles
  */
 export async function createImageFromTemplate(
   templateName,
   data,
-  outputFileName
+  outputFileName,
+  options = {}
 ) {
-  // Initialize browser
-  let browser = null;
+  const { viewport = getTemplateViewport(templateName), deviceScaleFactor = 3 } = options;
+  const { format, quality, extension } = getImageFormat(options);
+  const timeout = getRenderTimeout();
+  let page = null;
+  let timer = null;
+  let timedOut = false;
+  let screenshot;
+  await acquirePage();
   try {
     // Render Template to HTML
-    const template = await renderTemplate(templateName, data, true);
-    const optArgs=[
-      '--no-zygote',
-      '--no-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-setuid-sandbox',
-      '--disable-web-security',
-      '--force-color-profile=srgb',
-      '--hide-scrollbars',
-    ];
-
-    // Load Chromium on AWS Lambda
-    if (!getENV("CHROMIUM", null)) {
-      // Get Chromium data on AWS Lambda layer
-      chromium = await import("@sparticuz/chromium");
-      chromium = chromium.default; // Get default export
-      browser = await puppeteerCore.launch({
-        executablePath: await chromium.executablePath(),
-        headless: chromium.headless,
-        args: chromium.args.concat(optArgs),
-      });
-      // Define Chromium path manually via .env
-    } else {
-      browser = await puppeteerCore.launch({
-        executablePath: getENV("CHROMIUM", null),
-        args: optArgs,
+    const template = await renderTemplate(templateName, data, { theme: options.theme, inline: true });
+    const render = async () => {
+      const browser = await getBrowser();
+      const opened = await browser.newPage();
+      if (timedOut) {
+        // The render was already given up, nothing would close this page
+        await opened.close();
+        return null;
+      }
+      page = opened;
+      page.setDefaultTimeout(timeout);
+      // Set viewport to increase quality
+      await page.setViewport({ width: viewport.width, height: viewport.height, deviceScaleFactor });
+      // Take Screenshot in memory, PNG takes no quality
+      return await renderPage(page, templateName, template, {
+        type: format,
+        ...(quality === null ? {} : { quality }),
+        omitBackground: true,
       });
-    }
-    const page = await browser.newPage();
-    // Set viewport to increase quality
-    await page.setViewport({ width: 1024, height: 1024, deviceScaleFactor: 3 });
-    // Set HTML Content
-    await page.setContent(template);
-    // Wait for any asynchronous operations to complete
-    // await page.waitForTimeout(1000);
-    // Take a screenshot of the entire page
-    const element = await page.$("body");
-    // Output filedir on Lambda /tmp/
-    const $outputPath = isOffline() ? "./" : "/tmp/writable/ig/";
-    // Create the directory if it doesn't exist
-    if (!fs.existsSync($outputPath)) {
-      await fs.promises.mkdir($outputPath, { recursive: true });
-    }
-    // Take Screenshot and save it to file
-    await element.screenshot({
-      type: "jpeg",
-      quality: 100,
-      omitBackground: true,
-      path: $outputPath + outputFileName, // Write on the disk
-    });
-    return $outputPath + outputFileName;
+    };
+    screenshot = await Promise.race([
+      render(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error(`Render of ${templateName} timed out after ${timeout} ms`));
+        }, timeout);
+      }),
+    ]);
   } catch (error) {
     console.error(`Error generating image`, error);
     throw error;
   } finally {
-    if (browser) {
-      await browser.close();
+    clearTimeout(timer);
+    if (page) {
+      await page.close().catch((error) => console.error(`Error closing page`, error));
     }
+    releasePage();
   }
+  return await storeImage(await createRenderedImage(screenshot, getOutputFileName(outputFileName, extension)));
 }
 
 /**
- * Load a HTML template and render it with handlebars and convert images to base64
- * @param {string} templateName
+ * Render a batch of images in parallel pages of the shared browser
+ * @param {RenderJob[]} jobs
+ * @returns {Promise<import("./images.js").RenderedImage[]>} Images, in the order of the jobs
+ * @throws {Error} When a job is invalid, or a render fails
+ */
+export async function renderImages(jobs) {
+  // Validate the whole batch before the first render starts
+  const viewports = jobs.map((job) =>
+    job.size === undefined ? getTemplateViewport(job.template) : getViewport(job.size)
+  );
+  jobs.forEach((job) => {
+    getImageFormat(job);
+    getTheme(job.template, job.theme);
+    validateTemplateData(job.template, job.data);
+  });
+  return await Promise.all(
+    jobs.map((job, index) =>
+      createImageFromTemplate(job.template, job.data, job.outputFileName, {
+        theme: job.theme,
+        viewport: viewports[index],
+        deviceScaleFactor: job.deviceScaleFactor,
+        format: job.format,
+        quality: job.quality,
+      })
+    )
+  );
+}
+
+/**
+ * Load a HTML template and render it with handlebars, optionally inlining its local assets
+ * The data is validated against the fields the manifest declares, and the palette of the theme is passed as `theme`
+ * Inlined pages load nothing from disk: images become base64 URIs and stylesheets <style> tags with their fonts
+ * @param {string} templateName - Template name (see static/templates/manifest.json)
  * @param {object} data
- * @param {boolean} convertImageToBase64
+ * @param {object} options
+ * @param {string} options.theme - Theme of the template (default: its first theme)
+ * @param {boolean} options.inline - Inline the local images and stylesheets
  * @returns {Promise<string>}
+ * @throws {Error} When the template, theme or data is invalid, or a local stylesheet or one of its fonts is missing
  */
-export async function renderTemplate(
-  templateName,
-  data,
-  convertImageToBase64 = false
-) {
-  const templatePath = path.join(
-    __dirname,
-    "../static/templates",
-    templateName + ".html"
-  );
+export async function renderTemplate(templateName, data, options = {}) {
+  const { palette } = getTheme(templateName, options.theme);
+  validateTemplateData(templateName, data);
+  const templatePath = path.join(TEMPLATES_DIR, templateName + ".html");
   // Read the template file
   let template = await fs.promises.readFile(templatePath, {
     encoding: "utf-8",
   });
   // Handlebars
-  if (data && typeof data === "object") {
-    template = Handlebars.compile(template)(data);
-  }
-  // Change image paths to base64 URIs
-  if (convertImageToBase64) {
+  template = Handlebars.compile(template)({ ...data, theme: palette });
+  // Change image paths to base64 URIs and stylesheets to <style> tags
+  if (options.inline) {
     template = await changeImageSrcToBase64(template);
+    template = await inlineStylesheets(template);
   }
   return template;
 }
 
+/**
+ * Replace <link> tags of local stylesheets with <style> tags, their url() files become base64 URIs
+ * @param {string} htmlContent
+ * @returns {Promise<string>}
+ * @throws {Error} When a stylesheet or one of its files is missing
+ */
+async function inlineStylesheets(htmlContent) {
+  const baseDir = TEMPLATES_DIR;
+  const linkTagRegex = /<link[^>]*rel=["']stylesheet["'][^>]*href=["']((?!https?:\/\/)[^"']+)["'][^>]*>/gi;
+
+  return await htmlContent.replaceAsync(linkTagRegex, async (match, href) => {
+    const stylesheetPath = path.join(baseDir, href);
+    if (!inlinedStylesheets.has(stylesheetPath)) {
+      inlinedStylesheets.set(stylesheetPath, readStylesheet(stylesheetPath));
+    }
+    try {
+      return `<style>${await inlinedStylesheets.get(stylesheetPath)}</style>`;
+    } catch (error) {
+      // Let the next render read it again
+      inlinedStylesheets.delete(stylesheetPath);
+      throw new Error(`Stylesheet ${href} can't be inlined: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Read a stylesheet and embed its relative url() files
+ * @param {string} stylesheetPath
+ * @returns {Promise<string>}
+ */
+async function readStylesheet(stylesheetPath) {
+  const css = await fs.promises.readFile(stylesheetPath, { encoding: "utf-8" });
+  return await css.replaceAsync(/url\((["']?)((?!data:|https?:\/\/)[^"')]+)\1\)/gi, async (match, quote, file) => {
+    const buffer = await fs.promises.readFile(path.join(path.dirname(stylesheetPath), file));
+    const type = FONT_TYPES[path.extname(file).toLowerCase()] ?? "application/octet-stream";
+    return `url(data:${type};base64,${buffer.toString("base64")})`;
+  });
+}
+
 /**
  * Changing local file paths in <img> tags to base64 URIs
  * @param {string} htmlContent
@@ -128,7 +488,7 @@ export async function renderTemplate(
  */
 async function changeImageSrcToBase64(htmlContent) {
   try {
-    const baseDir = path.join(__dirname, "../static", "templates");
+    const baseDir = TEMPLATES_DIR;
     // Regular expression to match <img> tags with local file paths
     const imgTagRegex = /<img[^>]*src=["']((?!https?:\/\/)[^"']+)["'][^>]*>/gi;
 
@@ -181,13 +541,3 @@ String.prototype.replaceAsync = async function (regex, asyncFn) {
   const replacedValues = await Promise.all(promises);
   return this.replace(regex, () => replacedValues.shift());
 };
-
-/**
- * Decide whether to use a dark or light theme
- * @returns {string} "dark"/"light"/"black"
- */
-export function getRandomTheme() {
-  const themes = ["black", "light", "dark"];
-  const randomIndex = Math.floor(Math.random() * themes.length);
-  return themes[randomIndex];
-}
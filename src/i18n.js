@@ -0,0 +1,181 @@
+/**
+ * Localization Helper
+ * Supported content languages and the static strings used on images and captions
+ */
+
+export const LANGUAGES = {
+  EN: "en",
+  FA: "fa",
+};
+
+export const DEFAULT_LANGUAGE = LANGUAGES.EN;
+
+// Right-to-left languages
+const RTL_LANGUAGES = [LANGUAGES.FA];
+
+const STRINGS = {
+  [LANGUAGES.EN]: {
+    currency: "IRR",
+    dailyRecapTitle: "Daily Recap",
+    weeklyRecapTitle: "Weekly Recap",
+    monthlyExchangeTitle: "Exchanges Monthly Recap",
+    coinHeaders: ["Token", "Average Price", "Traded Volume"],
+    dailySubtitle: "Total traded volume (24h): {volume}",
+    weeklySubtitle: "Total traded volume in past week: {volume}",
+    monthlySubtitle: "Total traded volume in past month: {volume}",
+    exchangeHeaders: ["Exchange", "Traded Volume"],
+    lastUpdate: "Last update",
+    altTable: "Table with {count} rows: {columns}",
+    trendNew: "NEW",
+    movementUp: "up {places}",
+    movementDown: "down {places}",
+    movementSame: "same rank",
+    movementNew: "new",
+    breakingTitle: "BREAKING",
+    breakingSubtitle: "Unusual activity in the past hour",
+    anomalySpike: "{name} volume jumped to {volume}, {deviations}σ above its {hours}h average of {average}",
+    anomalyEntrant: "{name} entered the top 10 at #{rank} with {volume}",
+    anomalyCollapse: "Total volume fell {change}% below its {hours}h average, to {volume}",
+    dailyExchangeTitle: "Exchanges Daily Recap",
+    coinsChartTitle: "Top 10 Tokens by Volume",
+    exchangesChartTitle: "Exchanges Market Share",
+    volumeChartTitle: "Daily Traded Volume",
+    volumeChartSubtitle: "Coins traded in Iran, past {days} days",
+    chartOthers: "Others",
+    altBarChart: "Bar chart of {count} items",
+    altPieChart: "Pie chart of {count} slices",
+    altLineChart: "Line chart of {count} days",
+    botHelp: "Iran crypto market stats from irancrypto.market\n\n/top - Most traded coins (24h)\n/coin BTC - Price and volume of a coin\n/exchanges - Most active exchanges (24h)\n/weekly - Most traded coins of the past week\n\n/alert BTC volume > 500B - Get a message when a coin crosses a volume, price or rank\n/alerts - Your alerts\n/unalert 1 - Remove an alert",
+    botCoin: "<b>{name} ({symbol})</b>\nRank: #{rank}\nAverage price: {price}\nTraded volume (24h): {volume}",
+    botCoinUsage: "Send a coin symbol, e.g. /coin BTC",
+    botCoinNotFound: "{symbol} isn't traded on Iranian exchanges right now.",
+    botRateLimited: "Too many requests, please try again in a minute.",
+    botError: "Something went wrong, please try again later.",
+    botAlertUsage: "Set an alert with a coin, a metric (volume, price or rank), a comparison and a value:\n/alert BTC volume > 500B\n/alert ETH price < 3000\n/alert BTC rank <= 3\n/alert BTC volume change > 50%\n/alert BTC rank change >= 3",
+    botAlertPrivate: "Alerts are sent as direct messages, set them in a private chat with the bot.",
+    botAlertCreated: "Alert set: {condition}\nIt triggers at most once every {hours} hours.",
+    botAlertDuplicate: "You already have this alert.",
+    botAlertLimit: "You can have up to {max} alerts, remove one with /unalert.",
+    botAlertList: "Your alerts:\n{alerts}\n\nRemove one with /unalert 1",
+    botAlertNone: "You have no alerts, set one with /alert BTC volume > 500B",
+    botAlertRemoved: "Alert removed: {condition}",
+    botAlertNotFound: "There is no alert {number}, see /alerts",
+    botAlertTriggered: "🔔 {condition}\nNow: {value}\nPrevious: {previous}",
+  },
+  [LANGUAGES.FA]: {
+    currency: "ریال",
+    dailyRecapTitle: "گزارش روزانه",
+    weeklyRecapTitle: "گزارش هفتگی",
+    monthlyExchangeTitle: "گزارش ماهانه صرافی‌ها",
+    coinHeaders: ["توکن", "میانگین قیمت", "حجم معاملات"],
+    dailySubtitle: "حجم کل معاملات (۲۴ ساعت): {volume}",
+    weeklySubtitle: "حجم کل معاملات هفته گذشته: {volume}",
+    monthlySubtitle: "حجم کل معاملات ماه گذشته: {volume}",
+    exchangeHeaders: ["صرافی", "حجم معاملات"],
+    lastUpdate: "آخرین به‌روزرسانی",
+    altTable: "جدولی با {count} ردیف: {columns}",
+    trendNew: "جدید",
+    movementUp: "{places} پله صعود",
+    movementDown: "{places} پله نزول",
+    movementSame: "بدون تغییر رتبه",
+    movementNew: "تازه‌وارد",
+    breakingTitle: "خبر فوری",
+    breakingSubtitle: "فعالیت غیرعادی در یک ساعت گذشته",
+    anomalySpike: "حجم معاملات {name} به {volume} رسید، {deviations} انحراف معیار بالاتر از میانگین {hours} ساعت گذشته ({average})",
+    anomalyEntrant: "{name} با حجم {volume} به رتبه {rank} در میان ۱۰ رمزارز برتر رسید",
+    anomalyCollapse: "حجم کل معاملات {change}٪ کمتر از میانگین {hours} ساعت گذشته شد و به {volume} رسید",
+    dailyExchangeTitle: "گزارش روزانه صرافی‌ها",
+    coinsChartTitle: "۱۰ توکن پرمعامله",
+    exchangesChartTitle: "سهم بازار صرافی‌ها",
+    volumeChartTitle: "حجم معاملات روزانه",
+    volumeChartSubtitle: "رمزارزهای معامله‌شده در ایران، {days} روز گذشته",
+    chartOthers: "سایر",
+    altBarChart: "نمودار میله‌ای با {count} مورد",
+    altPieChart: "نمودار دایره‌ای با {count} بخش",
+    altLineChart: "نمودار خطی {count} روز",
+    botHelp: "آمار بازار رمزارز ایران از irancrypto.market\n\n/top - پرمعامله‌ترین رمزارزها (۲۴ ساعت)\n/coin BTC - قیمت و حجم معاملات یک رمزارز\n/exchanges - فعال‌ترین صرافی‌ها (۲۴ ساعت)\n/weekly - پرمعامله‌ترین رمزارزهای هفته گذشته\n\n/alert BTC volume > 500B - دریافت پیام وقتی حجم، قیمت یا رتبه یک رمزارز از حدی بگذرد\n/alerts - هشدارهای شما\n/unalert 1 - حذف یک هشدار",
+    botCoin: "<b>{name} ({symbol})</b>\nرتبه: {rank}\nمیانگین قیمت: {price}\nحجم معاملات (۲۴ ساعت): {volume}",
+    botCoinUsage: "نماد رمزارز را بفرستید، مثلا /coin BTC",
+    botCoinNotFound: "{symbol} در حال حاضر در صرافی‌های ایرانی معامله نمی‌شود.",
+    botRateLimited: "درخواست‌ها زیاد است، لطفا یک دقیقه دیگر دوباره تلاش کنید.",
+    botError: "مشکلی پیش آمد، لطفا بعدا دوباره تلاش کنید.",
+    botAlertUsage: "هشدار را با نماد رمزارز، معیار (volume، price یا rank)، مقایسه و مقدار تنظیم کنید:\n/alert BTC volume > 500B\n/alert ETH price < 3000\n/alert BTC rank <= 3\n/alert BTC volume change > 50%\n/alert BTC rank change >= 3",
+    botAlertPrivate: "هشدارها به صورت پیام خصوصی ارسال می‌شوند، آن‌ها را در گفتگوی خصوصی با ربات تنظیم کنید.",
+    botAlertCreated: "هشدار تنظیم شد: {condition}\nهر {hours} ساعت حداکثر یک بار ارسال می‌شود.",
+    botAlertDuplicate: "این هشدار را قبلا تنظیم کرده‌اید.",
+    botAlertLimit: "حداکثر {max} هشدار می‌توانید داشته باشید، یکی را با /unalert حذف کنید.",
+    botAlertList: "هشدارهای شما:\n{alerts}\n\nبرای حذف: /unalert 1",
+    botAlertNone: "هشداری ندارید، با /alert BTC volume > 500B یکی تنظیم کنید",
+    botAlertRemoved: "هشدار حذف شد: {condition}",
+    botAlertNotFound: "هشدار {number} وجود ندارد، /alerts را ببینید",
+    botAlertTriggered: "🔔 {condition}\nاکنون: {value}\nقبلی: {previous}",
+  },
+};
+
+/**
+ * Normalize a language code, falling back to the default language
+ * @param {string} language - Language code such as "en", "fa" or "fa-IR"
+ * @returns {string} Supported language code
+ * @throws {Error} When the language is not supported
+ */
+export function normalizeLanguage(language) {
+  if (!language) {
+    return DEFAULT_LANGUAGE;
+  }
+  const code = String(language).toLowerCase().split(/[-_]/)[0];
+  if (!Object.values(LANGUAGES).includes(code)) {
+    throw new Error(`Unsupported language: ${language}. Must be one of: ${Object.values(LANGUAGES).join(", ")}`);
+  }
+  return code;
+}
+
+/**
+ * Check whether a language is written right-to-left
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isRTL(language) {
+  return RTL_LANGUAGES.includes(normalizeLanguage(language));
+}
+
+/**
+ * Get a localized string and replace its {placeholders}
+ * @param {string} language - Language code
+ * @param {string} key - String key
+ * @param {Object} vars - Placeholder values
+ * @returns {*} Localized string (or array for list entries)
+ */
+export function translate(language, key, vars = {}) {
+  const strings = STRINGS[normalizeLanguage(language)];
+  const value = strings[key] ?? STRINGS[DEFAULT_LANGUAGE][key];
+  if (value === undefined) {
+    throw new Error(`Missing translation: ${key}`);
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  return fillPlaceholders(value, vars);
+}
+
+/**
+ * Replace the {placeholders} of a string, unknown placeholders are kept
+ * @param {string} text
+ * @param {Object} vars - Placeholder values
+ * @returns {string}
+ */
+export function fillPlaceholders(text, vars = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * Get the localized name of a token or exchange returned by the API
+ * @param {Object} item - API item
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function getItemName(item, language) {
+  if (normalizeLanguage(language) === LANGUAGES.FA) {
+    return item.name_fa || item.name || item.name_en;
+  }
+  return item.name_en || item.name;
+}
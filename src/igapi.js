@@ -5,6 +5,8 @@
 import { IgApiClient } from "instagram-private-api";
 import { readFileSync, existsSync } from "fs";
 import { isOffline, getENV } from "./env.js";
+import { getImageSize } from "./util.js";
+import { getImageType } from "./images.js";
 const ig = new IgApiClient();
 let user;
 
@@ -98,20 +100,92 @@ async function loadSession() {
  * Publish an image
  * @param {*} file
  * @param {string} caption
+ * @param {object} options
+ * @param {string} options.altText - Accessibility caption read by screen readers
  * @returns {object}
  */
-export async function publishImage(file, caption) {
+export async function publishImage(file, caption, options = {}) {
   // Login to account first
   await login();
   if (typeof file === "string" && !existsSync(file)) {
     throw new Error("File not found");
   }
   try {
-    const request = await ig.publish.photo({
-      // read the file into a Buffer
-      file: typeof file === "string" ? readFileSync(file) : file, //Supporting readFile and buffer
-      caption: caption,
+    //Supporting readFile and buffer
+    const buffer = typeof file === "string" ? readFileSync(file) : file;
+    let request;
+    if (options.altText) {
+      // publish.photo() doesn't forward the accessibility caption, configure the upload directly
+      const { upload_id } = await ig.upload.photo({ file: buffer });
+      const size = getImageSize(buffer, await getImageType(buffer));
+      request = await ig.media.configure({
+        upload_id,
+        ...(size ? { width: size.width, height: size.height } : {}),
+        caption: caption,
+        custom_accessibility_caption: options.altText,
+      });
+    } else {
+      request = await ig.publish.photo({
+        file: buffer,
+        caption: caption,
+      });
+    }
+    return {
+      id: request.media.id,
+      code: request.media.code,
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Upload the images of a carousel and configure it with the accessibility caption of each slide
+ * publish.album() doesn't forward the accessibility captions, so the sidecar is configured directly
+ * @param {import("instagram-private-api").IgApiClient} client - Logged in client
+ * @param {Buffer[]} buffers - Images, in order
+ * @param {string} caption
+ * @param {string[]} altTexts - Accessibility captions, by image
+ * @returns {Promise<object>} Configure response
+ */
+export async function configureAlbum(client, buffers, caption, altTexts) {
+  const children = [];
+  for (const [index, buffer] of buffers.entries()) {
+    const { upload_id } = await client.upload.photo({ file: buffer, isSidecar: true });
+    const size = getImageSize(buffer, await getImageType(buffer));
+    children.push({
+      upload_id,
+      ...(size ? { width: size.width, height: size.height } : {}),
+      ...(altTexts[index] ? { custom_accessibility_caption: altTexts[index] } : {}),
     });
+  }
+  return await client.media.configureSidecar({ caption, children_metadata: children });
+}
+
+/**
+ * Publish images as a carousel (album)
+ * @param {Array} files - Paths or buffers, in order
+ * @param {string} caption
+ * @param {object} options
+ * @param {string[]} options.altTexts - Accessibility captions of the images read by screen readers
+ * @returns {object}
+ */
+export async function publishAlbum(files, caption, options = {}) {
+  // Login to account first
+  await login();
+  const missing = files.find((file) => typeof file === "string" && !existsSync(file));
+  if (missing) {
+    throw new Error(`File not found: ${missing}`);
+  }
+  try {
+    //Supporting readFile and buffer
+    const buffers = files.map((file) => (typeof file === "string" ? readFileSync(file) : file));
+    const request = options.altTexts?.some(Boolean)
+      ? await configureAlbum(ig, buffers, caption, options.altTexts)
+      : await ig.publish.album({
+          items: buffers.map((buffer) => ({ file: buffer })),
+          caption: caption,
+        });
     return {
       id: request.media.id,
       code: request.media.code,
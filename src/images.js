@@ -0,0 +1,186 @@
+/**
+ * Rendered Images
+ * Images are rendered to memory and handed to the publishers as buffers with their metadata.
+ * They can also be kept in a store for debugging or archiving, selected with IMAGE_STORE:
+ * - local: Files in IMAGE_DIR
+ * - s3: Objects in an S3-compatible bucket (IMAGE_S3_BUCKET)
+ * - none: Nothing is kept
+ */
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { fileTypeFromBuffer } from "file-type";
+import { getENV, isOffline } from "./env.js";
+import { getImageSize } from "./util.js";
+import { createBucket } from "./s3.js";
+
+// Extension and content type of the supported images, which are also the screenshot formats
+// Quality only applies to the lossy ones
+export const IMAGE_TYPES = {
+  jpeg: { extension: ".jpg", mimeType: "image/jpeg", lossy: true },
+  png: { extension: ".png", mimeType: "image/png", lossy: false },
+  webp: { extension: ".webp", mimeType: "image/webp", lossy: true },
+};
+
+// Image type of a file extension
+const EXTENSION_TYPES = { ".jpg": "jpeg", ".jpeg": "jpeg", ".png": "png", ".webp": "webp" };
+
+/**
+ * Image rendered in memory
+ * @typedef {Object} RenderedImage
+ * @property {Buffer} buffer - Image data
+ * @property {string} fileName - File name for uploads, e.g. "weekly-coins.jpg"
+ * @property {string} mimeType - e.g. "image/jpeg"
+ * @property {string} extension - e.g. ".jpg"
+ * @property {number|null} width - Pixel width, null when the header can't be read
+ * @property {number|null} height - Pixel height, null when the header can't be read
+ * @property {string} hash - SHA-256 of the data (hex)
+ * @property {string|null} location - Path or URL of the stored copy, null when it isn't stored
+ */
+
+/**
+ * Detect the type of image data with file-type, as the Twitter upload does
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<string|null>} Key of IMAGE_TYPES, null for other data
+ */
+export async function getImageType(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+  const fileType = await fileTypeFromBuffer(buffer);
+  return Object.keys(IMAGE_TYPES).find((type) => IMAGE_TYPES[type].mimeType === fileType?.mime) ?? null;
+}
+
+/**
+ * Build a rendered image from its data
+ * @param {Buffer|Uint8Array} data - Image data
+ * @param {string} fileName - File name, its extension is replaced with the one of the detected type
+ * @returns {Promise<RenderedImage>}
+ * @throws {Error} When the type can't be told from the data nor the file name
+ */
+export async function createRenderedImage(data, fileName) {
+  const buffer = Buffer.from(data);
+  const type = (await getImageType(buffer)) ?? EXTENSION_TYPES[path.extname(fileName).toLowerCase()];
+  if (!type) {
+    throw new Error(`Unsupported image data for ${fileName}`);
+  }
+  const { extension, mimeType } = IMAGE_TYPES[type];
+  const size = getImageSize(buffer, type);
+  return {
+    buffer,
+    fileName: path.basename(fileName, path.extname(fileName)) + extension,
+    mimeType,
+    extension,
+    width: size?.width ?? null,
+    height: size?.height ?? null,
+    hash: createHash("sha256").update(buffer).digest("hex"),
+    location: null,
+  };
+}
+
+/**
+ * Check whether a value is a rendered image
+ * @param {*} image
+ * @returns {boolean}
+ */
+export function isRenderedImage(image) {
+  return Buffer.isBuffer(image?.buffer) && typeof image?.mimeType === "string";
+}
+
+/**
+ * Load an image given as a rendered image, a buffer or a file path
+ * Paths are still accepted for images which weren't rendered, e.g. by the functional tests
+ * @param {RenderedImage|Buffer|string} image
+ * @returns {Promise<RenderedImage>}
+ * @throws {Error} When the file is missing or the data isn't a supported image
+ */
+export async function loadImage(image) {
+  if (isRenderedImage(image)) {
+    return image;
+  }
+  if (Buffer.isBuffer(image)) {
+    return await createRenderedImage(image, "image");
+  }
+  if (typeof image === "string") {
+    return { ...(await createRenderedImage(await fs.promises.readFile(image), path.basename(image))), location: image };
+  }
+  throw new Error("Image must be a rendered image, a buffer or a file path");
+}
+
+/**
+ * Name of a stored image, the hash keeps concurrent renders of the same file name apart
+ * @param {RenderedImage} image
+ * @returns {string} e.g. "weekly-coins-3f2a9c1b7d4e.jpg"
+ */
+export function getStoredName(image) {
+  return `${path.basename(image.fileName, image.extension)}-${image.hash.slice(0, 12)}${image.extension}`;
+}
+
+/**
+ * Store keeping images as files of a directory
+ * @param {string} dir
+ * @returns {{write: Function}}
+ */
+export function createLocalImageStore(dir = getENV("IMAGE_DIR", isOffline() ? "./writable/" : "/tmp/writable/ig/")) {
+  return {
+    async write(image) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, getStoredName(image));
+      await fs.promises.writeFile(file, image.buffer);
+      return file;
+    },
+  };
+}
+
+/**
+ * Store keeping images as objects of an S3-compatible bucket (see src/s3.js)
+ * @returns {{write: Function}}
+ */
+export function createS3ImageStore() {
+  const bucket = createBucket("IMAGE");
+  const prefix = getENV("IMAGE_S3_PREFIX", "images/");
+  return {
+    async write(image) {
+      return await bucket.putObject(prefix + getStoredName(image), image.buffer, { ContentType: image.mimeType });
+    },
+  };
+}
+
+/**
+ * Get the configured image store
+ * @returns {{write: Function}|null} Null when images aren't stored
+ * @throws {Error} When IMAGE_STORE is unknown
+ */
+export function getImageStore() {
+  const name = getENV("IMAGE_STORE", isOffline() ? "local" : "none").toLowerCase();
+  switch (name) {
+    case "local":
+      return createLocalImageStore();
+    case "s3":
+      return createS3ImageStore();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown IMAGE_STORE: ${name}. Must be one of: local, s3, none`);
+  }
+}
+
+/**
+ * Keep a copy of a rendered image in the configured store
+ * A failed copy is logged, publishing doesn't depend on it
+ * @param {RenderedImage} image
+ * @param {Object} options
+ * @param {Object} options.store - Store to use instead of the configured one
+ * @returns {Promise<RenderedImage>} The image with the location of the copy
+ */
+export async function storeImage(image, { store = getImageStore() } = {}) {
+  if (!store) {
+    return image;
+  }
+  try {
+    return { ...image, location: await store.write(image) };
+  } catch (error) {
+    console.error(`Failed to store image ${image.fileName}:`, error.message);
+    return image;
+  }
+}
@@ -4,6 +4,7 @@
 import { readFileSync, existsSync } from "fs";
 import {
   publishImage as igPublishImage,
+  publishAlbum as igPublishAlbum,
   publishVideo as igPublishVideo,
   publishStory as igPublishStory,
 } from "./igapi.js";
@@ -15,26 +16,32 @@ const ayreShare = new SocialPost(getENV("AYRESHARE_API_KEY", ""));
 
 /**
  * Publish post through Ayreshare
- * @param {*} file
+ * @param {*} file - File, or an array of files for a carousel
  * @param {string} caption
  * @param {*} cover
  * @param {boolean} story
+ * @param {string|string[]} altText - Accessibility caption of the image, one per file for a carousel
  * @returns {Promise<object>}
  */
-async function postAyreshare(file, caption, cover = null, story = false) {
-  // Check if the file exists
-  if (typeof file === "string" && !existsSync(file)) {
+async function postAyreshare(file, caption, cover = null, story = false, altText = null) {
+  const files = Array.isArray(file) ? file : [file];
+  // Check if the files exist
+  if (files.some((item) => typeof item === "string" && !existsSync(item))) {
     throw new Error("File not found");
   }
   // Params of Request
   const params = {
     post: caption,
     platforms: ["instagram"],
-    mediaUrls: [
-      // Convert to base64
-      typeof file === "string" ? readFileSync(file).toString("base64") : file,
-    ],
+    // Convert to base64
+    mediaUrls: files.map((item) =>
+      (typeof item === "string" ? readFileSync(item) : item).toString("base64")
+    ),
   };
+  // Add alt text of the images
+  if (altText) {
+    params["altText"] = Array.isArray(altText) ? altText : [altText];
+  }
   // Add Cover to params
   if (cover && typeof cover === "string" && !existsSync(cover)) {
     throw new Error("Cover file not found");
@@ -63,19 +70,21 @@ async function postAyreshare(file, caption, cover = null, story = false) {
  * Publish an image
  * @param {*} file
  * @param {string} caption
+ * @param {object} options
+ * @param {string} options.altText - Accessibility caption read by screen readers
  * @returns {object}
  */
-export async function publishImage(file, caption) {
+export async function publishImage(file, caption, options = {}) {
   // Direct Way
   try {
-    return await igPublishImage(file, caption);
+    return await igPublishImage(file, caption, options);
   } catch (err) {
     // Nothing to do
   }
   // Ayreshare Way
   if (shouldUseAyreshare) {
     try {
-      return await postAyreshare(file, caption);
+      return await postAyreshare(file, caption, null, false, options.altText);
     } catch (err) {
       // Nothing to do
     }
@@ -83,6 +92,32 @@ export async function publishImage(file, caption) {
   throw new Error("Image not published");
 }
 
+/**
+ * Publish images as a carousel
+ * @param {Array} files - Paths or buffers, in order
+ * @param {string} caption
+ * @param {object} options
+ * @param {string[]} options.altTexts - Accessibility captions of the images
+ * @returns {object}
+ */
+export async function publishAlbum(files, caption, options = {}) {
+  // Direct Way
+  try {
+    return await igPublishAlbum(files, caption, { altTexts: options.altTexts });
+  } catch (err) {
+    // Nothing to do
+  }
+  // Ayreshare Way
+  if (shouldUseAyreshare) {
+    try {
+      return await postAyreshare(files, caption, null, false, options.altTexts);
+    } catch (err) {
+      // Nothing to do
+    }
+  }
+  throw new Error("Album not published");
+}
+
 /**
  * Publish a video
  * @param {*} videoFile
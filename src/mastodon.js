@@ -0,0 +1,105 @@
+/**
+ * Mastodon API helper for posting statuses with media
+ * https://docs.joinmastodon.org/methods/statuses/
+ */
+import { getMastodonCredentials } from "./env.js";
+import { loadImage } from "./images.js";
+
+const REQUEST_TIMEOUT = 30000; // 30 seconds
+// Media larger than a few MB is processed asynchronously and has to be polled
+const MEDIA_POLL_INTERVAL = 1000;
+const MEDIA_POLL_ATTEMPTS = 10;
+
+/**
+ * Make an authenticated request to the Mastodon instance
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint, e.g. "/api/v1/statuses"
+ * @param {Object} options
+ * @param {Object|FormData} options.body - JSON body or multipart form
+ * @param {Object} options.headers - Extra headers
+ * @returns {Promise<{status: number, data: object}>}
+ * @throws {Error} When the request fails
+ */
+async function request(method, endpoint, { body, headers = {} } = {}) {
+  const { url, accessToken } = getMastodonCredentials();
+  const isForm = body instanceof FormData;
+
+  const response = await fetch(url + endpoint, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(body && !isForm ? { "Content-Type": "application/json" } : {}),
+      ...headers,
+    },
+    body: body ? (isForm ? body : JSON.stringify(body)) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Mastodon API Error (${response.status}):`, errorText);
+    throw new Error(`Mastodon request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Upload an image and wait until the instance has processed it
+ * @param {import("./images.js").RenderedImage|string} file - Rendered image or image path
+ * @param {string} description - Alt text of the image
+ * @returns {Promise<string>} Media id
+ */
+export async function uploadMedia(file, description = "") {
+  const image = await loadImage(file);
+  const form = new FormData();
+  form.append("file", new Blob([image.buffer], { type: image.mimeType }), image.fileName);
+  if (description) {
+    form.append("description", description);
+  }
+
+  const { status, data } = await request("POST", "/api/v2/media", { body: form });
+
+  // 202 Accepted: the media is still being processed
+  if (status === 202 || !data.url) {
+    for (let attempt = 0; attempt < MEDIA_POLL_ATTEMPTS; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, MEDIA_POLL_INTERVAL));
+      const { status: pollStatus, data: media } = await request("GET", `/api/v1/media/${data.id}`);
+      if (pollStatus === 200 && media.url) {
+        return media.id;
+      }
+    }
+    throw new Error(`Mastodon media ${data.id} was not processed in time`);
+  }
+
+  return data.id;
+}
+
+/**
+ * Publish a status with optional images
+ * @param {string} text - Status text
+ * @param {Object} options
+ * @param {Array<string|import("./images.js").RenderedImage|{file: string|import("./images.js").RenderedImage, description: string}>} options.media - Images or images with alt text (up to 4)
+ * @param {string} options.language - ISO 639 language code of the status
+ * @param {string} options.visibility - public, unlisted, private or direct (default: public)
+ * @returns {Promise<object>} Created status
+ */
+export async function postStatus(text, options = {}) {
+  const mediaIds = [];
+  for (const media of (options.media || []).slice(0, 4)) {
+    const { file, description } = typeof media === "string" || media?.buffer ? { file: media } : media;
+    mediaIds.push(await uploadMedia(file, description));
+  }
+
+  const { data } = await request("POST", "/api/v1/statuses", {
+    body: {
+      status: text,
+      media_ids: mediaIds,
+      visibility: options.visibility || "public",
+      ...(options.language ? { language: options.language } : {}),
+    },
+  });
+
+  console.log(`Mastodon status published: ${data.url || data.id}`);
+  return data;
+}
@@ -1,29 +1,59 @@
 const SI_PREFIXES = [
-  { value: 1, symbol: "", long: "" },
-  { value: 1e3, symbol: "K", long: " Thousand" },
-  { value: 1e6, symbol: "M", long: " Million" },
-  { value: 1e9, symbol: "B", long: " Billion" },
-  { value: 1e12, symbol: "t", long: " Trillion" },
-  { value: 1e15, symbol: "q", long: " Quadrillion" },
-  { value: 1e18, symbol: "Q", long: " Quintillion" },
+  { value: 1, symbol: "", long: "", fa: "" },
+  { value: 1e3, symbol: "K", long: " Thousand", fa: " هزار" },
+  { value: 1e6, symbol: "M", long: " Million", fa: " میلیون" },
+  { value: 1e9, symbol: "B", long: " Billion", fa: " میلیارد" },
+  { value: 1e12, symbol: "t", long: " Trillion", fa: " هزار میلیارد" },
+  { value: 1e15, symbol: "q", long: " Quadrillion", fa: " میلیون میلیارد" },
+  { value: 1e18, symbol: "Q", long: " Quintillion", fa: " میلیارد میلیارد" },
 ];
 
+const PERSIAN_DIGITS = "۰۱۲۳۴۵۶۷۸۹";
+
 /**
  * Abbreviate a number with a short or long suffix
+ * Persian ("fa") always uses the long suffix and Persian digits
  * @param {number} value
- * @param {boolean} short
+ * @param {number} decimal
+ * @param {boolean} long
+ * @param {string} language
  * @returns {string}
  */
 
-export const abbreviateNumber = (number, decimal = 1, long = false) => {
-  if (number === 0) return number;
+export const abbreviateNumber = (number, decimal = 1, long = false, language = "en") => {
+  if (number === 0) return language === "fa" ? toPersianDigits(number) : number;
 
   const tier = SI_PREFIXES.filter((n) => number >= n.value).pop();
   const numberFixed = (number / tier.value).toFixed(decimal);
 
+  if (language === "fa") {
+    return `${toPersianDigits(numberFixed)}${tier.fa}`;
+  }
   return `${numberFixed}${tier[long ? "long" : "symbol"]}`;
 };
 
+/**
+ * Convert Latin digits and separators to Persian ones
+ * @param {number|string} value
+ * @returns {string}
+ */
+export function toPersianDigits(value) {
+  return String(value)
+    .replace(/\d/g, (digit) => PERSIAN_DIGITS[digit])
+    .replace(/,/g, "٬")
+    .replace(/\./g, "٫");
+}
+
+/**
+ * Localize the digits of a formatted number
+ * @param {number|string} value
+ * @param {string} language
+ * @returns {string}
+ */
+export function localizeDigits(value, language = "en") {
+  return language === "fa" ? toPersianDigits(value) : String(value);
+}
+
 /**
  * Format numbers with decimal places
  * @param {number} amount 
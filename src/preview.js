@@ -0,0 +1,136 @@
+/**
+ * Preview Helper
+ * Dry-run mode writes the final text and image of a post to a local preview directory
+ * with an HTML gallery (index.html) instead of publishing it
+ */
+import fs from "fs";
+import path from "path";
+import { getENV, isOffline } from "./env.js";
+import { loadImage } from "./images.js";
+import { escapeHTML } from "./util.js";
+
+/**
+ * Check whether dry-run mode is enabled (DRY_RUN=true)
+ * @returns {boolean}
+ */
+export function isDryRun() {
+  return getENV("DRY_RUN", "false").toLowerCase() === "true";
+}
+
+/**
+ * Directory previews are written to
+ * @returns {string}
+ */
+export function getPreviewDir() {
+  return getENV("PREVIEW_DIR", isOffline() ? "./preview/" : "/tmp/preview/");
+}
+
+/**
+ * Write a post preview instead of publishing it
+ * @param {Object} post
+ * @param {string} post.platform - Platform name
+ * @param {string} post.target - Post target/type
+ * @param {string} post.language - Content language
+ * @param {string} post.text - Final text, caption or tweet
+ * @param {import("./images.js").RenderedImage|string} post.image - Rendered image or image path (optional)
+ * @param {string} post.alt - Alt text of the image (optional)
+ * @param {string[]} post.replies - Replies of a thread (optional)
+ * @param {{image: import("./images.js").RenderedImage|string, alt: string}[]} post.slides - Chart images posted after the image (optional)
+ * @returns {Promise<string>} Preview id, used in place of the platform post id
+ */
+export async function writePreview({
+  platform,
+  target,
+  language = "en",
+  text = "",
+  image = null,
+  alt = null,
+  replies = [],
+  slides = [],
+}) {
+  const dir = getPreviewDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const createdAt = new Date().toISOString();
+  const base = `${createdAt.replace(/[:.]/g, "-")}-${platform}-${target}-${language}`;
+
+  // Write an image next to the preview, named after it
+  const writeImage = async (file, name) => {
+    const { buffer, extension } = await loadImage(file);
+    await fs.promises.writeFile(path.join(dir, name + extension), buffer);
+    return name + extension;
+  };
+
+  const imageFile = image ? await writeImage(image, base) : null;
+  const slideFiles = [];
+  for (const [index, slide] of slides.entries()) {
+    slideFiles.push({ image: await writeImage(slide.image, `${base}-${index + 2}`), alt: slide.alt ?? null });
+  }
+
+  await fs.promises.writeFile(
+    path.join(dir, base + ".json"),
+    JSON.stringify({ platform, target, language, text, replies, image: imageFile, alt, slides: slideFiles, createdAt }, null, 2)
+  );
+  await writePreviewIndex(dir);
+
+  console.log(`Dry run: ${platform}/${target} preview written to ${path.join(dir, base)}.json`);
+  return `preview-${base}`;
+}
+
+/**
+ * Rebuild the HTML gallery of all previews in a directory (newest first)
+ * @param {string} dir
+ * @returns {Promise<string>} Path of index.html
+ */
+export async function writePreviewIndex(dir = getPreviewDir()) {
+  const files = (await fs.promises.readdir(dir)).filter((file) => file.endsWith(".json")).sort().reverse();
+  const previews = await Promise.all(
+    files.map(async (file) => JSON.parse(await fs.promises.readFile(path.join(dir, file), "utf-8")))
+  );
+
+  const cards = previews
+    .map(
+      (preview) => `
+    <article>
+      <h2>${escapeHTML(preview.platform)} / ${escapeHTML(preview.target)} <small>${escapeHTML(preview.language)} · ${escapeHTML(preview.createdAt)}</small></h2>
+      ${preview.image ? `<img src="${escapeHTML(preview.image)}" alt="${escapeHTML(preview.alt)}">` : ""}
+      ${preview.alt ? `<p dir="auto"><small>Alt: ${escapeHTML(preview.alt)}</small></p>` : ""}
+      ${(preview.slides ?? [])
+        .map((slide) => `<img src="${escapeHTML(slide.image)}" alt="${escapeHTML(slide.alt)}">
+      <p dir="auto"><small>Alt: ${escapeHTML(slide.alt)}</small></p>`)
+        .join("\n      ")}
+      <pre dir="auto">${escapeHTML(preview.text)}</pre>
+      <small>${escapeHTML(String(preview.text ?? "").length)} characters</small>
+      ${(preview.replies ?? [])
+        .map((reply) => `<pre dir="auto" class="reply">${escapeHTML(reply)}</pre>
+      <small>${escapeHTML(reply.length)} characters</small>`)
+        .join("\n      ")}
+    </article>`
+    )
+    .join("\n");
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>IranCrypto bot preview</title>
+  <style>
+    body { font-family: sans-serif; max-width: 720px; margin: 20px auto; background: #f4f4f4; }
+    article { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 20px; }
+    img { max-width: 100%; border-radius: 4px; }
+    pre { white-space: pre-wrap; font-family: inherit; font-size: 15px; }
+    small { color: #777; font-weight: normal; }
+    .reply { border-inline-start: 3px solid #ddd; padding-inline-start: 12px; }
+  </style>
+</head>
+<body>
+  <h1>Post previews</h1>
+  ${cards || "<p>No previews yet.</p>"}
+</body>
+</html>
+`;
+
+  const indexPath = path.join(dir, "index.html");
+  await fs.promises.writeFile(indexPath, html);
+  return indexPath;
+}
@@ -0,0 +1,40 @@
+/**
+ * Bluesky Publisher
+ * Mirrors the trends and volume posts written by the tweet pipeline
+ */
+import { createPost } from "../bluesky.js";
+import { renderBluesky, BLUESKY_MAX_GRAPHEMES } from "../content.js";
+import { countGraphemes } from "../util.js";
+
+export default {
+  name: "bluesky",
+  targets: ["trends", "vol"],
+
+  render: renderBluesky,
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @throws {Error} When the post is empty or too long
+   */
+  validate(content) {
+    if (!content.text?.trim()) {
+      throw new Error(`Bluesky post for ${content.target} is empty`);
+    }
+    if (countGraphemes(content.text) > BLUESKY_MAX_GRAPHEMES) {
+      throw new Error(`Bluesky post for ${content.target} exceeds ${BLUESKY_MAX_GRAPHEMES} graphemes`);
+    }
+  },
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @returns {Promise<string>} Post AT URI
+   */
+  async publish(content) {
+    const post = await createPost(content.text, {
+      image: content.image,
+      alt: content.alt,
+      language: content.language,
+    });
+    return post.uri;
+  },
+};
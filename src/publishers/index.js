@@ -0,0 +1,106 @@
+/**
+ * Publisher Registry
+ * Every platform implements the same interface and is dispatched by name:
+ * - name: Platform name used by the calendar and scheduled posts
+ * - targets: Post targets the platform can render
+ * - render(target, data, options): Build the content (text, image) of a post
+ * - validate(content): Throw when the content can't be published on the platform
+ * - publish(content): Publish the content and return the platform post id
+ */
+import { normalizeLanguage } from "../i18n.js";
+import { isDryRun, writePreview } from "../preview.js";
+import { createPermanentError } from "../retry.js";
+import twitter from "./twitter.js";
+import instagram from "./instagram.js";
+import telegram from "./telegram.js";
+import mastodon from "./mastodon.js";
+import bluesky from "./bluesky.js";
+
+const publishers = new Map();
+
+/**
+ * Register a publisher, replacing any publisher with the same name
+ * @param {Object} publisher - Publisher implementing the interface above
+ * @throws {Error} When the publisher doesn't implement the interface
+ */
+export function registerPublisher(publisher) {
+  if (!publisher?.name || typeof publisher.name !== "string") {
+    throw new Error("Publisher must have a name");
+  }
+  if (!Array.isArray(publisher.targets) || publisher.targets.length === 0) {
+    throw new Error(`Publisher "${publisher.name}" must list its targets`);
+  }
+  for (const method of ["render", "validate", "publish"]) {
+    if (typeof publisher[method] !== "function") {
+      throw new Error(`Publisher "${publisher.name}" must implement ${method}()`);
+    }
+  }
+  publishers.set(publisher.name.toLowerCase(), publisher);
+}
+
+/**
+ * Get the publisher of a platform
+ * @param {string} platform - Platform name
+ * @returns {Object} Publisher
+ * @throws {Error} Permanent error when no publisher is registered for the platform
+ */
+export function getPublisher(platform) {
+  const publisher = publishers.get(String(platform ?? "").toLowerCase());
+  if (!publisher) {
+    throw createPermanentError(
+      `Unknown platform "${platform}", must be one of ${[...publishers.keys()].join(", ")}`
+    );
+  }
+  return publisher;
+}
+
+/**
+ * Get the targets of every registered platform
+ * @returns {Object<string, string[]>} Targets by platform name
+ */
+export function getPlatformTargets() {
+  return Object.fromEntries([...publishers].map(([name, publisher]) => [name, [...publisher.targets]]));
+}
+
+/**
+ * Render, validate and publish a post through its platform publisher
+ * In dry-run mode the content is written to the preview directory instead of being published
+ * @param {string} platform - Platform name
+ * @param {string} target - Post target/type
+ * @param {*} data - Data for the content
+ * @param {Object} options
+ * @param {string} options.language - Content language ("en" or "fa")
+ * @param {Object} options.deltas - Changes since the previous period (see src/deltas.js)
+ * @param {Object[]} options.anomalies - Market events of a breaking post (see src/anomalies.js)
+ * @returns {Promise<string|number|null>} Published post id (or preview id)
+ * @throws {Error} Permanent error for unknown platforms and targets
+ */
+export async function publishPost(platform, target, data, options = {}) {
+  const publisher = getPublisher(platform);
+  if (!publisher.targets.includes(target)) {
+    throw createPermanentError(
+      `Unknown target "${target}" for ${publisher.name}, must be one of ${publisher.targets.join(", ")}`
+    );
+  }
+
+  // Errors are reported by the worker, which knows whether the post will be retried
+  const language = normalizeLanguage(options.language);
+  const content = await publisher.render(target, data, {
+    language,
+    deltas: options.deltas ?? null,
+    anomalies: options.anomalies ?? null,
+  });
+  publisher.validate(content);
+
+  // Dry run: write preview instead of publishing
+  if (isDryRun()) {
+    return await writePreview(content);
+  }
+  return await publisher.publish(content);
+}
+
+registerPublisher(twitter);
+registerPublisher(instagram);
+registerPublisher(telegram);
+registerPublisher(mastodon);
+registerPublisher(bluesky);
@@ -0,0 +1,49 @@
+/**
+ * Instagram Publisher
+ * Publishes the weekly coin and monthly exchange recaps
+ */
+import { publishImage, publishAlbum } from "../instagram.js";
+import { renderInstagram } from "../content.js";
+
+// Maximum caption length
+export const CAPTION_MAX_LENGTH = 2200;
+
+export default {
+  name: "instagram",
+  targets: ["weekly-coin", "monthly-exchange"],
+
+  render: renderInstagram,
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @throws {Error} When the image is missing or the caption is empty or too long
+   */
+  validate(content) {
+    if (!content.image) {
+      throw new Error("Image is not generated!");
+    }
+    if (!content.text?.trim()) {
+      throw new Error(`Caption for ${content.target} is empty`);
+    }
+    if ([...content.text].length > CAPTION_MAX_LENGTH) {
+      throw new Error(`Caption for ${content.target} exceeds ${CAPTION_MAX_LENGTH} characters`);
+    }
+  },
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @returns {Promise<string|null>} Media id
+   */
+  async publish(content) {
+    // Chart slides turn the post into a carousel led by the recap table
+    const slides = content.slides ?? [];
+    const images = [content.image, ...slides.map((slide) => slide.image)].map((image) => image.buffer);
+    const media = slides.length
+      ? await publishAlbum(images, content.text, {
+          altTexts: [content.alt, ...slides.map((slide) => slide.alt)],
+        })
+      : await publishImage(images[0], content.text, { altText: content.alt });
+    console.log(`Instagram ${content.target} published`);
+    return media?.id ?? null;
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Mastodon Publisher
+ * Posts the trends and volume statuses written by the tweet pipeline
+ */
+import { postStatus } from "../mastodon.js";
+import { renderMastodon, MASTODON_MAX_LENGTH } from "../content.js";
+
+export default {
+  name: "mastodon",
+  targets: ["trends", "vol"],
+
+  render: renderMastodon,
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @throws {Error} When the status is empty or too long
+   */
+  validate(content) {
+    if (!content.text?.trim()) {
+      throw new Error(`Mastodon status for ${content.target} is empty`);
+    }
+    if ([...content.text].length > MASTODON_MAX_LENGTH) {
+      throw new Error(`Mastodon status for ${content.target} exceeds ${MASTODON_MAX_LENGTH} characters`);
+    }
+  },
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @returns {Promise<string>} Status id
+   */
+  async publish(content) {
+    const status = await postStatus(content.text, {
+      media: content.image ? [{ file: content.image, description: content.alt }] : [],
+      language: content.language,
+    });
+    return status.id;
+  },
+};
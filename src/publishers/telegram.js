@@ -0,0 +1,113 @@
+/**
+ * Telegram Publisher
+ * Sends the daily recap and breaking news to every configured chat of its language (see TELEGRAM_CHANNELS)
+ * A retried recap edits the messages it already sent instead of reposting them
+ */
+import { renderTelegram } from "../content.js";
+import { sendPhoto, editPhoto, pinMessage, isMessageNotFound } from "../telegram.js";
+import { createPermanentError } from "../retry.js";
+
+// Maximum photo caption length
+export const CAPTION_MAX_LENGTH = 1024;
+
+/**
+ * Send a message, or edit the message already sent for the same report
+ * A stored message which was deleted from the chat is sent again
+ * @param {import("../content.js").TelegramMessage} message
+ * @param {Object} api
+ * @param {Function} api.send - async (message) => message id
+ * @param {Function} api.edit - async (message, messageId) => void
+ * @param {Function} api.pin - async (message, messageId) => void
+ * @param {Object} store
+ * @param {Function} store.get - async () => stored {messageId} or false
+ * @param {Function} store.save - async (messageId) => void
+ * @returns {Promise<{messageId: number, edited: boolean}>}
+ */
+export async function deliverMessage(message, api, store) {
+  const stored = await store.get();
+  if (stored) {
+    try {
+      await api.edit(message, stored.messageId);
+      return { messageId: stored.messageId, edited: true };
+    } catch (error) {
+      if (!isMessageNotFound(error)) {
+        throw error;
+      }
+      console.log(`Telegram message ${stored.messageId} of ${message.chatId} is gone, sending it again`);
+    }
+  }
+
+  const messageId = await api.send(message);
+  await store.save(messageId);
+
+  if (message.pin) {
+    // The recap is already out, a missing pin permission must not fail the post
+    try {
+      await api.pin(message, messageId);
+    } catch (error) {
+      console.error(`Failed to pin Telegram message ${messageId} of ${message.chatId}:`, error.message);
+    }
+  }
+  return { messageId, edited: false };
+}
+
+export default {
+  name: "telegram",
+  targets: ["dailyrecap", "breaking"],
+
+  render: renderTelegram,
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @throws {Error} When an image is missing or a caption is too long
+   */
+  validate(content) {
+    for (const message of content.messages ?? [content]) {
+      if (!message.image) {
+        throw new Error("Image is not generated!");
+      }
+      // Telegram counts the caption length without HTML tags
+      const length = [...String(message.text ?? "").replace(/<[^>]+>/g, "")].length;
+      if (length > CAPTION_MAX_LENGTH) {
+        throw new Error(`Caption for ${content.target} exceeds ${CAPTION_MAX_LENGTH} characters`);
+      }
+    }
+  },
+
+  /**
+   * Publish the recap on every chat, the sent message ids are stored per chat and day
+   * The Bot API has no alt text for photos, the caption is the only description
+   * @param {import("../content.js").Content} content
+   * @returns {Promise<string>} Sent messages as "chatId:messageId", comma separated
+   * @throws {Error} When no chat is configured for the language
+   */
+  async publish(content) {
+    const messages = (content.messages ?? []).filter((message) => message.chatId);
+    if (!messages.length) {
+      // Retrying won't configure a chat, dead-letter the post right away
+      throw createPermanentError(`No Telegram channel configured for language ${content.language}`);
+    }
+
+    const { getTelegramMessage, saveTelegramMessage } = await import("../dynamodb.js");
+    const ids = [];
+    // One by one, so a retry after a failure edits the chats which already got the recap
+    for (const message of messages) {
+      const key = `${message.chatId}-${content.target}-${content.reportDate}`;
+      const { messageId, edited } = await deliverMessage(
+        message,
+        {
+          send: ({ chatId, image, text }) => sendPhoto(chatId, image, text),
+          edit: ({ chatId, image, text }, id) => editPhoto(chatId, id, image, text),
+          pin: ({ chatId }, id) => pinMessage(chatId, id),
+        },
+        {
+          get: () => getTelegramMessage(key),
+          save: (id) => saveTelegramMessage(key, { chatId: message.chatId, messageId: id }),
+        }
+      );
+      console.log(`Telegram ${content.target} ${edited ? "edited" : "published"} on chat ${message.chatId}`);
+      ids.push(`${message.chatId}:${messageId}`);
+    }
+    return ids.join(",");
+  },
+};
@@ -0,0 +1,142 @@
+/**
+ * Twitter Publisher
+ * Tweets the AI-written trends and volume posts, the daily thread and breaking news
+ */
+import { tweet, reply } from "../twitter.js";
+import { renderTweet, getThreadKey } from "../content.js";
+import { isDryRun } from "../preview.js";
+
+// Maximum tweet length
+export const TWEET_MAX_LENGTH = 280;
+
+/**
+ * Check the length of a tweet
+ * @param {string} text - Tweet text
+ * @param {string} label - Tweet description for the error message
+ * @throws {Error} When the tweet is empty or too long
+ */
+function validateTweet(text, label) {
+  if (!text?.trim()) {
+    throw new Error(`${label} is empty`);
+  }
+  if ([...text].length > TWEET_MAX_LENGTH) {
+    throw new Error(`${label} exceeds ${TWEET_MAX_LENGTH} characters`);
+  }
+}
+
+/**
+ * Post the remaining tweets of a thread, saving the progress after each tweet
+ * The first tweet is the headline, every next tweet replies to the previous one
+ * @param {{tweets: string[], ids: string[]}} thread - Thread texts and ids of the tweets already posted
+ * @param {Function} send - async (text, index, previousId) => tweet id
+ * @param {Function} save - async (thread) => void, stores the progress
+ * @returns {Promise<string[]>} Ids of all tweets of the thread
+ */
+export async function continueThread(thread, send, save) {
+  const ids = [...thread.ids];
+  for (let index = ids.length; index < thread.tweets.length; index++) {
+    ids.push(String(await send(thread.tweets[index], index, ids[index - 1] ?? null)));
+    await save({ tweets: thread.tweets, ids });
+  }
+  return ids;
+}
+
+/**
+ * Content of a thread a failed attempt already started, rebuilt from the stored tweets
+ * A retry posts the remaining replies as written, without asking the AI again
+ * @param {Array} data - Popular items data
+ * @param {string} language - Content language
+ * @param {Object|null} store - Thread store, src/dynamodb.js by default
+ * @returns {Promise<import("../content.js").Content|null>} Null when the thread wasn't started
+ */
+export async function getStartedThread(data, language, store = null) {
+  store ??= await import("../dynamodb.js");
+  const threadKey = getThreadKey(data, language);
+  const stored = await store.getThread(threadKey);
+  if (!stored) {
+    return null;
+  }
+  // The headline with the image is posted first, so a started thread needs no image
+  const [text, ...replies] = stored.tweets;
+  return { platform: "twitter", target: "thread", language, text, image: null, alt: null, replies, threadKey };
+}
+
+/**
+ * Publish a thread, resuming from the stored progress of a failed attempt
+ * @param {import("../content.js").Content} content
+ * @returns {Promise<string>} Id of the headline tweet
+ */
+async function publishThread(content) {
+  const { getThread, saveThread, removeThread } = await import("../dynamodb.js");
+
+  // Keep the texts of a started thread so the replies match what is already posted
+  const stored = await getThread(content.threadKey);
+  const thread = stored || { tweets: [content.text, ...content.replies], ids: [] };
+  if (stored) {
+    console.log(`Resuming thread after ${stored.ids.length}/${stored.tweets.length} tweets`);
+  }
+
+  const ids = await continueThread(
+    thread,
+    async (text, index, previousId) => {
+      console.log(`Tweeting thread ${index + 1}/${thread.tweets.length}...`, text);
+      const result = index === 0
+        ? await tweet(text, content.image ? [{ file: content.image, alt: content.alt }] : [])
+        : await reply(previousId, text);
+      return result.data.id;
+    },
+    (progress) => saveThread(content.threadKey, progress)
+  );
+
+  await removeThread(content.threadKey);
+  return ids[0];
+}
+
+export default {
+  name: "twitter",
+  targets: ["trends", "vol", "thread", "breaking"],
+
+  /**
+   * @param {string} target
+   * @param {Array} data - Popular items data
+   * @param {Object} options - Render options
+   * @returns {Promise<import("../content.js").Content>}
+   */
+  async render(target, data, options = {}) {
+    // Dry runs leave DynamoDB untouched
+    if (target === "thread" && !isDryRun()) {
+      const started = await getStartedThread(data, options.language);
+      if (started) {
+        return started;
+      }
+    }
+    return await renderTweet(target, data, options);
+  },
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @throws {Error} When a tweet is empty or too long
+   */
+  validate(content) {
+    validateTweet(content.text, `Tweet for ${content.target}`);
+    if (content.target === "thread") {
+      if (!content.replies?.length) {
+        throw new Error("Thread has no replies");
+      }
+      content.replies.forEach((text, index) => validateTweet(text, `Thread reply ${index + 1}`));
+    }
+  },
+
+  /**
+   * @param {import("../content.js").Content} content
+   * @returns {Promise<string|null>} Tweet id, the headline tweet for threads
+   */
+  async publish(content) {
+    if (content.target === "thread") {
+      return await publishThread(content);
+    }
+    console.log("Tweeting...", content.text);
+    const result = await tweet(content.text, content.image ? [{ file: content.image, alt: content.alt }] : []);
+    return result?.data?.id ?? null;
+  },
+};
@@ -0,0 +1,134 @@
+/**
+ * Scheduled Post Processing
+ * Each due post is published at most once:
+ * 1. Its content hash is claimed in history as "publishing"
+ * 2. The post is published, a failure releases the claim and schedules a retry
+ * 3. The claim is marked "published" and the scheduled post removed, in one transaction
+ * A claim still "publishing" means a run stopped between 2 and 3 (e.g. Lambda timeout): the post
+ * may be live, so it is dropped from the queue and reported instead of being published again
+ */
+import { publishPost } from "./publishers/index.js";
+import { getRetryState, POST_STATUS, HISTORY_STATUS } from "./retry.js";
+import { getContentHash } from "./util.js";
+import { isDryRun } from "./preview.js";
+import { captureMessage } from "./sentry.js";
+
+/**
+ * Queue store, src/dynamodb.js by default
+ * @typedef {Object} QueueStore
+ * @property {Function} claimPost
+ * @property {Function} releasePost
+ * @property {Function} completeScheduledPost
+ * @property {Function} getPostHistory
+ * @property {Function} removeScheduledPost
+ * @property {Function} markPostFailed
+ */
+
+/**
+ * Publish a due scheduled post
+ * @param {object} post - Scheduled post item
+ * @param {QueueStore|null} store - Store to use instead of DynamoDB
+ * @returns {Promise<{status: string, postId: string|number|null}>} status is "published", "skipped" or "preview"
+ * @throws {Error} When the post fails, its retry is already scheduled
+ */
+export async function processScheduledPost(post, store = null) {
+  const { id, platform, data, target } = post;
+  const language = post.language ?? "en";
+  const options = { language, deltas: post.deltas ?? null, anomalies: post.anomalies ?? null };
+
+  // Dry run: keep the queue and history untouched
+  if (isDryRun()) {
+    const postId = await publishPost(platform, target, data, options);
+    console.log(`Dry run: previewed ${platform}/${target} as ${postId}, scheduled post kept`);
+    return { status: "preview", postId };
+  }
+
+  store ??= await import("./dynamodb.js");
+  const contentHash = getContentHash(platform, target, data, language);
+
+  if (!(await store.claimPost({ id, platform, target, contentHash }))) {
+    const record = await store.getPostHistory(contentHash);
+    await store.removeScheduledPost(id);
+    if (record?.status === HISTORY_STATUS.PUBLISHING) {
+      console.error(`Skipped ${platform}/${target}, an earlier run stopped while publishing it`);
+      captureMessage(`Scheduled post ${platform}/${target} may not have been published`, "warning", {
+        tags: {
+          platform: platform,
+          target: target,
+          worker: 'poster'
+        },
+        extra: {
+          scheduleId: record.scheduleId,
+          claimedAt: record.claimedAt
+        }
+      });
+    } else {
+      console.log(`Skipped ${platform}/${target}, already published as ${record?.postId} at ${record?.publishedAt}`);
+    }
+    return { status: "skipped", postId: record?.postId ?? null };
+  }
+
+  let postId;
+  try {
+    // Unknown platforms and targets throw a permanent error and are dead-lettered
+    postId = await publishPost(platform, target, data, options);
+  } catch (error) {
+    // Nothing was published, the retry claims the content again
+    try {
+      await store.releasePost(contentHash);
+    } catch (releaseError) {
+      // The claim outlives the retry, which then drops the post and reports it
+      console.error(`Failed to release ${platform}/${target}:`, releaseError);
+    }
+    await handleFailedPost(post, error, store);
+    throw error;
+  }
+
+  await store.completeScheduledPost({ id, contentHash, postId });
+  console.log(`Posted to ${platform} and moved the scheduled post to history on DynamoDB`);
+  return { status: "published", postId };
+}
+
+/**
+ * Record a failed attempt and schedule the next retry with backoff
+ * Posts exceeding the max attempts are dead-lettered and reported
+ * @param {object} post - Scheduled post item
+ * @param {Error} error - Error thrown while posting
+ * @param {QueueStore} store
+ */
+async function handleFailedPost(post, error, store) {
+  const { id, platform, target } = post;
+  const state = getRetryState(post, error);
+  try {
+    await store.markPostFailed(id, state);
+  } catch (updateError) {
+    // Keep processing the remaining posts, the item will be picked up again
+    console.error(`Failed to store retry state for ${platform}/${target}:`, updateError);
+    return;
+  }
+
+  if (state.status === POST_STATUS.DEAD) {
+    console.error(
+      `Post ${platform}/${target} dead-lettered after ${state.attempts} attempts: ${state.lastError}`
+    );
+    captureMessage(
+      `Scheduled post ${platform}/${target} dead-lettered after ${state.attempts} attempts`,
+      "error",
+      {
+        tags: {
+          platform: platform,
+          target: target,
+          worker: 'poster'
+        },
+        extra: {
+          lastError: state.lastError,
+          timestamp: post.timestamp
+        }
+      }
+    );
+  } else {
+    console.log(
+      `Retry ${state.attempts} for ${platform}/${target} scheduled at ${new Date(state.nextAttemptAt * 1000).toISOString()}`
+    );
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Retry Helper
+ * Exponential backoff and dead-letter handling for scheduled posts
+ */
+import { getENV } from "./env.js";
+
+// Post states stored on the scheduled item
+export const POST_STATUS = {
+  PENDING: "pending",
+  RETRYING: "retrying",
+  DEAD: "dead",
+};
+
+// States of a post history record, claimed before publishing and completed after
+export const HISTORY_STATUS = {
+  PUBLISHING: "publishing",
+  PUBLISHED: "published",
+};
+
+/**
+ * Get retry configuration with environment overrides
+ * @returns {{maxAttempts: number, baseDelay: number, maxDelay: number}} Delays are in seconds
+ */
+export function getRetryConfig() {
+  return {
+    maxAttempts: parseInt(getENV("POST_MAX_ATTEMPTS", "5"), 10),
+    baseDelay: parseInt(getENV("POST_RETRY_BASE_DELAY", "900"), 10), // 15 minutes
+    maxDelay: parseInt(getENV("POST_RETRY_MAX_DELAY", "43200"), 10), // 12 hours
+  };
+}
+
+/**
+ * Calculate the backoff delay before the next attempt
+ * @param {number} attempt - Number of failed attempts so far (1 for the first failure)
+ * @param {Object} options - Backoff configuration
+ * @param {number} options.baseDelay - Delay after the first failure in seconds
+ * @param {number} options.maxDelay - Upper bound of the delay in seconds
+ * @returns {number} Delay in seconds
+ */
+export function getBackoffDelay(attempt, options = {}) {
+  const { baseDelay = 900, maxDelay = 43200 } = options;
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(baseDelay * 2 ** exponent, maxDelay);
+}
+
+/**
+ * Create an error which must not be retried, the poster dead-letters the post right away
+ * @param {string} message
+ * @returns {Error}
+ */
+export function createPermanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Build the next retry state of a scheduled post after a failed attempt
+ * Errors flagged with `retryable: false` dead-letter the post right away
+ * @param {Object} post - Scheduled post item
+ * @param {Error|string} error - Error thrown by the publisher
+ * @param {number} now - Current Unix timestamp in seconds
+ * @param {Object} config - Retry configuration (defaults to getRetryConfig())
+ * @returns {{attempts: number, lastError: string, nextAttemptAt: number|null, status: string}}
+ */
+export function getRetryState(post, error, now = Math.floor(Date.now() / 1000), config = getRetryConfig()) {
+  const attempts = (Number(post?.attempts) || 0) + 1;
+  const lastError = String(error?.message || error || "Unknown error").slice(0, 1000);
+
+  if (attempts >= config.maxAttempts || error?.retryable === false) {
+    return { attempts, lastError, nextAttemptAt: null, status: POST_STATUS.DEAD };
+  }
+
+  return {
+    attempts,
+    lastError,
+    nextAttemptAt: now + getBackoffDelay(attempts, config),
+    status: POST_STATUS.RETRYING,
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * S3 Bucket Helper
+ * Shared by the S3 stores of the rendered images (IMAGE_STORE) and the snapshots (SNAPSHOT_STORE),
+ * each configured by its own <NAME>_S3_BUCKET, <NAME>_S3_REGION and <NAME>_S3_ENDPOINT
+ * Uses the AWS SDK of the Lambda runtime, credentials come from its default provider chain
+ */
+import { getENV } from "./env.js";
+
+/**
+ * Bucket of a store, the client is created by its first request
+ * @param {string} name - Settings prefix of the store, e.g. "IMAGE" for IMAGE_S3_BUCKET
+ * @returns {{bucket: string, getURL: Function, getObject: Function, putObject: Function}}
+ * @throws {Error} When the bucket isn't set
+ */
+export function createBucket(name) {
+  const bucket = getENV(`${name}_S3_BUCKET`);
+  const endpoint = getENV(`${name}_S3_ENDPOINT`, "");
+  let client;
+
+  const send = async (command) => {
+    const s3 = await import("@aws-sdk/client-s3");
+    client ??= new s3.S3Client({
+      region: getENV(`${name}_S3_REGION`, getENV("AWS_REGION", "eu-west-1")),
+      // Custom endpoints (MinIO, R2, ...) usually need path-style URLs
+      ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    });
+    return await client.send(command(s3));
+  };
+
+  return {
+    bucket,
+
+    /**
+     * @param {string} key
+     * @returns {string} s3:// URL of the object
+     */
+    getURL(key) {
+      return `s3://${bucket}/${key}`;
+    },
+
+    /**
+     * @param {string} key
+     * @returns {Promise<Buffer|null>} Null when the object doesn't exist
+     */
+    async getObject(key) {
+      try {
+        const result = await send((s3) => new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === "NoSuchKey") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * @param {string} key
+     * @param {Buffer} body
+     * @param {Object} options - Extra PutObject parameters, e.g. ContentType
+     * @returns {Promise<string>} s3:// URL of the object
+     */
+    async putObject(key, body, options = {}) {
+      await send((s3) => new s3.PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ...options }));
+      return this.getURL(key);
+    },
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Snapshot Store
+ * Keeps the data fetched by the scheduler as dated, gzipped snapshots, so content
+ * can be compared with the previous day, week or month
+ *
+ * Backends (SNAPSHOT_STORE):
+ * - dynamodb: Item per source and day in DYNAMODB_TABLE (default on Lambda)
+ * - s3: Object per source and day in SNAPSHOT_S3_BUCKET, any S3-compatible service with SNAPSHOT_S3_ENDPOINT
+ * - local: File per source and day in SNAPSHOT_DIR (default offline)
+ * - none: Snapshots are not stored
+ *
+ * The run state of the alerts and the anomaly detector isn't kept here: it is replaced every hour and
+ * needed whatever the store, so it stays in single DynamoDB items (see getSnapshot of src/dynamodb.js)
+ */
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import { gzip, gunzip } from "zlib";
+import moment from "moment-timezone";
+import { getENV, isOffline } from "./env.js";
+import { getTimezone } from "./date.js";
+import { createBucket } from "./s3.js";
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// How far back each comparison period looks, and how many older days may stand in
+// for a missing snapshot (weekly and monthly sources are not fetched every day)
+// A month back from the last day of a month is the last day of the previous month
+export const SNAPSHOT_PERIODS = {
+  day: { amount: 1, unit: "days", tolerance: 0 },
+  week: { amount: 7, unit: "days", tolerance: 1 },
+  month: { amount: 1, unit: "months", tolerance: 3 },
+};
+
+/**
+ * Dataset stored for a day
+ * @typedef {Object} DataSnapshot
+ * @property {string} source - Source key of the data, e.g. "getPopular:en" (see getSourceKey)
+ * @property {string} date - Day of the snapshot (YYYY-MM-DD)
+ * @property {number} takenAt - Unix timestamp
+ * @property {Array} data - API data
+ */
+
+/**
+ * Format a day in the schedule timezone
+ * @param {string|Date|moment.Moment} date - Date, or a "YYYY-MM-DD" day kept as is
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDateKey(date = new Date()) {
+  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+  return moment(date.valueOf()).tz(getTimezone()).format("YYYY-MM-DD");
+}
+
+/**
+ * Path of a snapshot in file and object stores, e.g. "getRecap/coin/weekly/en/2024-05-31.json.gz"
+ * @param {string} source
+ * @param {string} date
+ * @returns {string}
+ */
+function getSnapshotPath(source, date) {
+  return [...source.split(":").map(encodeURIComponent), `${date}.json.gz`].join("/");
+}
+
+/**
+ * Store keeping snapshots as files
+ * @param {string} dir
+ * @returns {{read: Function, write: Function}}
+ */
+export function createLocalStore(dir = getENV("SNAPSHOT_DIR", isOffline() ? "./snapshots/" : "/tmp/snapshots/")) {
+  return {
+    async read(source, date) {
+      try {
+        return await fs.promises.readFile(path.join(dir, getSnapshotPath(source, date)));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async write(source, date, body) {
+      const file = path.join(dir, getSnapshotPath(source, date));
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+  };
+}
+
+/**
+ * Store keeping snapshots as items of the DynamoDB table
+ * @returns {{read: Function, write: Function}}
+ */
+export function createDynamoDBStore() {
+  return {
+    async read(source, date) {
+      const { getSnapshot } = await import("./dynamodb.js");
+      const item = await getSnapshot(`${source}@${date}`);
+      return item ? Buffer.from(item.body) : null;
+    },
+    async write(source, date, body) {
+      const { saveSnapshot } = await import("./dynamodb.js");
+      await saveSnapshot(`${source}@${date}`, { source, date, body });
+    },
+  };
+}
+
+/**
+ * Store keeping snapshots as objects of an S3-compatible bucket (see src/s3.js)
+ * @returns {{read: Function, write: Function}}
+ */
+export function createS3Store() {
+  const bucket = createBucket("SNAPSHOT");
+  const prefix = getENV("SNAPSHOT_S3_PREFIX", "snapshots/");
+  return {
+    async read(source, date) {
+      return await bucket.getObject(prefix + getSnapshotPath(source, date));
+    },
+    async write(source, date, body) {
+      await bucket.putObject(prefix + getSnapshotPath(source, date), body, {
+        ContentType: "application/json",
+        ContentEncoding: "gzip",
+      });
+    },
+  };
+}
+
+/**
+ * Get the configured snapshot store
+ * @returns {{read: Function, write: Function}|null} Null when snapshots are disabled
+ * @throws {Error} When SNAPSHOT_STORE is unknown
+ */
+export function getSnapshotStore() {
+  const name = getENV("SNAPSHOT_STORE", isOffline() ? "local" : "dynamodb").toLowerCase();
+  switch (name) {
+    case "local":
+      return createLocalStore();
+    case "dynamodb":
+      return createDynamoDBStore();
+    case "s3":
+      return createS3Store();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown SNAPSHOT_STORE: ${name}. Must be one of: dynamodb, s3, local, none`);
+  }
+}
+
+/**
+ * Store the data of a source for a day, replacing the snapshot of the same day
+ * @param {string} source - Source key, e.g. "getPopular:en"
+ * @param {Array} data - API data
+ * @param {Object} options
+ * @param {string|Date|moment.Moment} options.date - Day of the snapshot (default: today)
+ * @param {Object} options.store - Store to use instead of the configured one
+ * @returns {Promise<DataSnapshot|null>} Null when snapshots are disabled
+ */
+export async function recordSnapshot(source, data, { date = new Date(), store = getSnapshotStore() } = {}) {
+  if (!store) {
+    return null;
+  }
+  const snapshot = { source, date: toDateKey(date), takenAt: Math.floor(Date.now() / 1000), data };
+  await store.write(source, snapshot.date, await gzipAsync(JSON.stringify(snapshot)));
+  return snapshot;
+}
+
+/**
+ * Get the snapshot of a source for a day
+ * @param {string} source - Source key, e.g. "getPopular:en"
+ * @param {string|Date|moment.Moment} date
+ * @param {Object} options
+ * @param {Object} options.store - Store to use instead of the configured one
+ * @returns {Promise<DataSnapshot|null>}
+ */
+export async function getSnapshotAt(source, date, { store = getSnapshotStore() } = {}) {
+  if (!store) {
+    return null;
+  }
+  const body = await store.read(source, toDateKey(date));
+  return body ? JSON.parse(await gunzipAsync(body)) : null;
+}
+
+/**
+ * Get the snapshot of a source one day, week or month before a date
+ * When it is missing, the closest older snapshot within the tolerance of the period is used
+ * From the last day of a month, the monthly snapshot is the one of the previous month-end (Apr 30 to Mar 31)
+ * @param {string} source - Source key, e.g. "getPopular:en"
+ * @param {string} period - "day", "week" or "month"
+ * @param {Object} options
+ * @param {string|Date|moment.Moment} options.date - Date to compare from (default: today)
+ * @param {Object} options.store - Store to use instead of the configured one
+ * @returns {Promise<DataSnapshot|null>}
+ * @throws {Error} When the period is unknown
+ */
+export async function getPreviousSnapshot(source, period, { date = new Date(), store = getSnapshotStore() } = {}) {
+  const { amount, unit, tolerance } = SNAPSHOT_PERIODS[period] ?? {};
+  if (!amount) {
+    throw new Error(`Unknown snapshot period: ${period}. Must be one of: ${Object.keys(SNAPSHOT_PERIODS).join(", ")}`);
+  }
+  const day = moment.tz(toDateKey(date), getTimezone());
+  const target = day.clone().subtract(amount, unit);
+  if (unit === "months" && day.isSame(day.clone().endOf("month"), "day")) {
+    target.endOf("month").startOf("day");
+  }
+  for (let offset = 0; offset <= tolerance; offset++) {
+    const snapshot = await getSnapshotAt(source, target.clone().subtract(offset, "days"), { store });
+    if (snapshot) {
+      return snapshot;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the snapshots of a source over the last days, oldest first, skipping the missing days
+ * @param {string} source - Source key, e.g. "getPopular:en"
+ * @param {number} days - Days to look back, including the date itself
+ * @param {Object} options
+ * @param {string|Date|moment.Moment} options.date - Last day (default: today)
+ * @param {Object} options.store - Store to use instead of the configured one
+ * @returns {Promise<DataSnapshot[]>}
+ */
+export async function getRecentSnapshots(source, days, { date = new Date(), store = getSnapshotStore() } = {}) {
+  const last = moment.tz(toDateKey(date), getTimezone());
+  const snapshots = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const snapshot = await getSnapshotAt(source, last.clone().subtract(offset, "days"), { store });
+    if (snapshot) {
+      snapshots.push(snapshot);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Find a coin or an exchange in API data by its symbol, name or id (case-insensitive)
+ * @param {Array} data
+ * @param {string} key
+ * @returns {Object|null}
+ */
+export function findItem(data, key) {
+  const query = String(key).toLowerCase();
+  return (
+    data.find((item) =>
+      [item.symbol, item.name, item.name_en, item.id].some((value) => value != null && String(value).toLowerCase() === query)
+    ) ?? null
+  );
+}
+
+/**
+ * Get a coin or an exchange from the snapshot one day, week or month before a date
+ * @param {string} source - Source key, e.g. "getPopular:en"
+ * @param {string} period - "day", "week" or "month"
+ * @param {string} key - Coin symbol, or coin/exchange name or id
+ * @param {Object} options - Options of getPreviousSnapshot
+ * @returns {Promise<{item: Object, date: string}|null>} Item and day of its snapshot
+ */
+export async function getPreviousItem(source, period, key, options = {}) {
+  const snapshot = await getPreviousSnapshot(source, period, options);
+  const item = snapshot ? findItem(snapshot.data, key) : null;
+  return item ? { item, date: snapshot.date } : null;
+}
@@ -0,0 +1,207 @@
+/**
+ * Telegram Bot API helper for the recap chats and the bot command replies
+ * https://core.telegram.org/bots/api
+ */
+import TelegramBot from "node-telegram-bot-api";
+import { getENV } from "./env.js";
+import { loadImage } from "./images.js";
+import { normalizeLanguage, LANGUAGES } from "./i18n.js";
+
+/**
+ * Channel or group the bot posts to
+ * @typedef {Object} TelegramChannel
+ * @property {string} chatId - Chat id or @username
+ * @property {string} language - Content language of the chat
+ * @property {string|null} template - Coin table template, e.g. "table-coin-wide" (default "table-coin")
+ * @property {string|null} theme - Theme of the template in the manifest, e.g. "dark", random by default
+ * @property {string|null} caption - Caption template with {date} and {volume} placeholders
+ * @property {boolean} pin - Pin the daily recap
+ */
+
+const API_URL = "https://api.telegram.org";
+const REQUEST_TIMEOUT = 30000; // 30 seconds
+
+let bot;
+
+/**
+ * Get the Telegram bot, created on first use so dry runs don't need a token
+ * @returns {TelegramBot}
+ */
+export function getBot() {
+  if (!bot) {
+    bot = new TelegramBot(getENV("TELEGRAM_BOT_TOKEN"));
+  }
+  return bot;
+}
+
+/**
+ * Read the chats to post to from TELEGRAM_CHANNELS, a JSON array such as
+ * [{"chatId": "-100123", "language": "fa", "template": "table-coin-wide", "theme": "dark", "pin": true}]
+ * Falls back to TELEGRAM_CHANNEL_ID (en) and TELEGRAM_CHANNEL_ID_FA (fa)
+ * @returns {TelegramChannel[]}
+ * @throws {Error} When TELEGRAM_CHANNELS is invalid
+ */
+export function getTelegramChannels() {
+  const config = getENV("TELEGRAM_CHANNELS", "");
+  if (!config) {
+    return [
+      { chatId: getENV("TELEGRAM_CHANNEL_ID", ""), language: LANGUAGES.EN },
+      { chatId: getENV("TELEGRAM_CHANNEL_ID_FA", ""), language: LANGUAGES.FA },
+    ]
+      .filter((channel) => channel.chatId)
+      .map((channel) => ({ ...channel, template: null, theme: null, caption: null, pin: false }));
+  }
+
+  let channels;
+  try {
+    channels = JSON.parse(config);
+  } catch (error) {
+    throw new Error(`Invalid TELEGRAM_CHANNELS: ${error.message}`);
+  }
+  if (!Array.isArray(channels)) {
+    throw new Error("Invalid TELEGRAM_CHANNELS: must be a JSON array");
+  }
+
+  return channels.map((channel, index) => {
+    if (!channel?.chatId) {
+      throw new Error(`Invalid TELEGRAM_CHANNELS: channel ${index} has no chatId`);
+    }
+    return {
+      chatId: String(channel.chatId),
+      language: normalizeLanguage(channel.language),
+      template: channel.template ?? null,
+      theme: channel.theme ?? null,
+      caption: channel.caption ?? null,
+      pin: channel.pin === true,
+    };
+  });
+}
+
+/**
+ * Get the description of a Bot API error
+ * @param {Error} error
+ * @returns {string}
+ */
+function getErrorDescription(error) {
+  return error?.response?.body?.description ?? error?.message ?? "";
+}
+
+/**
+ * Check whether an edit failed because the message was deleted
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isMessageNotFound(error) {
+  return /message to edit not found|message can't be edited/i.test(getErrorDescription(error));
+}
+
+/**
+ * Check whether a message failed because the user blocked the bot or deleted the account
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isBotBlocked(error) {
+  return error?.response?.statusCode === 403 || /bot was blocked|user is deactivated/i.test(getErrorDescription(error));
+}
+
+/**
+ * File name and content type of an uploaded image, following its format (see IMAGE_FORMAT)
+ * @param {import("./images.js").RenderedImage} image
+ * @returns {{filename: string, contentType: string}}
+ */
+function getFileOptions(image) {
+  return {
+    filename: `daily-coins-${new Date().toISOString().slice(0, 10)}${image.extension}`,
+    contentType: image.mimeType,
+  };
+}
+
+/**
+ * Send a photo with an HTML caption
+ * @param {string} chatId
+ * @param {import("./images.js").RenderedImage|string} file - Rendered image or image path
+ * @param {string} caption
+ * @param {Object} options - Extra Bot API options, e.g. reply_to_message_id
+ * @returns {Promise<number>} Message id
+ */
+export async function sendPhoto(chatId, file, caption, options = {}) {
+  const image = await loadImage(file);
+  const message = await getBot().sendPhoto(
+    chatId,
+    image.buffer,
+    {
+      caption,
+      parse_mode: "html",
+      disable_web_page_preview: true,
+      ...options,
+    },
+    getFileOptions(image)
+  );
+  return message.message_id;
+}
+
+/**
+ * Send an HTML text message
+ * @param {string} chatId
+ * @param {string} text
+ * @param {Object} options - Extra Bot API options, e.g. reply_to_message_id
+ * @returns {Promise<number>} Message id
+ */
+export async function sendMessage(chatId, text, options = {}) {
+  const message = await getBot().sendMessage(chatId, text, {
+    parse_mode: "html",
+    disable_web_page_preview: true,
+    ...options,
+  });
+  return message.message_id;
+}
+
+/**
+ * Replace the photo and caption of a sent message
+ * Posted to the Bot API directly, the library only attaches files from disk to edits
+ * An edit with unchanged content succeeds, Telegram only rejects it as "not modified"
+ * @param {string} chatId
+ * @param {number} messageId
+ * @param {import("./images.js").RenderedImage|string} file - Rendered image or image path
+ * @param {string} caption
+ * @throws {Error} Shaped like the library errors, with response.statusCode and response.body
+ */
+export async function editPhoto(chatId, messageId, file, caption) {
+  const image = await loadImage(file);
+  const { filename, contentType } = getFileOptions(image);
+  const form = new FormData();
+  form.append("chat_id", String(chatId));
+  form.append("message_id", String(messageId));
+  form.append("media", JSON.stringify({ type: "photo", media: "attach://photo", caption, parse_mode: "html" }));
+  form.append("photo", new Blob([image.buffer], { type: contentType }), filename);
+
+  try {
+    const response = await fetch(`${API_URL}/bot${getENV("TELEGRAM_BOT_TOKEN")}/editMessageMedia`, {
+      method: "POST",
+      body: form,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    const body = await response.json();
+    if (!body.ok) {
+      throw Object.assign(new Error(`ETELEGRAM: ${body.error_code} ${body.description}`), {
+        code: "ETELEGRAM",
+        response: { statusCode: response.status, body },
+      });
+    }
+  } catch (error) {
+    if (/message is not modified/i.test(getErrorDescription(error))) {
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pin a message without notifying the members
+ * Telegram shows the latest pinned message at the top of the chat
+ * @param {string} chatId
+ * @param {number} messageId
+ */
+export async function pinMessage(chatId, messageId) {
+  await getBot().pinChatMessage(chatId, messageId, { disable_notification: true });
+}
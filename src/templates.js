@@ -0,0 +1,328 @@
+/**
+ * Template Registry
+ * Loads the template manifest (static/templates/manifest.json), which declares for every template
+ * its data fields, viewport sizes and themes, and the theme palettes they are rendered with.
+ *
+ * Fields are declared as:
+ * - "string", "number" or "boolean", "?" makes them optional (null or missing)
+ * - [item]: A non-empty list of items, e.g. ["string"] or [{"name": "string"}]
+ * - {field: type}: An object with its own fields
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Handlebars from "handlebars";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TEMPLATES_DIR = path.join(__dirname, "../static/templates");
+export const DEFAULT_MANIFEST_PATH = path.join(TEMPLATES_DIR, "manifest.json");
+
+// Viewport of the rendered images, templates size their <body> to match
+export const IMAGE_SIZES = {
+  square: { width: 1024, height: 1024 },
+  // 16:9, shown uncropped on Twitter, Mastodon and Bluesky timelines
+  wide: { width: 1200, height: 675 },
+};
+
+// Scalar field types
+const SCALAR_TYPES = ["string", "number", "boolean"];
+
+// Helpers whose block keeps the context, and the data variables templates may use besides @root
+const CONTEXT_HELPERS = ["if", "unless"];
+const DATA_VARIABLES = ["index", "key", "first", "last"];
+
+let manifest = null;
+
+/**
+ * Template declaration of the manifest
+ * @typedef {Object} TemplateDefinition
+ * @property {string} name - Template name, also the HTML file name
+ * @property {string} description
+ * @property {string[]} sizes - Keys of IMAGE_SIZES, the first one is the default viewport
+ * @property {string[]} themes - Supported themes, the first one is the default
+ * @property {Object} fields - Declared data fields
+ */
+
+/**
+ * Check a field declaration
+ * @param {*} type
+ * @param {string} label - Path of the field, for the errors
+ * @param {string[]} errors - Collected errors
+ */
+function validateFieldType(type, label, errors) {
+  if (typeof type === "string") {
+    if (!SCALAR_TYPES.includes(type.replace(/\?$/, ""))) {
+      errors.push(`${label}: unknown type "${type}", must be one of ${SCALAR_TYPES.join(", ")} (with "?" when optional)`);
+    }
+  } else if (Array.isArray(type)) {
+    if (type.length !== 1) {
+      errors.push(`${label}: lists declare exactly one item type`);
+    } else {
+      validateFieldType(type[0], `${label}[]`, errors);
+    }
+  } else if (type && typeof type === "object") {
+    Object.entries(type).forEach(([name, field]) => validateFieldType(field, `${label}.${name}`, errors));
+  } else {
+    errors.push(`${label}: must be a type name, a list or an object`);
+  }
+}
+
+/**
+ * Validate a template manifest
+ * @param {Object} definition - Parsed manifest
+ * @param {string} dir - Directory of the template files
+ * @returns {Object} The same manifest, with the name of each template
+ * @throws {Error} Listing every invalid theme and template
+ */
+export function validateManifest(definition, dir = TEMPLATES_DIR) {
+  if (!definition?.themes || typeof definition.themes !== "object" || !definition?.templates) {
+    throw new Error('Template manifest must have "themes" and "templates" objects');
+  }
+  const errors = [];
+
+  // Templates may use any palette key, so every theme defines the same ones
+  const themes = Object.entries(definition.themes);
+  const keys = Object.keys(themes[0]?.[1] ?? {}).sort().join(", ");
+  for (const [name, palette] of themes) {
+    if (Object.keys(palette ?? {}).sort().join(", ") !== keys) {
+      errors.push(`Theme "${name}": must define ${keys}`);
+    }
+  }
+
+  for (const [name, template] of Object.entries(definition.templates)) {
+    const label = `Template "${name}"`;
+    if (!fs.existsSync(path.join(dir, `${name}.html`))) {
+      errors.push(`${label}: ${name}.html is missing`);
+    }
+    if (!Array.isArray(template.sizes) || template.sizes.length === 0) {
+      errors.push(`${label}: "sizes" must list at least one size`);
+    } else {
+      template.sizes
+        .filter((size) => !IMAGE_SIZES[size])
+        .forEach((size) => errors.push(`${label}: unknown size "${size}", must be one of ${Object.keys(IMAGE_SIZES).join(", ")}`));
+    }
+    if (!Array.isArray(template.themes) || template.themes.length === 0) {
+      errors.push(`${label}: "themes" must list at least one theme`);
+    } else {
+      template.themes
+        .filter((theme) => !definition.themes[theme])
+        .forEach((theme) => errors.push(`${label}: unknown theme "${theme}"`));
+    }
+    if (!template.fields || typeof template.fields !== "object" || Array.isArray(template.fields)) {
+      errors.push(`${label}: "fields" must be an object`);
+    } else {
+      validateFieldType(template.fields, label, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid template manifest:\n- ${errors.join("\n- ")}`);
+  }
+
+  Object.entries(definition.templates).forEach(([name, template]) => (template.name = name));
+  return definition;
+}
+
+/**
+ * Load and validate a template manifest
+ * @param {string} filePath - Path to the JSON manifest
+ * @returns {Object} Validated manifest
+ * @throws {Error} When the file is missing, not JSON or invalid
+ */
+export function loadManifest(filePath = DEFAULT_MANIFEST_PATH) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, { encoding: "utf-8" }));
+  } catch (error) {
+    throw new Error(`Could not read template manifest ${filePath}: ${error.message}`);
+  }
+  return validateManifest(definition, path.dirname(filePath));
+}
+
+/**
+ * Get the shipped manifest, loaded on first use
+ * @returns {Object}
+ */
+function getManifest() {
+  manifest ??= loadManifest();
+  return manifest;
+}
+
+/**
+ * Get a template declaration
+ * @param {string} name - Template name, e.g. "table-coin"
+ * @returns {TemplateDefinition}
+ * @throws {Error} When the template isn't declared
+ */
+export function getTemplate(name) {
+  const template = getManifest().templates[name];
+  if (!template) {
+    throw new Error(`Unknown template: ${name}. Must be one of: ${Object.keys(getManifest().templates).join(", ")}`);
+  }
+  return template;
+}
+
+/**
+ * Get the palette of a theme supported by a template
+ * @param {string} templateName
+ * @param {string|null} theme - Theme name (default: the first theme of the template)
+ * @returns {{name: string, palette: Object<string, string>}}
+ * @throws {Error} When the template doesn't support the theme
+ */
+export function getTheme(templateName, theme = null) {
+  const template = getTemplate(templateName);
+  const name = theme ?? template.themes[0];
+  if (!template.themes.includes(name)) {
+    throw new Error(`Template ${templateName} has no ${name} theme. Must be one of: ${template.themes.join(", ")}`);
+  }
+  return { name, palette: getManifest().themes[name] };
+}
+
+/**
+ * Pick a random theme of a template
+ * @param {string} templateName
+ * @returns {string}
+ */
+export function getRandomTheme(templateName) {
+  const { themes } = getTemplate(templateName);
+  return themes[Math.floor(Math.random() * themes.length)];
+}
+
+/**
+ * Get the default viewport of a template, its first declared size
+ * @param {string} templateName
+ * @returns {{width: number, height: number}}
+ */
+export function getTemplateViewport(templateName) {
+  return IMAGE_SIZES[getTemplate(templateName).sizes[0]];
+}
+
+/**
+ * Check a value against a field declaration
+ * @param {*} value
+ * @param {*} type - Field declaration
+ * @param {string} label - Path of the field, for the errors
+ * @param {string[]} errors - Collected errors
+ */
+function checkField(value, type, label, errors) {
+  if (typeof type === "string") {
+    const optional = type.endsWith("?");
+    const scalar = type.replace(/\?$/, "");
+    if (value === undefined || value === null) {
+      if (!optional) {
+        errors.push(`${label} is required`);
+      }
+    } else if (typeof value !== scalar) {
+      errors.push(`${label} must be a ${scalar}, got ${typeof value}`);
+    }
+  } else if (Array.isArray(type)) {
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${label} must be a non-empty list`);
+    } else {
+      value.forEach((item, index) => checkField(item, type[0], `${label}[${index}]`, errors));
+    }
+  } else if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${label} must be an object`);
+  } else {
+    Object.entries(type).forEach(([name, field]) => checkField(value[name], field, `${label}.${name}`, errors));
+  }
+}
+
+/**
+ * Validate the data of a template against its declared fields, before it renders blank cells
+ * Undeclared fields are allowed, e.g. the rows of a chart which only its alt text reads
+ * @param {string} templateName
+ * @param {Object} data
+ * @throws {Error} Listing every missing or mistyped field
+ */
+export function validateTemplateData(templateName, data) {
+  const { fields } = getTemplate(templateName);
+  const errors = [];
+  if (!data || typeof data !== "object") {
+    errors.push("data must be an object");
+  } else {
+    Object.entries(fields).forEach(([name, type]) => checkField(data[name], type, name, errors));
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid data for template ${templateName}:\n- ${errors.join("\n- ")}`);
+  }
+}
+
+/**
+ * List the fields a template file uses without declaring them, e.g. a typo such as {{titel}}
+ * Fields are resolved like Handlebars does, through #each items, ../ and @root
+ * @param {string} templateName
+ * @returns {Promise<string[]>} Undeclared expressions, empty when the file matches its declaration
+ */
+export async function findUndeclaredFields(templateName) {
+  const template = getTemplate(templateName);
+  const html = await fs.promises.readFile(path.join(TEMPLATES_DIR, `${templateName}.html`), { encoding: "utf-8" });
+  // Every template gets the palette of its theme
+  const root = { ...template.fields, theme: Object.fromEntries(Object.keys(getTheme(templateName).palette).map((key) => [key, "string"])) };
+  const undeclared = new Set();
+
+  // Declared type of a path in a scope chain, undefined when it isn't declared
+  const resolve = (expression, scopes) => {
+    if (expression.data) {
+      const [variable, ...parts] = expression.parts;
+      if (variable !== "root") {
+        return DATA_VARIABLES.includes(variable) && parts.length === 0 ? "number" : undefined;
+      }
+      return parts.reduce((type, part) => (type && typeof type === "object" && !Array.isArray(type) ? type[part] : undefined), root);
+    }
+    const scope = scopes[scopes.length - 1 - expression.depth];
+    return expression.parts.reduce(
+      (type, part) => (type && typeof type === "object" && !Array.isArray(type) ? type[part] : undefined),
+      scope
+    );
+  };
+  const check = (expression, scopes) => {
+    if (expression?.type !== "PathExpression") {
+      return undefined;
+    }
+    const type = resolve(expression, scopes);
+    if (type === undefined) {
+      undeclared.add(`{{${expression.original}}}`);
+    }
+    return type;
+  };
+  const walk = (node, scopes) => {
+    if (!node) {
+      return;
+    }
+    switch (node.type) {
+      case "Program":
+        node.body.forEach((statement) => walk(statement, scopes));
+        break;
+      case "MustacheStatement":
+        // Helper calls check their arguments, plain expressions their path
+        if (node.params.length) {
+          node.params.forEach((param) => check(param, scopes));
+        } else {
+          check(node.path, scopes);
+        }
+        break;
+      case "BlockStatement": {
+        const helper = node.path.original;
+        const type = check(node.params[0], scopes);
+        if (helper === "each") {
+          const item = Array.isArray(type) ? type[0] : undefined;
+          walk(node.program, [...scopes, item]);
+        } else if (CONTEXT_HELPERS.includes(helper)) {
+          walk(node.program, scopes);
+        } else {
+          undeclared.add(`{{#${helper}}}`);
+        }
+        walk(node.inverse, scopes);
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  walk(Handlebars.parse(html), [root]);
+  return [...undeclared];
+}
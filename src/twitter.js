@@ -4,11 +4,14 @@
  * Using "twitter-api-v2": 1.15.1
  */
 import { TwitterApi } from "twitter-api-v2";
-import { readFileSync } from "fs";
 import { isOffline, isENV, getENV } from "./env.js";
+import { loadImage } from "./images.js";
 
 let client;
 
+// Maximum alt text length of media metadata
+const MEDIA_ALT_TEXT_MAX_LENGTH = 1000;
+
 /**
  * Initialize Twitter client with proper authentication
  * Handles token refresh and DynamoDB storage for serverless deployment
@@ -100,7 +103,7 @@ async function init() {
 /**
  * Post a tweet with optional media attachments
  * @param {string} text - Tweet text content
- * @param {string[]} mediaFiles - Array of file paths or URLs to attach
+ * @param {Array<string|{file: string, alt: string}>} mediaFiles - File paths or URLs to attach, optionally with alt text
  * @returns {Promise<object>} Twitter API response
  * @throws {Error} When tweeting fails
  */
@@ -137,7 +140,7 @@ export async function tweet(text, mediaFiles = []) {
  * Reply to a tweet with optional media attachments
  * @param {string} tweetId - ID of the tweet to reply to
  * @param {string} text - Reply text content
- * @param {string[]} mediaFiles - Array of file paths or URLs to attach
+ * @param {Array<string|{file: string, alt: string}>} mediaFiles - File paths or URLs to attach, optionally with alt text
  * @returns {Promise<object>} Twitter API response
  * @throws {Error} When reply fails
  */
@@ -170,31 +173,35 @@ export async function reply(tweetId, text, mediaFiles = []) {
 }
 
 /**
- * Prepare media files for upload (download URLs or read local files)
- * @param {string[]} mediaFiles - Array of file paths or URLs
+ * Prepare media files for upload (download URLs, read local files or take rendered images)
+ * @param {Array<string|import("./images.js").RenderedImage|{file: string|import("./images.js").RenderedImage, alt: string}>} mediaFiles - URLs, file paths or rendered images, optionally with alt text
  * @returns {Promise<string[]>} Array of uploaded media IDs
  */
 async function prepareMediaFiles(mediaFiles) {
   const mediaIds = [];
 
-  for (const file of mediaFiles) {
+  for (const media of mediaFiles) {
+    const { file, alt } = typeof media === "string" || media?.buffer ? { file: media } : media;
     try {
       let buffer;
 
-      if (isValidUrl(file)) {
+      if (typeof file === "string" && isValidUrl(file)) {
         // Download from URL
         buffer = await download(file);
       } else {
-        // Read from local file
-        buffer = readFileSync(file);
+        // Rendered image or local file
+        buffer = (await loadImage(file)).buffer;
       }
 
       if (buffer) {
         const mediaId = await uploadMedia(buffer);
+        if (alt) {
+          await setMediaAltText(mediaId, alt);
+        }
         mediaIds.push(mediaId);
       }
     } catch (error) {
-      console.error(`Failed to process media file ${file}:`, error.message);
+      console.error(`Failed to process media file ${file?.fileName ?? file}:`, error.message);
       // Continue with other files instead of failing completely
     }
   }
@@ -228,6 +235,22 @@ async function uploadMedia(fileBuffer) {
   }
 }
 
+/**
+ * Attach alt text to an uploaded media through the media metadata endpoint
+ * A failure only loses the description, the media is still attached
+ * @param {string} mediaId - Uploaded media ID
+ * @param {string} alt - Alt text (max 1000 characters)
+ */
+async function setMediaAltText(mediaId, alt) {
+  try {
+    await client.v1.createMediaMetadata(mediaId, {
+      alt_text: { text: alt.slice(0, MEDIA_ALT_TEXT_MAX_LENGTH) },
+    });
+  } catch (error) {
+    console.error(`Failed to set alt text of media ${mediaId}:`, error.message);
+  }
+}
+
 /**
  * Download media file from URL and return buffer
  * @param {string} url - URL to download from
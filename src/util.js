@@ -2,6 +2,7 @@
  * Utility Helper Functions
  * Reusable functions for text processing, formatting, and validation
  */
+import { createHash } from "crypto";
 
 /**
  * Safely replace placeholders in content with data values
@@ -44,6 +45,19 @@ export function normalizeLineBreaks(content, style = "\n") {
   return normalized;
 }
 
+/**
+ * Escape text for HTML output, such as previews and Telegram HTML messages
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /**
  * Find all hashtags in content with their positions
  * Uses matchAll for accurate position tracking (handles duplicates correctly)
@@ -55,7 +69,8 @@ export function findHashtags(content) {
     return { count: 0, all: [], inText: [], atEnd: [] };
   }
 
-  const hashtagRegex = /#\w+/g;
+  // Unicode letters so Persian hashtags (#بیت_کوین) are found too
+  const hashtagRegex = /#[\p{L}\p{N}_]+/gu;
   const matches = [...content.matchAll(hashtagRegex)];
 
   if (matches.length === 0) {
@@ -135,6 +150,29 @@ export function formatHashtagBlock(content, lineBreak = "\n") {
   return beforeContent + doubleLineBreak + afterContent;
 }
 
+/**
+ * Split text into user-perceived characters (grapheme clusters)
+ * Emojis with modifiers and combined Persian characters count as one
+ * @param {string} content - Text to split
+ * @returns {string[]} Graphemes
+ */
+export function splitGraphemes(content) {
+  if (!content || typeof content !== "string") {
+    return [];
+  }
+  const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+  return [...segmenter.segment(content)].map(({ segment }) => segment);
+}
+
+/**
+ * Count the graphemes of a text
+ * @param {string} content - Text to measure
+ * @returns {number} Grapheme count
+ */
+export function countGraphemes(content) {
+  return splitGraphemes(content).length;
+}
+
 /**
  * Clean and format content for social media
  * Removes markdown, normalizes whitespace, handles quotes
@@ -144,6 +182,7 @@ export function formatHashtagBlock(content, lineBreak = "\n") {
  * @param {number} options.maxLength - Maximum content length (optional)
  * @param {boolean} options.keepFirstBlock - Keep only first paragraph block
  * @param {boolean} options.formatHashtags - Add spacing before hashtags
+ * @param {boolean} options.graphemes - Count maxLength in graphemes instead of UTF-16 units (e.g. Bluesky)
  * @returns {string} Cleaned and formatted content
  */
 export function formatContent(content, options = {}) {
@@ -156,6 +195,7 @@ export function formatContent(content, options = {}) {
     maxLength = null,
     keepFirstBlock = false,
     formatHashtags = true,
+    graphemes = false,
   } = options;
 
   // Step 1: Normalize escaped line breaks FIRST (before any other processing)
@@ -204,7 +244,11 @@ export function formatContent(content, options = {}) {
   }
 
   // Step 8: Enforce character limit if specified
-  if (maxLength && content.length > maxLength) {
+  if (maxLength && graphemes) {
+    if (countGraphemes(content) > maxLength) {
+      content = splitGraphemes(content).slice(0, maxLength - 1).join("").trimEnd() + "…";
+    }
+  } else if (maxLength && content.length > maxLength) {
     content = content.slice(0, maxLength - 1).trimEnd() + "…";
   }
 
@@ -240,3 +284,94 @@ export function safeArrayAccess(arr, index, fallback = null) {
   }
   return arr[index];
 }
+
+/**
+ * Serialize a value to JSON with object keys sorted
+ * Produces the same output regardless of key insertion order
+ * @param {*} value - Value to serialize
+ * @returns {string} Deterministic JSON string
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item ?? null)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  if (typeof value === "bigint") {
+    return JSON.stringify(value.toString());
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Create a content hash identifying a post on a platform
+ * @param {string} platform - Platform name
+ * @param {string} target - Post target/type
+ * @param {*} data - Data the post is built from
+ * @param {string} language - Content language
+ * @returns {string} SHA-256 hex digest
+ */
+export function getContentHash(platform, target, data, language = "en") {
+  return createHash("sha256")
+    .update(stableStringify({ platform: platform.toLowerCase(), target, language, data }))
+    .digest("hex");
+}
+
+/**
+ * Read the pixel size of a JPEG, PNG or WebP image from its header
+ * @param {Buffer} buffer - Image data
+ * @param {string} type - "jpeg", "png" or "webp", detected by getImageType of src/images.js
+ * @returns {{width: number, height: number}|null} Size or null for other formats
+ */
+export function getImageSize(buffer, type) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 24) {
+    return null;
+  }
+
+  // WebP: the first chunk after the RIFF header holds the canvas size
+  if (type === "webp" && buffer.length >= 30) {
+    switch (buffer.toString("ascii", 12, 16)) {
+      // Extended: 24-bit canvas size minus one
+      case "VP8X":
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      // Lossy: 14-bit size after the key frame start code
+      case "VP8 ":
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      // Lossless: 14-bit sizes minus one, packed after the signature byte
+      case "VP8L": {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      default:
+        return null;
+    }
+  }
+
+  // PNG: the IHDR chunk starts right after the 8-byte signature
+  if (type === "png") {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments until a start-of-frame marker
+  if (type === "jpeg") {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
@@ -4,7 +4,7 @@
 import { writeTweet, writeCaption } from "./src/ai/index.js";
 import { getPopular, getExchanges, getRecap } from "./src/api.js";
 import { abbreviateNumber, numFormat } from "./src/number.js";
-import { createImageFromTemplate } from "./src/html.js";
+import { createImageFromTemplate, closeBrowser } from "./src/html.js";
 import moment from "moment";
 
 /**
@@ -57,6 +57,9 @@ async function runTests() {
   } catch (error) {
     console.error("❌ Test failed:", error.message);
     process.exit(1);
+  } finally {
+    // The image tests share one browser
+    await closeBrowser();
   }
 }
 
@@ -236,6 +239,15 @@ async function testAPI() {
   }
 }
 
+/**
+ * Describe a rendered image by its stored copy (or file name) and dimensions
+ * @param {import("./src/images.js").RenderedImage} image
+ * @returns {string}
+ */
+function describeImage(image) {
+  return `${image.location ?? image.fileName} (${image.width}x${image.height})`;
+}
+
 /**
  * Test image generation functionality
  */
@@ -269,8 +281,8 @@ async function testImageGeneration() {
 
     const yesterday = moment().subtract(1, "day").format("YYYY-MM-DD");
 
-    const imagePath = await createImageFromTemplate(
-      "table-coin-light",
+    const dailyImage = await createImageFromTemplate(
+      "table-coin",
       {
         tokens,
         headers: ["Token", "Average Price", "Traded Volume"],
@@ -278,10 +290,11 @@ async function testImageGeneration() {
         subtitle: `Total traded volume (24h): ${abbreviateNumber(Math.round(totalVol), 0, true)} IRR`,
         lastUpdate: yesterday,
       },
-      "test-daily-coins.jpg"
+      "test-daily-coins.jpg",
+      { theme: "light" }
     );
 
-    console.log(imagePath ? `✅ Generated daily coin recap image: ${imagePath}` : "❌ Failed to generate daily coin recap image");
+    console.log(dailyImage ? `✅ Generated daily coin recap image: ${describeImage(dailyImage)}` : "❌ Failed to generate daily coin recap image");
 
     // Test weekly coin recap image
     console.log("\n📊 Testing Weekly Coin Recap Image:");
@@ -305,8 +318,8 @@ async function testImageGeneration() {
       }))
       .slice(0, 10);
 
-    const weeklyImagePath = await createImageFromTemplate(
-      "table-coin-dark",
+    const weeklyImage = await createImageFromTemplate(
+      "table-coin",
       {
         tokens: weeklyTokens,
         headers: ["Token", "Average Price", "Traded Volume"],
@@ -314,10 +327,11 @@ async function testImageGeneration() {
         subtitle: `Total traded volume in past week: ${abbreviateNumber(Math.round(weeklyTotalVol), 0, true)} IRR`,
         lastUpdate: new Date().toISOString().slice(0, 10),
       },
-      "test-weekly-coins.jpg"
+      "test-weekly-coins.jpg",
+      { theme: "dark" }
     );
 
-    console.log(weeklyImagePath ? `✅ Generated weekly coin recap image: ${weeklyImagePath}` : "❌ Failed to generate weekly coin recap image");
+    console.log(weeklyImage ? `✅ Generated weekly coin recap image: ${describeImage(weeklyImage)}` : "❌ Failed to generate weekly coin recap image");
 
     // Test monthly exchange recap image
     console.log("\n🏦 Testing Monthly Exchange Recap Image:");
@@ -337,8 +351,8 @@ async function testImageGeneration() {
       }))
       .slice(0, 5);
 
-    const exchangeImagePath = await createImageFromTemplate(
-      "table-exchange-dark",
+    const exchangeImage = await createImageFromTemplate(
+      "table-exchange",
       {
         exchanges,
         title: "Exchanges Monthly Recap",
@@ -348,7 +362,7 @@ async function testImageGeneration() {
       "test-monthly-exchange.jpg"
     );
 
-    console.log(exchangeImagePath ? `✅ Generated monthly exchange recap image: ${exchangeImagePath}` : "❌ Failed to generate monthly exchange recap image");
+    console.log(exchangeImage ? `✅ Generated monthly exchange recap image: ${describeImage(exchangeImage)}` : "❌ Failed to generate monthly exchange recap image");
 
     console.log("\n✅ Image generation tests completed");
     console.log("\n📁 Generated images saved in writable/ directory");
@@ -0,0 +1,245 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import {
+  parseAlert,
+  buildSnapshot,
+  evaluateAlert,
+  buildAlertMessage,
+  deliverAlert,
+  evaluateAlerts,
+} from "../src/alerts.js";
+import { createMockResponse, setupTestEnv } from "./helpers.js";
+
+/**
+ * Snapshot with the given coins, ranked in order
+ */
+function snapshot(coins) {
+  return buildSnapshot(
+    coins.map(([symbol, volume, price = 1]) => ({ symbol, has_iran: true, irr: { volume }, usd: { price } })),
+    1700000000
+  );
+}
+
+describe("Alerts", () => {
+  describe("parseAlert", () => {
+    test("should parse value alerts with volume suffixes", () => {
+      assert.deepStrictEqual(parseAlert(["btc", "volume", ">", "500B"]), {
+        symbol: "BTC",
+        metric: "volume",
+        change: false,
+        operator: ">",
+        value: 500e9,
+        condition: "BTC volume > 500B",
+      });
+      assert.strictEqual(parseAlert(["ETH", "price<=3000"]).condition, "ETH price <= 3000");
+      assert.strictEqual(parseAlert(["BTC", "rank", "<", "3"]).value, 3);
+    });
+
+    test("should parse change alerts", () => {
+      const alert = parseAlert(["BTC", "volume", "change", "<", "-30%"]);
+      assert.strictEqual(alert.change, true);
+      assert.strictEqual(alert.value, -30);
+      assert.strictEqual(alert.condition, "BTC volume change < -30%");
+      assert.strictEqual(parseAlert(["BTC", "rank", "change", ">=", "3"]).value, 3);
+    });
+
+    test("should reject invalid conditions", () => {
+      for (const args of [
+        [],
+        ["BTC"],
+        ["BTC", "marketcap", ">", "1"],
+        ["BTC", "volume", "=", "1"],
+        ["BTC", "volume", ">", "lots"],
+        ["BTC", "volume", ">", "50%"],
+        ["BTC", "volume", "change", ">", "50"],
+        ["BTC", "rank", ">", "5%"],
+        ["BTC", "rank", "change", ">", "3K"],
+        ["BTC", "volume", ">", "1", "2"],
+        ["B$C", "volume", ">", "1"],
+      ]) {
+        assert.strictEqual(parseAlert(args), null, args.join(" "));
+      }
+    });
+  });
+
+  test("buildSnapshot should rank the coins traded in Iran", () => {
+    const { coins } = buildSnapshot(
+      [
+        { symbol: "usdt", has_iran: true, irr: { volume: 900 }, usd: { price: 1 } },
+        { symbol: "SOL", has_iran: false, irr: { volume: 800 }, usd: { price: 150 } },
+        { symbol: "BTC", has_iran: true, irr: { volume: "700" }, usd: { price: 65000 } },
+      ],
+      1
+    );
+    assert.deepStrictEqual(coins, {
+      USDT: { rank: 1, volume: 900, price: 1 },
+      BTC: { rank: 2, volume: 700, price: 65000 },
+    });
+  });
+
+  describe("evaluateAlert", () => {
+    const alert = parseAlert(["BTC", "volume", ">", "500B"]);
+
+    test("should trigger when a value crosses the threshold", () => {
+      const previous = snapshot([["BTC", 400e9]]);
+      const current = snapshot([["BTC", 600e9]]);
+      assert.deepStrictEqual(evaluateAlert(alert, current, previous), {
+        value: 600e9,
+        previousValue: 400e9,
+        change: null,
+      });
+    });
+
+    test("should not trigger again while the value stays past the threshold", () => {
+      assert.strictEqual(evaluateAlert(alert, snapshot([["BTC", 700e9]]), snapshot([["BTC", 600e9]])), null);
+      assert.strictEqual(evaluateAlert(alert, snapshot([["BTC", 300e9]]), snapshot([["BTC", 600e9]])), null);
+    });
+
+    test("should trigger without a previous snapshot or for new coins", () => {
+      assert.ok(evaluateAlert(alert, snapshot([["BTC", 600e9]]), false));
+      assert.ok(evaluateAlert(alert, snapshot([["BTC", 600e9]]), snapshot([["ETH", 1]])));
+      assert.strictEqual(evaluateAlert(alert, snapshot([["ETH", 600e9]]), false), null);
+    });
+
+    test("should compare volume changes in percent", () => {
+      const spike = parseAlert(["BTC", "volume", "change", ">", "50%"]);
+      const result = evaluateAlert(spike, snapshot([["BTC", 160]]), snapshot([["BTC", 100]]));
+      assert.strictEqual(Math.round(result.change), 60);
+      assert.strictEqual(evaluateAlert(spike, snapshot([["BTC", 140]]), snapshot([["BTC", 100]])), null);
+      assert.strictEqual(evaluateAlert(spike, snapshot([["BTC", 140]]), false), null);
+      assert.strictEqual(evaluateAlert(spike, snapshot([["BTC", 140]]), snapshot([["BTC", 0]])), null);
+    });
+
+    test("should compare rank moves in both directions", () => {
+      const move = parseAlert(["BTC", "rank", "change", ">=", "2"]);
+      const before = snapshot([["BTC", 9], ["ETH", 8], ["USDT", 7]]);
+      const after = snapshot([["ETH", 9], ["USDT", 8], ["BTC", 7]]);
+      assert.deepStrictEqual(evaluateAlert(move, after, before), { value: 3, previousValue: 1, change: 2 });
+      assert.deepStrictEqual(evaluateAlert(move, before, after), { value: 1, previousValue: 3, change: 2 });
+      assert.strictEqual(evaluateAlert(move, after, after), null);
+    });
+  });
+
+  describe("buildAlertMessage", () => {
+    test("should escape the condition and show the change", () => {
+      const alert = parseAlert(["BTC", "volume", "change", ">", "50%"]);
+      assert.strictEqual(
+        buildAlertMessage(alert, { value: 1.6e12, previousValue: 1e12, change: 60 }, "en"),
+        "🔔 BTC volume change &gt; 50%\nNow: 1.6 Trillion IRR (+60.0%)\nPrevious: 1.0 Trillion IRR"
+      );
+    });
+
+    test("should localize the values", () => {
+      const alert = parseAlert(["BTC", "rank", "<=", "3"]);
+      const message = buildAlertMessage(alert, { value: 2, previousValue: null, change: null }, "fa");
+      assert.strictEqual(message, "🔔 BTC rank &lt;= 3\nاکنون: #۲\nقبلی: -");
+    });
+  });
+
+  describe("delivery", () => {
+    const now = 1700003600;
+    let store;
+
+    /**
+     * In-memory alert store with the conditional writes of src/dynamodb.js
+     */
+    function createStore(alerts) {
+      const items = new Map(alerts.map((alert) => [alert.id, { ...alert }]));
+      const snapshots = new Map();
+      return {
+        items,
+        snapshots,
+        async getAlerts() {
+          return [...items.values()].map((alert) => ({ ...alert }));
+        },
+        async claimAlert(id, at, nextAt) {
+          const alert = items.get(id);
+          if (!alert || alert.scheduledAt > at) {
+            return false;
+          }
+          Object.assign(alert, { scheduledAt: nextAt, lastTriggeredAt: at });
+          return true;
+        },
+        async releaseAlert({ id, scheduledAt, lastTriggeredAt }, at) {
+          const alert = items.get(id);
+          if (alert?.lastTriggeredAt === at) {
+            Object.assign(alert, { scheduledAt, lastTriggeredAt });
+          }
+        },
+        async removeAlert(id) {
+          items.delete(id);
+        },
+        async getSnapshot(name) {
+          return snapshots.get(name) ?? false;
+        },
+        async saveSnapshot(name, snapshot) {
+          snapshots.set(name, snapshot);
+        },
+      };
+    }
+
+    const alert = { id: "alert-1", chatId: 42, language: "en", scheduledAt: 0, ...parseAlert(["BTC", "volume", ">", "500B"]) };
+
+    beforeEach(() => {
+      store = createStore([alert]);
+    });
+
+    test("should claim the alert and send it once", async () => {
+      const sent = [];
+      const send = async (chatId, text) => sent.push({ chatId, text });
+      assert.strictEqual(await deliverAlert(alert, "BTC volume > 500B", { now, cooldown: 3600 }, store, send), true);
+      assert.strictEqual(await deliverAlert(alert, "BTC volume > 500B", { now, cooldown: 3600 }, store, send), false);
+      assert.deepStrictEqual(sent, [{ chatId: 42, text: "BTC volume > 500B" }]);
+      assert.strictEqual(store.items.get("alert-1").scheduledAt, now + 3600);
+    });
+
+    test("should undo the claim when the message fails", async () => {
+      const send = async () => {
+        throw new Error("ETELEGRAM: 429 Too Many Requests");
+      };
+      assert.strictEqual(await deliverAlert(alert, "BTC volume > 500B", { now, cooldown: 3600 }, store, send), false);
+      assert.strictEqual(store.items.get("alert-1").scheduledAt, 0);
+      assert.strictEqual(store.items.get("alert-1").lastTriggeredAt, undefined);
+    });
+
+    test("should remove the alerts of chats that blocked the bot", async () => {
+      const send = async () => {
+        throw Object.assign(new Error("ETELEGRAM: 403 Forbidden: bot was blocked by the user"), {
+          response: { statusCode: 403 },
+        });
+      };
+      assert.strictEqual(await deliverAlert(alert, "BTC volume > 500B", { now, cooldown: 3600 }, store, send), false);
+      assert.ok(!store.items.has("alert-1"));
+    });
+
+    describe("evaluateAlerts", () => {
+      let originalFetch;
+      let restoreEnv;
+
+      beforeEach(() => {
+        restoreEnv = setupTestEnv({ IRANCRYPTO_API_KEY: "test-api-key", DRY_RUN: "" });
+        originalFetch = global.fetch;
+        global.fetch = async () =>
+          createMockResponse([{ symbol: "BTC", has_iran: true, irr: { volume: 400e9 }, usd: { price: 65000 } }]);
+      });
+
+      afterEach(() => {
+        global.fetch = originalFetch;
+        restoreEnv();
+      });
+
+      test("should record the snapshot without alerts", async () => {
+        store = createStore([]);
+        assert.deepStrictEqual(await evaluateAlerts(store), { alerts: 0, delivered: 0 });
+        assert.strictEqual(store.snapshots.get("popular").coins.BTC.volume, 400e9);
+      });
+
+      test("should leave the snapshot untouched in dry runs", async () => {
+        restoreEnv();
+        restoreEnv = setupTestEnv({ IRANCRYPTO_API_KEY: "test-api-key", DRY_RUN: "true" });
+        assert.deepStrictEqual(await evaluateAlerts(store), { alerts: 1, delivered: 0 });
+        assert.strictEqual(store.snapshots.size, 0);
+      });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { buildAltText, describeImage } from "../src/alt.js";
+import { setupTestEnv } from "./helpers.js";
+
+const coins = {
+  title: "Daily Recap",
+  subtitle: "Total traded volume (24h): 3.4T IRR",
+  headers: ["Token", "Average Price", "Traded Volume"],
+  lastUpdate: "2024-05-16",
+  tokens: [
+    { name: "Bitcoin", price: "$65,000", volume: "1.2T IRR", icon: "btc.png" },
+    { name: "Tether", price: "$1", volume: "900B IRR", icon: "usdt.png" },
+  ],
+};
+
+describe("Alt Text Helper", () => {
+  let restoreEnv;
+
+  beforeEach(() => {
+    restoreEnv = setupTestEnv({ ALT_TEXT_AI: "false" });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+  });
+
+  test("should describe the coin table from the template data", () => {
+    assert.strictEqual(
+      buildAltText(coins),
+      "Daily Recap. Total traded volume (24h): 3.4T IRR. Table with 2 rows: Token, Average Price, Traded Volume. " +
+        "Last update: 2024-05-16. 1. Bitcoin: Average Price $65,000, Traded Volume 1.2T IRR; " +
+        "2. Tether: Average Price $1, Traded Volume 900B IRR"
+    );
+  });
+
+  test("should describe the rank movement of rows with a trend column", () => {
+    const text = buildAltText({
+      ...coins,
+      tokens: [
+        { ...coins.tokens[0], trend: "↑ 1", movement: "up 1" },
+        { ...coins.tokens[1], trend: "NEW", movement: "new" },
+      ],
+    });
+    assert.ok(text.includes("1. Bitcoin: Average Price $65,000, Traded Volume 1.2T IRR (up 1); "));
+    assert.ok(text.endsWith("2. Tether: Average Price $1, Traded Volume 900B IRR (new)"));
+  });
+
+  test("should read out event lists as sentences", () => {
+    const text = buildAltText({
+      title: "BREAKING",
+      subtitle: "Unusual activity in the past hour",
+      events: [{ text: "Bitcoin entered the top 10 at #4", icon: "btc.png" }],
+      lastUpdate: "2024-05-16",
+    });
+    assert.strictEqual(text, "BREAKING. Unusual activity in the past hour. Bitcoin entered the top 10 at #4.");
+  });
+
+  test("should describe the exchange table with default headers", () => {
+    const text = buildAltText({
+      title: "Exchanges Monthly Recap",
+      exchanges: [
+        { name: "Nobitex", volume: "10T IRR", logo: "nobitex.png" },
+        { name: "Wallex", volume: "4T IRR", logo: "wallex.png" },
+      ],
+    });
+    assert.strictEqual(
+      text,
+      "Exchanges Monthly Recap. Table with 2 rows: Exchange, Traded Volume. 1. Nobitex: Traded Volume 10T IRR; 2. Wallex: Traded Volume 4T IRR"
+    );
+  });
+
+  test("should use Persian labels and digits", () => {
+    const text = buildAltText(
+      { ...coins, title: "گزارش روزانه", subtitle: null, headers: ["توکن", "میانگین قیمت", "حجم معاملات"] },
+      { language: "fa" }
+    );
+    assert.ok(text.startsWith("گزارش روزانه. جدولی با ۲ ردیف: توکن، میانگین قیمت، حجم معاملات."));
+    assert.ok(text.includes("آخرین به‌روزرسانی: 2024-05-16"));
+    assert.ok(text.includes("؛ ۲. Tether"));
+  });
+
+  test("should list the values of a chart", () => {
+    const chart = {
+      title: "Exchanges Market Share",
+      chart: {
+        kind: "pie",
+        svg: "<svg></svg>",
+        rows: [
+          { name: "Nobitex", value: "62.5%" },
+          { name: "Others", value: "37.5%" },
+        ],
+      },
+    };
+    assert.strictEqual(
+      buildAltText(chart),
+      "Exchanges Market Share. Pie chart of 2 slices. 1. Nobitex: 62.5%; 2. Others: 37.5%"
+    );
+
+    const line = { title: "حجم معاملات روزانه", chart: { kind: "line", rows: [{ name: "۰۳/۰۵", value: "۱۰ تریلیون ریال" }] } };
+    assert.strictEqual(
+      buildAltText(line, { language: "fa" }),
+      "حجم معاملات روزانه. نمودار خطی ۱ روز. ۰۳/۰۵: ۱۰ تریلیون ریال"
+    );
+  });
+
+  test("should drop the last rows to fit the max length", () => {
+    const text = buildAltText(coins, { maxLength: 200 });
+    assert.ok(text.length <= 200);
+    assert.ok(text.includes("1. Bitcoin"));
+    assert.ok(!text.includes("Tether"));
+  });
+
+  test("describeImage should skip the AI unless ALT_TEXT_AI is enabled", async () => {
+    assert.strictEqual(await describeImage(coins), buildAltText(coins));
+  });
+});
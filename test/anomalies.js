@@ -0,0 +1,248 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import {
+  buildSample,
+  detectAnomalies,
+  filterCooldown,
+  getBreakingTargets,
+  getAnomalyConfig,
+  getBreakingPostKey,
+  checkAnomalies,
+} from "../src/anomalies.js";
+import { describeAnomaly } from "../src/content.js";
+import { createMockResponse, setupTestEnv } from "./helpers.js";
+
+const CONFIG = { deviations: 3, window: 24, minSamples: 3, collapse: 40, dailyCap: 3, cooldown: 86400 };
+
+/**
+ * Popular data with the given coins, ranked in order
+ */
+function popular(coins) {
+  return coins.map(([symbol, volume]) => ({ name: symbol, name_fa: `${symbol}-fa`, symbol, has_iran: true, irr: { volume } }));
+}
+
+// Twelve coins with steady volumes, BTC slightly noisy
+const BASE = [["USDT", 5000], ["BTC", 3000], ...Array.from({ length: 10 }, (_, i) => [`C${i}`, 1000 - i * 50])];
+const SAMPLES = [2900, 3000, 3100, 3000].map((btc, index) =>
+  buildSample(
+    popular(BASE.map(([symbol, volume]) => [symbol, symbol === "BTC" ? btc : volume])),
+    1700000000 + index * 3600
+  )
+);
+
+describe("Anomaly Detector", () => {
+  let restoreEnv;
+
+  beforeEach(() => {
+    restoreEnv = setupTestEnv({
+      ANOMALY_TARGETS: "",
+      ANOMALY_STDDEV: "",
+      TELEGRAM_CHANNELS: "",
+      TELEGRAM_CHANNEL_ID: "-1001",
+      TELEGRAM_CHANNEL_ID_FA: "",
+    });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+  });
+
+  test("should sample the ranks and volumes of the coins traded in Iran", () => {
+    const sample = buildSample([...popular([["USDT", 10], ["BTC", 5]]), { symbol: "XRP", has_iran: false, irr: { volume: 99 } }], 1);
+    assert.deepStrictEqual(sample, {
+      takenAt: 1,
+      total: 15,
+      coins: { USDT: { rank: 1, volume: 10 }, BTC: { rank: 2, volume: 5 } },
+    });
+  });
+
+  test("should flag a volume far above the trailing average", () => {
+    const data = popular(BASE.map(([symbol, volume]) => [symbol, symbol === "BTC" ? 4000 : volume]));
+    const anomalies = detectAnomalies(data, SAMPLES, CONFIG, 1700020000);
+
+    assert.strictEqual(anomalies.length, 1);
+    assert.deepStrictEqual(
+      { ...anomalies[0], coin: anomalies[0].coin.symbol },
+      {
+        type: "spike",
+        key: "spike:BTC",
+        coin: "BTC",
+        rank: 2,
+        volume: 4000,
+        average: 3000,
+        deviations: 14.1,
+        change: null,
+        hours: 4,
+        detectedAt: 1700020000,
+      }
+    );
+    // Ordinary noise isn't flagged
+    const noise = popular(BASE.map(([symbol, volume]) => [symbol, symbol === "BTC" ? 3100 : volume]));
+    assert.deepStrictEqual(detectAnomalies(noise, SAMPLES, CONFIG), []);
+  });
+
+  test("should flag a coin entering the top 10", () => {
+    const data = popular([...BASE.slice(0, 5), ["PEPE", 900], ...BASE.slice(5)]);
+    const keys = detectAnomalies(data, SAMPLES, CONFIG).map((anomaly) => anomaly.key);
+    assert.deepStrictEqual(keys, ["entrant:PEPE"]);
+  });
+
+  test("should flag a collapse of the total volume", () => {
+    const data = popular(BASE.map(([symbol, volume]) => [symbol, volume / 2]));
+    const [anomaly] = detectAnomalies(data, SAMPLES, CONFIG);
+    assert.strictEqual(anomaly.type, "collapse");
+    assert.strictEqual(anomaly.change, -50);
+  });
+
+  test("should wait for enough samples", () => {
+    const data = popular([["PEPE", 1e9], ...BASE]);
+    assert.deepStrictEqual(detectAnomalies(data, SAMPLES.slice(0, 2), CONFIG), []);
+  });
+
+  test("should skip anomalies flagged within the cooldown", () => {
+    const anomalies = [{ key: "spike:BTC" }, { key: "entrant:PEPE" }, { key: "collapse" }];
+    const flagged = { "spike:BTC": 1000, collapse: 100 };
+    assert.deepStrictEqual(
+      filterCooldown(anomalies, flagged, 1100, 500).map((anomaly) => anomaly.key),
+      ["entrant:PEPE", "collapse"]
+    );
+  });
+
+  test("should read the breaking targets and settings", () => {
+    assert.deepStrictEqual(getBreakingTargets(), [
+      { platform: "twitter", language: "en" },
+      { platform: "telegram", language: "en" },
+    ]);
+    process.env.ANOMALY_TARGETS = "Telegram:fa";
+    process.env.TELEGRAM_CHANNEL_ID_FA = "-1002";
+    assert.deepStrictEqual(getBreakingTargets(), [{ platform: "telegram", language: "fa" }]);
+    process.env.ANOMALY_TARGETS = "telegram";
+    assert.throws(() => getBreakingTargets(), /Invalid ANOMALY_TARGETS entry "telegram"/);
+
+    process.env.ANOMALY_STDDEV = "2.5";
+    assert.strictEqual(getAnomalyConfig().deviations, 2.5);
+  });
+
+  test("should leave out Telegram targets without a channel of their language", () => {
+    process.env.ANOMALY_TARGETS = "twitter:en,telegram:en,telegram:fa";
+    assert.deepStrictEqual(getBreakingTargets(), [
+      { platform: "twitter", language: "en" },
+      { platform: "telegram", language: "en" },
+    ]);
+    process.env.TELEGRAM_CHANNEL_ID = "";
+    assert.deepStrictEqual(getBreakingTargets(), [{ platform: "twitter", language: "en" }]);
+  });
+
+  describe("checkAnomalies", () => {
+    let originalFetch;
+    let store;
+
+    beforeEach(() => {
+      restoreEnv();
+      restoreEnv = setupTestEnv({
+        ANOMALY_TARGETS: "",
+        ANOMALY_MIN_SAMPLES: "3",
+        ANOMALY_DAILY_CAP: "",
+        TELEGRAM_CHANNELS: "",
+        TELEGRAM_CHANNEL_ID: "-1001",
+        IRANCRYPTO_API_KEY: "test-api-key",
+        DRY_RUN: "",
+      });
+      const spike = popular(BASE.map(([symbol, volume]) => [symbol, symbol === "BTC" ? 4000 : volume]));
+      originalFetch = global.fetch;
+      global.fetch = async () => createMockResponse(spike);
+
+      const counters = new Map();
+      store = {
+        counters,
+        scheduled: [],
+        snapshot: { samples: SAMPLES, flagged: {} },
+        async getSnapshot() {
+          return store.snapshot;
+        },
+        async saveSnapshot(name, snapshot) {
+          store.snapshot = snapshot;
+        },
+        async countRequest(key) {
+          counters.set(key, (counters.get(key) ?? 0) + 1);
+          return counters.get(key);
+        },
+        keys: new Set(),
+        async schedulePost(platform, target, data, timestamp, { language, key }) {
+          if (store.keys.has(key)) {
+            return null;
+          }
+          store.keys.add(key);
+          store.scheduled.push(`${platform}:${language}`);
+          return `post-${key}`;
+        },
+      };
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test("should cap the breaking posts of each target a day", async () => {
+      store.counters.set("breaking-telegram-en", 3);
+      const { anomalies, scheduled } = await checkAnomalies(store);
+      assert.deepStrictEqual(anomalies.map((anomaly) => anomaly.key), ["spike:BTC"]);
+      assert.strictEqual(scheduled, 1);
+      assert.deepStrictEqual(store.scheduled, ["twitter:en"]);
+      assert.deepStrictEqual(Object.fromEntries(store.counters), { "breaking-twitter-en": 1, "breaking-telegram-en": 4 });
+      // Capped anomalies are marked too
+      assert.ok(store.snapshot.flagged["spike:BTC"]);
+    });
+
+    test("should keep the flags and the sample when a target fails", async () => {
+      const schedule = store.schedulePost;
+      store.schedulePost = async (platform, ...args) => {
+        if (platform === "telegram") {
+          throw new Error("ProvisionedThroughputExceededException");
+        }
+        return await schedule(platform, ...args);
+      };
+      const { scheduled } = await checkAnomalies(store);
+      assert.strictEqual(scheduled, 1);
+      assert.deepStrictEqual(store.scheduled, ["twitter:en"]);
+      assert.ok(store.snapshot.flagged["spike:BTC"]);
+      assert.strictEqual(store.snapshot.samples.length, SAMPLES.length + 1);
+    });
+
+    test("should queue the breaking post of a target once an hour", async () => {
+      const snapshot = store.snapshot;
+      await checkAnomalies(store);
+      // Repeated before its flags were saved, e.g. after a timeout
+      store.snapshot = snapshot;
+      const { scheduled } = await checkAnomalies(store);
+      assert.strictEqual(scheduled, 0);
+      assert.deepStrictEqual(store.scheduled, ["twitter:en", "telegram:en"]);
+    });
+  });
+
+  test("getBreakingPostKey should key the anomalies by target and hour", () => {
+    const anomalies = [{ key: "spike:BTC" }, { key: "entrant:TON" }];
+    const key = getBreakingPostKey("twitter", "en", anomalies, 1717150000);
+    assert.strictEqual(key, "breaking-twitter-en-2024-05-31T10-entrant:TON-spike:BTC");
+    assert.strictEqual(getBreakingPostKey("twitter", "en", anomalies.slice().reverse(), 1717151999), key);
+  });
+
+  test("should describe anomalies in the content language", () => {
+    const spike = {
+      type: "spike",
+      coin: { symbol: "BTC", name: "Bitcoin" },
+      rank: 2,
+      volume: 4e12,
+      average: 3e12,
+      deviations: 14.1,
+      change: null,
+      hours: 24,
+    };
+    assert.strictEqual(
+      describeAnomaly(spike),
+      "Bitcoin volume jumped to 4.0 Trillion IRR, 14.1σ above its 24h average of 3.0 Trillion IRR"
+    );
+    assert.match(describeAnomaly({ ...spike, type: "collapse", coin: null, change: -52.5 }), /fell 52.5% below its 24h average/);
+    assert.match(describeAnomaly({ ...spike, type: "entrant" }, "fa"), /رتبه ۲/);
+  });
+});
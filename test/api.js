@@ -47,6 +47,16 @@ describe('API Helper', () => {
     assert.strictEqual(fetchMock.calls[0].url, 'https://irancrypto.market/api/v1/popular');
   });
 
+  test('getPopular should request the given language', async () => {
+    fetchMock.setResponse(Promise.resolve(createMockResponse([])));
+
+    await getPopular();
+    await getPopular('fa');
+
+    assert.strictEqual(fetchMock.calls[0].options.headers.Language, 'en');
+    assert.strictEqual(fetchMock.calls[1].options.headers.Language, 'fa');
+  });
+
   test('getPopular should throw an error on API failure', async () => {
     fetchMock.setResponse(Promise.resolve(createMockErrorResponse('Server Error', 500)));
 
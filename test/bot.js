@@ -0,0 +1,137 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { parseCommand, getUserLanguage, handleCommand, getBotConfig } from "../src/bot.js";
+import { getCached, clearCache } from "../src/cache.js";
+import { createMockResponse, setupTestEnv } from "./helpers.js";
+
+const POPULAR = [
+  { name: "Tether", name_fa: "تتر", symbol: "USDT", has_iran: true, usd: { price: 1 }, irr: { volume: 2500000000000 } },
+  { name: "Solana", symbol: "SOL", has_iran: false, usd: { price: 150 }, irr: { volume: 900000000000 } },
+  { name: "Bitcoin", name_fa: "بیت‌کوین", symbol: "BTC", has_iran: true, usd: { price: 65000 }, irr: { volume: 800000000000 } },
+];
+
+describe("Telegram Bot", () => {
+  let restoreEnv;
+  let originalFetch;
+  let requests;
+
+  beforeEach(() => {
+    restoreEnv = setupTestEnv({ IRANCRYPTO_API_KEY: "test-api-key", BOT_CACHE_TTL: "300" });
+    clearCache();
+    requests = [];
+    originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+      requests.push({ url, language: options.headers.Language });
+      return createMockResponse(POPULAR);
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    restoreEnv();
+  });
+
+  describe("parseCommand", () => {
+    test("should parse the command and its arguments", () => {
+      assert.deepStrictEqual(parseCommand("/coin  btc "), { command: "coin", args: ["btc"], mention: null });
+      assert.deepStrictEqual(parseCommand("/TOP@IranCryptoBot"), { command: "top", args: [], mention: "IranCryptoBot" });
+    });
+
+    test("should ignore plain messages", () => {
+      assert.strictEqual(parseCommand("hello /top"), null);
+      assert.strictEqual(parseCommand(""), null);
+      assert.strictEqual(parseCommand(undefined), null);
+    });
+  });
+
+  test("getUserLanguage should answer Persian users in Persian", () => {
+    assert.strictEqual(getUserLanguage({ language_code: "fa" }), "fa");
+    assert.strictEqual(getUserLanguage({ language_code: "en-US" }), "en");
+    assert.strictEqual(getUserLanguage(undefined), "en");
+  });
+
+  test("getBotConfig should use the defaults", () => {
+    restoreEnv();
+    restoreEnv = setupTestEnv({ BOT_RATE_LIMIT: "", BOT_RATE_WINDOW: "", BOT_CACHE_TTL: "" });
+    assert.deepStrictEqual(getBotConfig(), { rateLimit: 5, rateWindow: 60, cacheTTL: 300 });
+  });
+
+  describe("handleCommand", () => {
+    test("should list the commands", async () => {
+      const reply = await handleCommand({ command: "help", args: [] });
+      assert.match(reply.text, /\/coin BTC/);
+      assert.strictEqual(reply.image, undefined);
+    });
+
+    test("should ignore unknown commands", async () => {
+      assert.strictEqual(await handleCommand({ command: "constructor", args: [] }), null);
+    });
+
+    test("should describe a coin ranked among the coins traded in Iran", async () => {
+      const reply = await handleCommand({ command: "coin", args: ["btc"] });
+      assert.strictEqual(
+        reply.text,
+        "<b>Bitcoin (BTC)</b>\nRank: #2\nAverage price: $65,000\nTraded volume (24h): 800.0 Billion IRR"
+      );
+    });
+
+    test("should describe a coin in Persian", async () => {
+      const reply = await handleCommand({ command: "coin", args: ["BTC"] }, { language: "fa" });
+      assert.match(reply.text, /بیت‌کوین \(BTC\)/);
+      assert.match(reply.text, /رتبه: ۲/);
+      assert.strictEqual(requests[0].language, "fa");
+    });
+
+    test("should escape unknown symbols", async () => {
+      const reply = await handleCommand({ command: "coin", args: ["<b>sol"] });
+      assert.strictEqual(reply.text, "&lt;B&gt;SOL isn't traded on Iranian exchanges right now.");
+      assert.match((await handleCommand({ command: "coin", args: ["SOL"] })).text, /isn't traded/);
+    });
+
+    test("should ask for a symbol", async () => {
+      const reply = await handleCommand({ command: "coin", args: [] });
+      assert.strictEqual(reply.text, "Send a coin symbol, e.g. /coin BTC");
+      assert.strictEqual(requests.length, 0);
+    });
+
+    test("should only set alerts in private chats", async () => {
+      const group = { id: -1001, type: "supergroup" };
+      const reply = await handleCommand({ command: "alert", args: ["BTC", "volume", ">", "500B"] }, { chat: group });
+      assert.match(reply.text, /private chat/);
+    });
+
+    test("should explain the alert syntax", async () => {
+      const reply = await handleCommand({ command: "alert", args: ["BTC"] }, { chat: { id: 1, type: "private" } });
+      assert.match(reply.text, /\/alert BTC volume &gt; 500B/);
+    });
+
+    test("should reuse cached API results", async () => {
+      await handleCommand({ command: "coin", args: ["BTC"] });
+      await handleCommand({ command: "coin", args: ["USDT"] });
+      assert.strictEqual(requests.length, 1);
+      await handleCommand({ command: "coin", args: ["BTC"] }, { language: "fa" });
+      assert.strictEqual(requests.length, 2);
+    });
+  });
+
+  describe("getCached", () => {
+    test("should share one load between concurrent calls", async () => {
+      let loads = 0;
+      const load = async () => ++loads;
+      const values = await Promise.all([getCached("a", load, 60), getCached("a", load, 60)]);
+      assert.deepStrictEqual(values, [1, 1]);
+    });
+
+    test("should reload expired values", async () => {
+      let loads = 0;
+      const load = async () => ++loads;
+      await getCached("a", load, 0);
+      assert.strictEqual(await getCached("a", load, 0), 2);
+    });
+
+    test("should not cache failed loads", async () => {
+      await assert.rejects(getCached("a", async () => { throw new Error("API down"); }, 60), /API down/);
+      assert.strictEqual(await getCached("a", async () => "ok", 60), "ok");
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import moment from "moment-timezone";
+import {
+  loadCalendar,
+  validateCalendar,
+  matchesRule,
+  parseRule,
+  getDueJobs,
+  getJobScheduleTime,
+  getJobPostKey,
+  getSourceKey,
+  getSourcePeriod,
+} from "../src/calendar.js";
+
+const TZ = "Asia/Tehran";
+const day = (date) => moment.tz(`${date} 23:59`, "YYYY-MM-DD HH:mm", TZ);
+
+const validJob = {
+  name: "daily-trends-twitter",
+  when: "* * *",
+  source: { method: "getPopular" },
+  platform: "twitter",
+  target: "trends",
+  postAt: "09:00",
+};
+
+describe("Content Calendar", () => {
+  describe("parseRule / matchesRule", () => {
+    test("should match every day with wildcards", () => {
+      assert.strictEqual(matchesRule("* * *", day("2024-05-14")), true);
+    });
+
+    test("should match day-of-week", () => {
+      // 2024-05-17 is a Friday
+      assert.strictEqual(matchesRule("* * 5", day("2024-05-17")), true);
+      assert.strictEqual(matchesRule("* * 5", day("2024-05-16")), false);
+      assert.strictEqual(matchesRule("* * 1-5", day("2024-05-16")), true);
+    });
+
+    test("should match the last day of month", () => {
+      assert.strictEqual(matchesRule("L * *", day("2024-02-29")), true);
+      assert.strictEqual(matchesRule("L * *", day("2024-02-28")), false);
+      assert.strictEqual(matchesRule("1,L * *", day("2024-03-01")), true);
+    });
+
+    test("should match the last day of the Jalali month", () => {
+      // 2024-05-20 is 31 Ordibehesht 1403, 2024-05-31 is the Gregorian month end
+      assert.strictEqual(matchesRule("L * *", day("2024-05-20"), "jalali"), true);
+      assert.strictEqual(matchesRule("L * *", day("2024-05-31"), "jalali"), false);
+      assert.strictEqual(matchesRule("L * *", day("2024-05-20")), false);
+      assert.strictEqual(matchesRule("1 1 *", day("2024-03-20"), "jalali"), true);
+    });
+
+    test("should match month lists", () => {
+      assert.strictEqual(matchesRule("* 3,6 *", day("2024-06-10")), true);
+      assert.strictEqual(matchesRule("* 3,6 *", day("2024-07-10")), false);
+    });
+
+    test("should reject malformed rules", () => {
+      assert.throws(() => parseRule("* *"), /must have 3 fields/);
+      assert.throws(() => parseRule("* * 7"), /day-of-week "7" must be within 0-6/);
+      assert.throws(() => parseRule("* L *"), /Invalid month value "L"/);
+    });
+  });
+
+  describe("validateCalendar", () => {
+    test("should apply defaults", () => {
+      const calendar = validateCalendar({ jobs: [{ ...validJob }] });
+      assert.strictEqual(calendar.jobs[0].dayOffset, 1);
+      assert.strictEqual(calendar.jobs[0].enabled, true);
+      assert.deepStrictEqual(calendar.jobs[0].source.args, []);
+      assert.strictEqual(calendar.jobs[0].language, "en");
+    });
+
+    test("should list every invalid field", () => {
+      assert.throws(
+        () =>
+          validateCalendar({
+            jobs: [
+              validJob,
+              { ...validJob },
+              { ...validJob, name: "bad", platform: "myspace", postAt: "25:00" },
+              { ...validJob, name: "recap", source: { method: "getRecap", args: ["coin", "daily"] } },
+            ],
+          }),
+        (error) => {
+          assert.match(error.message, /Job "daily-trends-twitter": duplicate name/);
+          assert.match(error.message, /Job "bad": unknown platform "myspace"/);
+          assert.match(error.message, /Job "bad": "postAt" must be a time/);
+          assert.match(error.message, /Job "recap": getRecap expects \[type, interval\]/);
+          return true;
+        }
+      );
+    });
+
+    test("should reject unknown calendars", () => {
+      assert.throws(
+        () => validateCalendar({ jobs: [{ ...validJob, calendar: "hijri" }] }),
+        /"calendar" must be "gregorian" or "jalali"/
+      );
+    });
+
+    test("should reject unsupported languages", () => {
+      assert.throws(
+        () => validateCalendar({ jobs: [{ ...validJob, language: "de" }] }),
+        /Unsupported language: de/
+      );
+    });
+
+    test("should reject unknown targets", () => {
+      assert.throws(
+        () => validateCalendar({ jobs: [{ ...validJob, target: "trend" }] }),
+        /unknown target "trend" for twitter/
+      );
+    });
+
+    test("should require a jobs array", () => {
+      assert.throws(() => validateCalendar({}), /must have a "jobs" array/);
+    });
+  });
+
+  describe("scheduling", () => {
+    test("shipped calendar should be valid", () => {
+      const calendar = loadCalendar();
+      assert.ok(calendar.jobs.length > 0);
+    });
+
+    test("should select due jobs and skip disabled ones", () => {
+      const calendar = validateCalendar({
+        jobs: [
+          validJob,
+          { ...validJob, name: "friday", when: "* * 5" },
+          { ...validJob, name: "disabled", enabled: false },
+        ],
+      });
+      const names = getDueJobs(calendar, day("2024-05-16")).map((job) => job.name);
+      assert.deepStrictEqual(names, ["daily-trends-twitter"]);
+    });
+
+    test("should schedule at postAt on the next day in the timezone", () => {
+      const [job] = validateCalendar({ jobs: [{ ...validJob, postAt: "10:30" }] }).jobs;
+      const time = getJobScheduleTime(job, day("2024-05-16"));
+      assert.strictEqual(time.format("YYYY-MM-DD HH:mm Z"), "2024-05-17 10:30 +03:30");
+    });
+
+    test("should key the post of a job by its run date", () => {
+      const [job] = validateCalendar({ jobs: [validJob] }).jobs;
+      assert.strictEqual(getJobPostKey(job, day("2024-05-16")), "daily-trends-twitter-twitter-trends-2024-05-16");
+      assert.notStrictEqual(getJobPostKey(job, day("2024-05-17")), getJobPostKey(job, day("2024-05-16")));
+    });
+
+    test("should share source keys between jobs with the same data", () => {
+      const { jobs } = validateCalendar({
+        jobs: [
+          validJob,
+          { ...validJob, name: "recap", source: { method: "getRecap", args: ["coin", "weekly"] } },
+          { ...validJob, name: "farsi", language: "fa" },
+        ],
+      });
+      assert.strictEqual(getSourceKey(jobs[0]), "getPopular:en");
+      assert.strictEqual(getSourceKey(jobs[1]), "getRecap:coin:weekly:en");
+      assert.strictEqual(getSourceKey(jobs[2]), "getPopular:fa");
+    });
+
+    test("should compare each source with the previous period of its data", () => {
+      const { jobs } = validateCalendar({
+        jobs: [
+          validJob,
+          { ...validJob, name: "weekly", source: { method: "getRecap", args: ["coin", "weekly"] } },
+          { ...validJob, name: "monthly", source: { method: "getRecap", args: ["exchange", "monthly"] } },
+        ],
+      });
+      assert.deepStrictEqual(jobs.map(getSourcePeriod), ["day", "week", "month"]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { renderBarChart, renderPieChart, renderLineChart, CHART_PALETTE } from "../src/charts.js";
+
+/**
+ * Attribute values of the elements of a tag in SVG markup
+ */
+function getAttributes(svg, tag, attribute) {
+  return [...svg.matchAll(new RegExp(`<${tag} [^>]*?${attribute}="([^"]*)"`, "g"))].map((match) => match[1]);
+}
+
+describe("Chart Renderer", () => {
+  test("should draw bars proportional to the values with escaped labels", () => {
+    const svg = renderBarChart(
+      [
+        { label: "Tether", value: 200, valueLabel: "200 IRR" },
+        { label: "<script>", value: 100 },
+        { label: "Zero", value: 0 },
+      ],
+      { width: 900, height: 300 }
+    );
+
+    assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="900" height="300"'));
+    // 900 - 200 labels - 200 values - 2 * 16 gaps
+    assert.deepStrictEqual(getAttributes(svg, "rect", "width"), ["468", "234", "0"]);
+    assert.deepStrictEqual(getAttributes(svg, "rect", "fill"), CHART_PALETTE.slice(0, 3));
+    assert.ok(svg.includes(">200 IRR</text>"));
+    assert.ok(svg.includes(">100</text>"));
+    assert.ok(svg.includes("&lt;script&gt;"));
+    assert.ok(!svg.includes("<script>"));
+  });
+
+  test("should mirror the bars for right-to-left languages", () => {
+    const svg = renderBarChart([{ label: "تتر", value: 10 }], { width: 900, height: 100, rtl: true });
+
+    // The label ends at 200px from the right edge, the bar grows to the left of it
+    assert.ok(svg.includes('direction="rtl"'));
+    assert.ok(svg.includes('<text x="700" y="50" dominant-baseline="middle" text-anchor="end"'));
+    assert.deepStrictEqual(getAttributes(svg, "rect", "x"), ["216"]);
+  });
+
+  test("should draw slices as dashes of the ring proportional to their share", () => {
+    const svg = renderPieChart(
+      [
+        { label: "A", value: 3 },
+        { label: "B", value: 1 },
+      ],
+      { size: 200, thickness: 40, centerLabel: "Total" }
+    );
+    const circumference = 2 * Math.PI * 80;
+    const round = (value) => String(Math.round(value * 100) / 100);
+
+    assert.deepStrictEqual(getAttributes(svg, "circle", "stroke-dasharray"), [
+      `${round(circumference * 0.75)} ${round(circumference)}`,
+      `${round(circumference * 0.25)} ${round(circumference)}`,
+    ]);
+    assert.deepStrictEqual(getAttributes(svg, "circle", "stroke-dashoffset"), ["0", round(-circumference * 0.75)]);
+    assert.ok(svg.includes(">Total</text>"));
+  });
+
+  test("should plot points from a zero baseline", () => {
+    const svg = renderLineChart(
+      [
+        { label: "May 1", value: 0 },
+        { label: "May 2", value: 50, valueLabel: "50B" },
+        { label: "May 3", value: 100 },
+      ],
+      { width: 500, height: 300 }
+    );
+
+    // 100px sides and a 200px plot between 50px paddings
+    assert.ok(svg.includes('<polyline points="100,250 250,150 400,50"'));
+    assert.ok(svg.includes('<polygon points="100,250 100,250 250,150 400,50 400,250"'));
+    assert.ok(svg.includes(">50B</text>"));
+    assert.ok(svg.includes(">May 3</text>"));
+  });
+
+  test("should draw empty charts without failing", () => {
+    assert.ok(renderBarChart([]).startsWith("<svg"));
+    assert.ok(!renderPieChart([{ label: "A", value: 0 }]).includes("NaN"));
+    assert.ok(!renderLineChart([]).includes("<polyline"));
+    assert.ok(!renderLineChart([{ label: "A", value: 5 }]).includes("NaN"));
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+  toJalali,
+  formatJalali,
+  formatDateLabel,
+  describeDate,
+  describePeriod,
+  isLastDayOfJalaliMonth,
+} from "../src/date.js";
+
+const TZ = "Asia/Tehran";
+// Thursday, 27 Ordibehesht 1403
+const date = new Date("2024-05-16T12:00:00Z");
+
+describe("Date Helper", () => {
+  describe("toJalali / formatJalali", () => {
+    test("should convert to Jalali parts", () => {
+      assert.deepStrictEqual(toJalali(date, TZ), {
+        year: 1403,
+        month: 2,
+        day: 27,
+        monthName: "Ordibehesht",
+      });
+    });
+
+    test("should use the timezone day", () => {
+      // 21:00 UTC on March 19 is already Nowruz (1 Farvardin) in Tehran
+      assert.strictEqual(formatJalali(new Date("2024-03-19T21:00:00Z"), "YYYY/MM/DD", TZ), "1403/01/01");
+      assert.strictEqual(formatJalali(new Date("2024-03-19T21:00:00Z"), "YYYY/MM/DD", "UTC"), "1402/12/29");
+    });
+
+    test("should format tokens", () => {
+      assert.strictEqual(formatJalali(date, "D MMMM YYYY", TZ), "27 Ordibehesht 1403");
+      assert.strictEqual(formatJalali(new Date("2024-04-10T12:00:00Z"), "YYYY-M-D", TZ), "1403-1-22");
+    });
+  });
+
+  describe("formatDateLabel", () => {
+    test("should format per calendar", () => {
+      assert.strictEqual(formatDateLabel(date, { calendar: "gregorian", timezone: TZ }), "2024-05-16");
+      assert.strictEqual(formatDateLabel(date, { calendar: "jalali", timezone: TZ }), "1403-02-27");
+      assert.strictEqual(formatDateLabel(date, { calendar: "both", timezone: TZ }), "2024-05-16 | 1403-02-27");
+    });
+  });
+
+  describe("describeDate / describePeriod", () => {
+    test("should keep Gregorian only by default", () => {
+      assert.strictEqual(
+        describeDate(date, "dddd, MMMM D, YYYY", { calendar: "gregorian", timezone: TZ }),
+        "Thursday, May 16, 2024"
+      );
+    });
+
+    test("should add the Jalali date when enabled", () => {
+      assert.strictEqual(
+        describeDate(date, "MMMM YYYY", { calendar: "jalali", jalaliFormat: "MMMM YYYY", timezone: TZ }),
+        "May 2024 (Ordibehesht 1403 in the Persian calendar)"
+      );
+      assert.strictEqual(
+        describePeriod(new Date("2024-05-09T12:00:00Z"), date, { calendar: "both", timezone: TZ }),
+        "May 9 - May 16, 2024 (20 Ordibehesht - 27 Ordibehesht 1403 in the Persian calendar)"
+      );
+    });
+  });
+
+  describe("isLastDayOfJalaliMonth", () => {
+    test("should detect the end of Solar Hijri months", () => {
+      // 31 Ordibehesht 1403
+      assert.strictEqual(isLastDayOfJalaliMonth(new Date("2024-05-20T12:00:00Z"), TZ), true);
+      assert.strictEqual(isLastDayOfJalaliMonth(date, TZ), false);
+      // Esfand 1402 has 29 days
+      assert.strictEqual(isLastDayOfJalaliMonth(new Date("2024-03-19T12:00:00Z"), TZ), true);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  computeDeltas,
+  loadDeltas,
+  getItemDelta,
+  getRankMovement,
+  describeItemDelta,
+  describeDeltas,
+} from "../src/deltas.js";
+import { createLocalStore, recordSnapshot } from "../src/snapshots.js";
+import { setupTestEnv } from "./helpers.js";
+
+const coin = (symbol, volume, has_iran = true) => ({ name: symbol, name_fa: `${symbol}-fa`, symbol, has_iran, irr: { volume } });
+
+const YESTERDAY = [coin("USDT", 2000), coin("BTC", 1000), coin("ETH", 500), coin("DOGE", 100)];
+const TODAY = [coin("USDT", 2500), coin("ETH", 1200), coin("XRP", 50, false), coin("BTC", 800), coin("PEPE", 300)];
+
+describe("Period Deltas", () => {
+  let dir;
+  let restoreEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deltas-"));
+    restoreEnv = setupTestEnv({ SCHEDULE_TIMEZONE: "Asia/Tehran" });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should compute volume changes and rank movements of the coins traded in Iran", () => {
+    const deltas = computeDeltas(TODAY, YESTERDAY, { period: "day", previousDate: "2024-05-30", limit: 3 });
+
+    assert.strictEqual(deltas.period, "day");
+    assert.strictEqual(deltas.previousDate, "2024-05-30");
+    assert.deepStrictEqual(deltas.items, {
+      USDT: { rank: 1, previousRank: 1, volumeChange: 25 },
+      ETH: { rank: 2, previousRank: 3, volumeChange: 140 },
+      BTC: { rank: 3, previousRank: 2, volumeChange: -20 },
+    });
+    // 4800 against 3600, XRP isn't traded in Iran
+    assert.strictEqual(deltas.totalVolumeChange, 33.3);
+  });
+
+  test("should list new entrants and dropouts of the top rows", () => {
+    const deltas = computeDeltas(TODAY, YESTERDAY, { period: "day", previousDate: "2024-05-30", limit: 4, language: "fa" });
+
+    assert.deepStrictEqual(deltas.newEntrants, ["PEPE"]);
+    assert.deepStrictEqual(deltas.items.PEPE, { rank: 4, previousRank: null, volumeChange: null });
+    assert.deepStrictEqual(deltas.dropouts, [{ key: "DOGE", name: "DOGE-fa", previousRank: 4 }]);
+  });
+
+  test("should describe the movement of an item", () => {
+    const deltas = computeDeltas(TODAY, YESTERDAY, { period: "day", previousDate: "2024-05-30" });
+
+    assert.strictEqual(getRankMovement(getItemDelta(deltas, coin("ETH"))), 1);
+    assert.strictEqual(describeItemDelta(getItemDelta(deltas, coin("ETH"))), "volume +140%, up 1 place (was #3)");
+    assert.strictEqual(describeItemDelta(getItemDelta(deltas, coin("BTC"))), "volume -20%, down 1 place (was #2)");
+    assert.strictEqual(describeItemDelta(getItemDelta(deltas, coin("USDT"))), "volume +25%, rank unchanged");
+    assert.strictEqual(describeItemDelta(getItemDelta(deltas, coin("PEPE"))), "new in the top 10");
+    assert.strictEqual(describeItemDelta(getItemDelta(deltas, coin("XRP"))), null);
+  });
+
+  test("should describe the deltas for AI prompts", () => {
+    const deltas = computeDeltas(TODAY, YESTERDAY, { period: "week", previousDate: "2024-05-24" });
+    const text = describeDeltas(deltas, TODAY.slice(0, 2));
+
+    assert.ok(text.startsWith("CHANGES SINCE THE PREVIOUS WEEK (2024-05-24):\n- Total volume: +33.3%\n"));
+    assert.ok(text.includes("- USDT: volume +25%, rank unchanged\n- ETH: volume +140%, up 1 place (was #3)\n"));
+    assert.ok(text.includes("- New in the top 10: PEPE\n"));
+    assert.ok(text.includes("- Dropped out of the top 10: DOGE (was #4)\n"));
+  });
+
+  test("should tell the AI not to compare without previous data", () => {
+    assert.match(describeDeltas(null, TODAY), /No previous data to compare with/);
+  });
+
+  test("should compare with the snapshot of the previous period", async () => {
+    const store = createLocalStore(dir);
+    await recordSnapshot("getPopular:en", YESTERDAY, { date: "2024-05-30", store });
+
+    const deltas = await loadDeltas("getPopular:en", "day", TODAY, { date: "2024-05-31", store });
+    assert.strictEqual(deltas.previousDate, "2024-05-30");
+    assert.strictEqual(deltas.items.ETH.previousRank, 3);
+
+    assert.strictEqual(await loadDeltas("getPopular:en", "day", TODAY, { date: "2024-06-02", store }), null);
+  });
+});
@@ -0,0 +1,217 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import {
+  renderTemplate,
+  renderImages,
+  closeBrowser,
+  getViewport,
+  getImageFormat,
+  getOutputFileName,
+  getAllowedHosts,
+  isRequestAllowed,
+  IMAGE_SIZES,
+} from "../src/html.js";
+import fs from "fs";
+import { getTheme, loadManifest } from "../src/templates.js";
+import { getTrendCell } from "../src/content.js";
+import { setupTestEnv } from "./helpers.js";
+import { getFixture } from "./visual/fixtures.js";
+
+/**
+ * Code point ranges of the bundled fonts, from the unicode-range of static/fonts/fonts.css
+ * @returns {Array<[number, number]>}
+ */
+function getFontRanges() {
+  const css = fs.readFileSync(new URL("../static/fonts/fonts.css", import.meta.url), "utf8");
+  return [...css.matchAll(/unicode-range:([^;]+);/g)].flatMap(([, ranges]) =>
+    ranges.split(",").map((range) => {
+      const [start, end = start] = range.trim().replace(/^U\+/i, "").split("-");
+      return [parseInt(start, 16), parseInt(end, 16)];
+    })
+  );
+}
+
+/**
+ * Strings of the template data, without the markup of the charts and the image URLs
+ * @param {*} value
+ * @returns {string[]}
+ */
+function getTexts(value) {
+  if (typeof value === "string") {
+    return [value];
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .filter(([key]) => !["svg", "icon", "logo", "color", "trendColor"].includes(key))
+      .flatMap(([, item]) => getTexts(item));
+  }
+  return [];
+}
+
+const data = {
+  tokens: [{ name: "Bitcoin", price: "$65,000", volume: "1.2T IRR", icon: "https://irancrypto.market/btc.png" }],
+  headers: ["Token", "Average Price", "Traded Volume"],
+  title: "Daily Recap",
+  subtitle: "Total traded volume (24h): 3.4T IRR",
+  lastUpdate: "2024-05-16",
+};
+
+describe("HTML Helper", () => {
+  for (const theme of ["black", "light", "dark"]) {
+    test(`table-coin-wide should render a 16:9 body with the ${theme} theme`, async () => {
+      const html = await renderTemplate("table-coin-wide", data, { theme });
+      const { width, height } = IMAGE_SIZES.wide;
+      assert.ok(html.includes(`width: ${width}px; height: ${height}px;`));
+      assert.ok(html.includes(`background: ${getTheme("table-coin-wide", theme).palette.background};`));
+      assert.ok(html.includes("Bitcoin"));
+      assert.ok(html.includes('dir="ltr"'));
+    });
+  }
+
+  for (const kind of ["bar", "pie", "line"]) {
+    test(`chart-${kind} should inline the chart without remote resources`, async () => {
+      const html = await renderTemplate(
+        `chart-${kind}`,
+        {
+          ...data,
+          chart: { kind, svg: '<svg width="10" height="10"></svg>', legend: [{ label: "Nobitex", share: "60%", color: "#000" }] },
+          rtl: true,
+        },
+        { inline: true }
+      );
+      assert.ok(html.includes('<svg width="10" height="10"></svg>'));
+      assert.ok(html.includes('dir="rtl"'));
+      assert.ok(!/<link|https?:\/\/(?!www\.w3\.org)/.test(html));
+    });
+  }
+
+  test("inlined templates should embed the bundled fonts and load nothing remote but the data", async () => {
+    const events = [{ text: "Bitcoin volume is up 250%" }];
+    for (const [template, theme] of [["table-coin", "dark"], ["table-coin-wide", "light"], ["table-exchange"], ["breaking"]]) {
+      const html = await renderTemplate(template, { ...data, exchanges: [{ name: "Nobitex", volume: "1T IRR" }], events, rtl: true }, { theme, inline: true });
+      assert.ok(!/<link/.test(html), template);
+      assert.ok(html.includes('font-family: "Vazirmatn"'), template);
+      assert.ok(html.includes("url(data:font/woff2;base64,"), template);
+      assert.ok(!/typekit|googleapis/.test(html), template);
+    }
+  });
+
+  test("square templates should match the square viewport", async () => {
+    const html = await renderTemplate("table-coin", data);
+    const { width, height } = IMAGE_SIZES.square;
+    assert.ok(html.includes(`width: ${width}px; height: ${height}px;`));
+  });
+
+  test("renderTemplate should reject invalid data and unsupported themes", async () => {
+    await assert.rejects(renderTemplate("table-coin", { ...data, tokens: [] }), /Invalid data for template table-coin:\n- tokens must be a non-empty list/);
+    await assert.rejects(renderTemplate("table-exchange", data, { theme: "light" }), /Template table-exchange has no light theme/);
+    await assert.rejects(renderTemplate("table-coin-dark", data), /Unknown template: table-coin-dark/);
+  });
+
+  describe("Render options", () => {
+    let restoreEnv;
+
+    beforeEach(() => {
+      restoreEnv = setupTestEnv({ IMAGE_FORMAT: "", IMAGE_QUALITY: "" });
+    });
+
+    afterEach(() => {
+      restoreEnv();
+    });
+
+    test("getViewport should resolve size names and viewports", () => {
+      assert.deepStrictEqual(getViewport(), IMAGE_SIZES.square);
+      assert.deepStrictEqual(getViewport("wide"), IMAGE_SIZES.wide);
+      assert.deepStrictEqual(getViewport({ width: 800, height: 600 }), { width: 800, height: 600 });
+      assert.throws(() => getViewport("poster"), /Unknown image size: poster/);
+    });
+
+    test("getImageFormat should default to a full quality JPEG", () => {
+      assert.deepStrictEqual(getImageFormat(), {
+        format: "jpeg",
+        quality: 100,
+        extension: ".jpg",
+        mimeType: "image/jpeg",
+      });
+    });
+
+    test("getImageFormat should follow the options, then IMAGE_FORMAT and IMAGE_QUALITY", () => {
+      process.env.IMAGE_FORMAT = "WebP";
+      process.env.IMAGE_QUALITY = "80";
+      assert.deepStrictEqual(getImageFormat(), {
+        format: "webp",
+        quality: 80,
+        extension: ".webp",
+        mimeType: "image/webp",
+      });
+      assert.strictEqual(getImageFormat({ format: "jpeg", quality: 60 }).quality, 60);
+      // PNG is lossless, Chromium rejects a quality for it
+      assert.strictEqual(getImageFormat({ format: "png" }).quality, null);
+    });
+
+    test("getImageFormat should reject unknown formats and qualities", () => {
+      assert.throws(() => getImageFormat({ format: "gif" }), /Unknown image format: gif/);
+      assert.throws(() => getImageFormat({ quality: 0 }), /Invalid image quality: 0/);
+      assert.throws(() => getImageFormat({ quality: 101 }), /Invalid image quality/);
+    });
+
+    test("getOutputFileName should follow the format", () => {
+      assert.strictEqual(getOutputFileName("weekly-coins.jpg", ".webp"), "weekly-coins.webp");
+      assert.strictEqual(getOutputFileName("bot-exchanges", ".png"), "bot-exchanges.png");
+    });
+
+    test("isRequestAllowed should only let data URIs and the allowed hosts through", () => {
+      const hosts = ["irancrypto.market"];
+      assert.ok(isRequestAllowed("data:image/png;base64,AAAA", hosts));
+      assert.ok(isRequestAllowed("https://irancrypto.market/btc.png", hosts));
+      assert.ok(isRequestAllowed("https://cdn.irancrypto.market/btc.png", hosts));
+      assert.ok(!isRequestAllowed("http://irancrypto.market/btc.png", hosts));
+      assert.ok(!isRequestAllowed("https://fakeirancrypto.market/btc.png", hosts));
+      assert.ok(!isRequestAllowed("https://use.typekit.net/sfb0qnc.css", hosts));
+      assert.ok(!isRequestAllowed("file:///etc/passwd", hosts));
+    });
+
+    test("getAllowedHosts should read RENDER_ALLOWED_HOSTS", () => {
+      const restore = setupTestEnv({ RENDER_ALLOWED_HOSTS: "" });
+      try {
+        assert.deepStrictEqual(getAllowedHosts(), ["irancrypto.market"]);
+        process.env.RENDER_ALLOWED_HOSTS = " IranCrypto.market, cdn.example.com ,";
+        assert.deepStrictEqual(getAllowedHosts(), ["irancrypto.market", "cdn.example.com"]);
+      } finally {
+        restore();
+      }
+    });
+
+    test("renderImages should reject invalid batches before launching the browser", async () => {
+      const job = { template: "table-coin", data, outputFileName: "a.jpg" };
+      await assert.rejects(renderImages([job, { ...job, size: "poster" }]), /Unknown image size/);
+      await assert.rejects(renderImages([job, { ...job, format: "gif" }]), /Unknown image format/);
+      await assert.rejects(renderImages([job, { ...job, theme: "sepia" }]), /has no sepia theme/);
+      await assert.rejects(renderImages([job, { ...job, data: { ...data, title: 42 } }]), /title must be a string, got number/);
+      // Nothing was launched, closing is a no-op
+      await closeBrowser();
+    });
+  });
+
+  describe("Bundled fonts", () => {
+    const ranges = getFontRanges();
+    const isCovered = (char) => ranges.some(([start, end]) => char.codePointAt(0) >= start && char.codePointAt(0) <= end);
+    const getMissing = (texts) => [...new Set(texts.join(""))].filter((char) => !isCovered(char));
+
+    test("should cover the trend column", () => {
+      const deltas = [null, { rank: 2, previousRank: null }, { rank: 2, previousRank: 2 }, { rank: 1, previousRank: 4 }, { rank: 4, previousRank: 1 }];
+      for (const language of ["en", "fa"]) {
+        const trends = deltas.map((delta) => getTrendCell(delta, language).trend);
+        assert.deepStrictEqual(getMissing(trends), [], language);
+      }
+    });
+
+    test("should cover the texts of every template fixture", () => {
+      for (const name of Object.keys(loadManifest().templates)) {
+        for (const language of ["en", "fa"]) {
+          assert.deepStrictEqual(getMissing(getTexts(getFixture(name, language))), [], `${name} (${language})`);
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { normalizeLanguage, isRTL, translate, getItemName } from "../src/i18n.js";
+import { abbreviateNumber, toPersianDigits, localizeDigits } from "../src/number.js";
+
+describe("Localization", () => {
+  describe("normalizeLanguage", () => {
+    test("should default to English", () => {
+      assert.strictEqual(normalizeLanguage(undefined), "en");
+      assert.strictEqual(normalizeLanguage(""), "en");
+    });
+
+    test("should accept regional codes", () => {
+      assert.strictEqual(normalizeLanguage("fa-IR"), "fa");
+      assert.strictEqual(normalizeLanguage("EN"), "en");
+    });
+
+    test("should reject unsupported languages", () => {
+      assert.throws(() => normalizeLanguage("de"), /Unsupported language: de/);
+    });
+  });
+
+  describe("translate", () => {
+    test("should replace placeholders", () => {
+      assert.strictEqual(
+        translate("en", "dailySubtitle", { volume: "1.2 Trillion IRR" }),
+        "Total traded volume (24h): 1.2 Trillion IRR"
+      );
+      assert.strictEqual(translate("fa", "currency"), "ریال");
+    });
+
+    test("should return list entries", () => {
+      assert.deepStrictEqual(translate("en", "coinHeaders"), ["Token", "Average Price", "Traded Volume"]);
+    });
+
+    test("should throw on missing keys", () => {
+      assert.throws(() => translate("en", "nope"), /Missing translation: nope/);
+    });
+  });
+
+  test("isRTL should detect Persian", () => {
+    assert.strictEqual(isRTL("fa"), true);
+    assert.strictEqual(isRTL("en"), false);
+  });
+
+  test("getItemName should prefer the localized name", () => {
+    const item = { name_en: "Bitcoin", name_fa: "بیت کوین" };
+    assert.strictEqual(getItemName(item, "fa"), "بیت کوین");
+    assert.strictEqual(getItemName(item, "en"), "Bitcoin");
+    assert.strictEqual(getItemName({ name_en: "Tether" }, "fa"), "Tether");
+  });
+
+  describe("Persian digits", () => {
+    test("toPersianDigits should convert digits and separators", () => {
+      assert.strictEqual(toPersianDigits("1,234.56"), "۱٬۲۳۴٫۵۶");
+      assert.strictEqual(toPersianDigits(1403), "۱۴۰۳");
+    });
+
+    test("localizeDigits should keep English untouched", () => {
+      assert.strictEqual(localizeDigits("1,234", "en"), "1,234");
+      assert.strictEqual(localizeDigits("1,234", "fa"), "۱٬۲۳۴");
+    });
+
+    test("abbreviateNumber should use Persian suffixes", () => {
+      assert.strictEqual(abbreviateNumber(2500000000, 1, true, "fa"), "۲٫۵ میلیارد");
+      assert.strictEqual(abbreviateNumber(2500000000, 1, true), "2.5 Billion");
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import { configureAlbum } from "../src/igapi.js";
+
+const image = fs.readFileSync(new URL("../static/images/logo-bg-half.png", import.meta.url));
+
+/**
+ * Client with the upload and configure calls of instagram-private-api, recording them
+ */
+function createClient() {
+  const calls = { uploads: [], sidecar: null };
+  return {
+    calls,
+    upload: {
+      photo: async (options) => {
+        calls.uploads.push(options);
+        return { upload_id: `upload-${calls.uploads.length}` };
+      },
+    },
+    media: {
+      configureSidecar: async (options) => {
+        calls.sidecar = options;
+        return { media: { id: "media-1", code: "C0de" } };
+      },
+    },
+  };
+}
+
+describe("Instagram API Helper", () => {
+  test("configureAlbum should send the accessibility caption of each slide", async () => {
+    const client = createClient();
+    const request = await configureAlbum(client, [image, image], "Weekly recap", ["Top coins table", "Volume chart"]);
+    assert.strictEqual(request.media.id, "media-1");
+    assert.deepStrictEqual(
+      client.calls.uploads.map((upload) => upload.isSidecar),
+      [true, true]
+    );
+
+    const { caption, children_metadata: children } = client.calls.sidecar;
+    assert.strictEqual(caption, "Weekly recap");
+    assert.deepStrictEqual(
+      children.map((child) => [child.upload_id, child.custom_accessibility_caption]),
+      [
+        ["upload-1", "Top coins table"],
+        ["upload-2", "Volume chart"],
+      ]
+    );
+    assert.ok(children.every((child) => child.width > 0 && child.height > 0));
+  });
+
+  test("configureAlbum should leave out missing captions", async () => {
+    const client = createClient();
+    await configureAlbum(client, [image, image], "Weekly recap", ["Top coins table"]);
+    assert.ok(!("custom_accessibility_caption" in client.calls.sidecar.children_metadata[1]));
+  });
+});
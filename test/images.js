@@ -0,0 +1,127 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { createHash } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createRenderedImage,
+  getImageType,
+  isRenderedImage,
+  loadImage,
+  getStoredName,
+  createLocalImageStore,
+  getImageStore,
+  storeImage,
+} from "../src/images.js";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * PNG header of the given size, enough for the type and size detection
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+function createPNG(width, height) {
+  const png = Buffer.alloc(24);
+  png.writeUInt32BE(0x89504e47, 0);
+  png.writeUInt32BE(0x0d0a1a0a, 4);
+  // Start of the IHDR chunk
+  png.writeUInt32BE(13, 8);
+  png.write("IHDR", 12);
+  png.writeUInt32BE(width, 16);
+  png.writeUInt32BE(height, 20);
+  return png;
+}
+
+describe("Rendered Images", () => {
+  let dir;
+  let restoreEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+    restoreEnv = setupTestEnv({ IMAGE_STORE: "local", IMAGE_DIR: dir });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("createRenderedImage should describe the image data", async () => {
+    const png = createPNG(1024, 1024);
+    const image = await createRenderedImage(png, "weekly-coins.jpg");
+    assert.ok(isRenderedImage(image));
+    assert.strictEqual(image.fileName, "weekly-coins.png");
+    assert.strictEqual(image.mimeType, "image/png");
+    assert.strictEqual(image.extension, ".png");
+    assert.strictEqual(image.width, 1024);
+    assert.strictEqual(image.height, 1024);
+    assert.strictEqual(image.hash, createHash("sha256").update(png).digest("hex"));
+    assert.strictEqual(image.location, null);
+  });
+
+  test("getImageType should detect JPEG, PNG and WebP data", async () => {
+    assert.strictEqual(await getImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, ...Array(8).fill(0)])), "jpeg");
+    assert.strictEqual(await getImageType(createPNG(10, 10)), "png");
+    assert.strictEqual(await getImageType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), "webp");
+    assert.strictEqual(await getImageType(Buffer.from("GIF89a, not supported")), null);
+    assert.strictEqual(await getImageType("image.jpg"), null);
+  });
+
+  test("createRenderedImage should fall back to the file extension", async () => {
+    const image = await createRenderedImage(Buffer.from("fake-jpeg"), "daily-coins.jpg");
+    assert.strictEqual(image.mimeType, "image/jpeg");
+    assert.strictEqual(image.width, null);
+    await assert.rejects(createRenderedImage(Buffer.from("text"), "notes.txt"), /Unsupported image data for notes.txt/);
+  });
+
+  test("loadImage should accept rendered images, buffers and paths", async () => {
+    const image = await createRenderedImage(createPNG(1200, 675), "table.png");
+    assert.strictEqual(await loadImage(image), image);
+    assert.strictEqual((await loadImage(image.buffer)).hash, image.hash);
+
+    const file = path.join(dir, "table.png");
+    fs.writeFileSync(file, image.buffer);
+    const loaded = await loadImage(file);
+    assert.strictEqual(loaded.fileName, "table.png");
+    assert.strictEqual(loaded.location, file);
+    assert.strictEqual(loaded.width, 1200);
+
+    await assert.rejects(loadImage(path.join(dir, "missing.png")), /ENOENT/);
+    await assert.rejects(loadImage(null), /Image must be/);
+  });
+
+  test("storeImage should keep a copy named after the hash", async () => {
+    const image = await createRenderedImage(createPNG(10, 10), "chart.png");
+    const name = getStoredName(image);
+    assert.strictEqual(name, `chart-${image.hash.slice(0, 12)}.png`);
+
+    const stored = await storeImage(image);
+    assert.strictEqual(stored.location, path.join(dir, name));
+    assert.deepStrictEqual(fs.readFileSync(stored.location), image.buffer);
+    assert.strictEqual(image.location, null);
+  });
+
+  test("storeImage should return the image when the store fails", async () => {
+    const image = await createRenderedImage(createPNG(10, 10), "chart.png");
+    const failing = {
+      write: async () => {
+        throw new Error("Access denied");
+      },
+    };
+    assert.strictEqual(await storeImage(image, { store: failing }), image);
+    assert.strictEqual(await storeImage(image, { store: null }), image);
+  });
+
+  test("getImageStore should follow IMAGE_STORE", () => {
+    assert.ok(getImageStore());
+    assert.deepStrictEqual(Object.keys(createLocalImageStore(dir)), ["write"]);
+
+    process.env.IMAGE_STORE = "none";
+    assert.strictEqual(getImageStore(), null);
+
+    process.env.IMAGE_STORE = "ftp";
+    assert.throws(() => getImageStore(), /Unknown IMAGE_STORE: ftp/);
+  });
+});
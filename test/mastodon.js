@@ -0,0 +1,140 @@
+import { test, describe, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { postStatus, uploadMedia } from "../src/mastodon.js";
+import mastodon from "../src/publishers/mastodon.js";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * Local stand-in of a Mastodon instance recording every request
+ */
+function createStandIn() {
+  const requests = [];
+  let processing = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("latin1");
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const reply = (status, data) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.headers.authorization !== "Bearer test-token") {
+        return reply(401, { error: "The access token is invalid" });
+      }
+      if (req.method === "POST" && req.url === "/api/v2/media") {
+        if (server.processMedia) {
+          processing = server.processMedia;
+          return reply(202, { id: "m2", url: null });
+        }
+        return reply(200, { id: "m1", url: "https://files.example/m1.jpg" });
+      }
+      if (req.method === "GET" && req.url === "/api/v1/media/m2") {
+        processing--;
+        return processing > 0 ? reply(206, { id: "m2", url: null }) : reply(200, { id: "m2", url: "https://files.example/m2.jpg" });
+      }
+      if (req.method === "POST" && req.url === "/api/v1/statuses") {
+        return reply(200, { id: "s1", url: "https://mastodon.example/@irancrypto/s1" });
+      }
+      reply(404, { error: "Record not found" });
+    });
+  });
+  server.requests = requests;
+  return server;
+}
+
+describe("Mastodon Helper", () => {
+  let server;
+  let dir;
+  let image;
+  let restoreEnv;
+
+  before(async () => {
+    server = createStandIn();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mastodon-"));
+    image = path.join(dir, "daily-coins.jpg");
+    fs.writeFileSync(image, "fake-jpeg");
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    server.processMedia = 0;
+    restoreEnv = setupTestEnv({
+      MASTODON_URL: `http://127.0.0.1:${server.address().port}/`,
+      MASTODON_ACCESS_TOKEN: "test-token",
+    });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+  });
+
+  test("should post a status without media", async () => {
+    const status = await postStatus("Hello #Bitcoin", { language: "fa" });
+    assert.strictEqual(status.id, "s1");
+    assert.strictEqual(server.requests.length, 1);
+
+    const [request] = server.requests;
+    assert.strictEqual(request.url, "/api/v1/statuses");
+    assert.strictEqual(request.headers["content-type"], "application/json");
+    assert.deepStrictEqual(JSON.parse(request.body), {
+      status: "Hello #Bitcoin",
+      media_ids: [],
+      visibility: "public",
+      language: "fa",
+    });
+  });
+
+  test("should upload images before posting", async () => {
+    await postStatus("Daily recap", { media: [image] });
+    assert.deepStrictEqual(
+      server.requests.map((request) => request.url),
+      ["/api/v2/media", "/api/v1/statuses"]
+    );
+
+    const upload = server.requests[0];
+    assert.match(upload.headers["content-type"], /^multipart\/form-data; boundary=/);
+    assert.ok(upload.body.includes('filename="daily-coins.jpg"'));
+    assert.ok(upload.body.includes("Content-Type: image/jpeg"));
+    assert.ok(upload.body.includes("fake-jpeg"));
+    assert.deepStrictEqual(JSON.parse(server.requests[1].body).media_ids, ["m1"]);
+  });
+
+  test("should wait for media processed asynchronously", async () => {
+    server.processMedia = 1;
+    const id = await uploadMedia(image, "Top coins of the day");
+    assert.strictEqual(id, "m2");
+    assert.ok(server.requests[0].body.includes("Top coins of the day"));
+    assert.strictEqual(server.requests[1].url, "/api/v1/media/m2");
+  });
+
+  test("should throw on API errors", async () => {
+    process.env.MASTODON_ACCESS_TOKEN = "wrong-token";
+    await assert.rejects(postStatus("Hello"), /Mastodon request failed: 401/);
+  });
+
+  test("publisher should publish the rendered content", async () => {
+    const content = { platform: "mastodon", target: "trends", language: "en", text: "Daily recap", image };
+    mastodon.validate(content);
+    assert.strictEqual(await mastodon.publish(content), "s1");
+    assert.strictEqual(server.requests.length, 2);
+  });
+
+  test("publisher should allow 500 characters", () => {
+    const content = { platform: "mastodon", target: "vol", language: "en", image: null };
+    assert.doesNotThrow(() => mastodon.validate({ ...content, text: "a".repeat(500) }));
+    assert.throws(() => mastodon.validate({ ...content, text: "a".repeat(501) }), /exceeds 500/);
+  });
+});
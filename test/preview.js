@@ -0,0 +1,75 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { isDryRun, writePreview } from "../src/preview.js";
+import { setupTestEnv } from "./helpers.js";
+
+describe("Preview Helper", () => {
+  let dir;
+  let restoreEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "preview-"));
+    restoreEnv = setupTestEnv({ PREVIEW_DIR: dir, DRY_RUN: "true" });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("isDryRun should follow DRY_RUN", () => {
+    assert.strictEqual(isDryRun(), true);
+    process.env.DRY_RUN = "false";
+    assert.strictEqual(isDryRun(), false);
+  });
+
+  test("writePreview should write text, image and gallery", async () => {
+    const image = path.join(dir, "source.jpg");
+    fs.writeFileSync(image, "fake-image");
+
+    const id = await writePreview({
+      platform: "telegram",
+      target: "dailyrecap",
+      language: "fa",
+      text: "<b>گزارش</b>",
+      image,
+    });
+
+    assert.match(id, /^preview-.+-telegram-dailyrecap-fa$/);
+    const base = id.replace(/^preview-/, "");
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, base + ".json"), "utf-8"));
+    assert.strictEqual(saved.text, "<b>گزارش</b>");
+    assert.strictEqual(saved.image, base + ".jpg");
+    assert.strictEqual(fs.readFileSync(path.join(dir, saved.image), "utf-8"), "fake-image");
+
+    const index = fs.readFileSync(path.join(dir, "index.html"), "utf-8");
+    assert.ok(index.includes("&lt;b&gt;گزارش&lt;/b&gt;"));
+    assert.ok(index.includes(`src="${saved.image}"`));
+  });
+
+  test("writePreview should copy the chart slides", async () => {
+    const image = path.join(dir, "table.jpg");
+    const chart = path.join(dir, "chart.jpg");
+    fs.writeFileSync(image, "table");
+    fs.writeFileSync(chart, "chart");
+
+    const id = await writePreview({
+      platform: "instagram",
+      target: "monthly-exchange",
+      text: "Monthly recap",
+      image,
+      slides: [{ image: chart, alt: "Pie chart of 6 slices" }],
+    });
+
+    const base = id.replace(/^preview-/, "");
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, base + ".json"), "utf-8"));
+    assert.deepStrictEqual(saved.slides, [{ image: `${base}-2.jpg`, alt: "Pie chart of 6 slices" }]);
+    assert.strictEqual(fs.readFileSync(path.join(dir, saved.slides[0].image), "utf-8"), "chart");
+
+    const index = fs.readFileSync(path.join(dir, "index.html"), "utf-8");
+    assert.ok(index.includes(`src="${saved.slides[0].image}" alt="Pie chart of 6 slices"`));
+  });
+});
@@ -0,0 +1,225 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  registerPublisher,
+  getPublisher,
+  getPlatformTargets,
+  publishPost,
+} from "../src/publishers/index.js";
+import twitter, { continueThread, getStartedThread } from "../src/publishers/twitter.js";
+import { getThreadKey } from "../src/content.js";
+import telegram from "../src/publishers/telegram.js";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * In-memory publisher recording what it published
+ */
+function createFakePublisher(name = "fake") {
+  const published = [];
+  return {
+    name,
+    targets: ["daily"],
+    published,
+    render: async (target, data, options) => ({
+      platform: name,
+      target,
+      language: options.language,
+      text: `${data.length} items`,
+      image: null,
+    }),
+    validate(content) {
+      if (!content.text) {
+        throw new Error("empty");
+      }
+    },
+    publish: async (content) => {
+      published.push(content);
+      return "post-1";
+    },
+  };
+}
+
+describe("Publisher Registry", () => {
+  let dir;
+  let restoreEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "publishers-"));
+    restoreEnv = setupTestEnv({ PREVIEW_DIR: dir, DRY_RUN: "false" });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should register the built-in platforms", () => {
+    const targets = getPlatformTargets();
+    assert.deepStrictEqual(targets.twitter, ["trends", "vol", "thread", "breaking"]);
+    assert.deepStrictEqual(targets.instagram, ["weekly-coin", "monthly-exchange"]);
+    assert.deepStrictEqual(targets.telegram, ["dailyrecap", "breaking"]);
+    assert.deepStrictEqual(targets.mastodon, ["trends", "vol"]);
+    assert.deepStrictEqual(targets.bluesky, ["trends", "vol"]);
+  });
+
+  test("should reject publishers missing the interface", () => {
+    assert.throws(() => registerPublisher({ name: "broken", targets: ["a"], render() {} }), /must implement validate\(\)/);
+    assert.throws(() => registerPublisher({ name: "broken", targets: [] }), /must list its targets/);
+  });
+
+  test("should reject unknown platforms with a permanent error", async () => {
+    assert.throws(() => getPublisher("myspace"), (error) => {
+      assert.match(error.message, /Unknown platform "myspace"/);
+      assert.strictEqual(error.retryable, false);
+      return true;
+    });
+    await assert.rejects(publishPost("myspace", "daily", []), /Unknown platform/);
+  });
+
+  test("should reject unknown targets with a permanent error", async () => {
+    registerPublisher(createFakePublisher());
+    await assert.rejects(publishPost("fake", "weekly", []), (error) => {
+      assert.match(error.message, /Unknown target "weekly" for fake/);
+      assert.strictEqual(error.retryable, false);
+      return true;
+    });
+  });
+
+  test("should render, validate and publish", async () => {
+    const fake = createFakePublisher();
+    registerPublisher(fake);
+    const postId = await publishPost("Fake", "daily", [1, 2], { language: "fa" });
+    assert.strictEqual(postId, "post-1");
+    assert.strictEqual(fake.published.length, 1);
+    assert.strictEqual(fake.published[0].text, "2 items");
+    assert.strictEqual(fake.published[0].language, "fa");
+  });
+
+  test("should not publish invalid content", async () => {
+    const fake = createFakePublisher();
+    fake.render = async (target) => ({ platform: "fake", target, language: "en", text: "", image: null });
+    registerPublisher(fake);
+    await assert.rejects(publishPost("fake", "daily", []), /empty/);
+    assert.strictEqual(fake.published.length, 0);
+  });
+
+  test("should write a preview in dry-run mode", async () => {
+    process.env.DRY_RUN = "true";
+    const fake = createFakePublisher();
+    registerPublisher(fake);
+    const postId = await publishPost("fake", "daily", [1]);
+    assert.match(postId, /^preview-.+-fake-daily-en$/);
+    assert.strictEqual(fake.published.length, 0);
+  });
+
+  describe("validate", () => {
+    const content = { platform: "twitter", target: "trends", language: "en", image: null };
+
+    test("twitter should enforce the tweet length", () => {
+      assert.doesNotThrow(() => twitter.validate({ ...content, text: "a".repeat(280) }));
+      assert.throws(() => twitter.validate({ ...content, text: "a".repeat(281) }), /exceeds 280/);
+      assert.throws(() => twitter.validate({ ...content, text: " " }), /is empty/);
+    });
+
+    test("twitter should check every tweet of a thread", () => {
+      const thread = { ...content, target: "thread", text: "Top coins today 🧵" };
+      assert.doesNotThrow(() => twitter.validate({ ...thread, replies: ["1. BTC", "2. ETH"] }));
+      assert.throws(() => twitter.validate({ ...thread, replies: [] }), /Thread has no replies/);
+      assert.throws(
+        () => twitter.validate({ ...thread, replies: ["1. BTC", "a".repeat(281)] }),
+        /Thread reply 2 exceeds 280/
+      );
+    });
+
+    test("telegram should require an image and ignore HTML in the caption length", () => {
+      const caption = `<a href="https://irancrypto.market/">${"a".repeat(1024)}</a>`;
+      assert.throws(() => telegram.validate({ ...content, text: "hi", image: null }), /Image is not generated/);
+      assert.doesNotThrow(() => telegram.validate({ ...content, text: caption, image: "/tmp/a.jpg" }));
+    });
+  });
+
+  describe("continueThread", () => {
+    const tweets = ["Headline 🧵", "1. BTC", "2. ETH", "3. USDT"];
+
+    test("should post the headline then reply to the previous tweet", async () => {
+      const sent = [];
+      const saved = [];
+      const ids = await continueThread(
+        { tweets, ids: [] },
+        async (text, index, previousId) => {
+          sent.push({ text, previousId });
+          return 100 + index;
+        },
+        async (progress) => saved.push(progress.ids)
+      );
+      assert.deepStrictEqual(ids, ["100", "101", "102", "103"]);
+      assert.deepStrictEqual(sent.map((tweet) => tweet.previousId), [null, "100", "101", "102"]);
+      assert.deepStrictEqual(saved.at(-1), ids);
+      assert.strictEqual(saved.length, 4);
+    });
+
+    test("should resume a failed thread after the last posted tweet", async () => {
+      let progress = { tweets, ids: [] };
+      const save = async (thread) => {
+        progress = thread;
+      };
+      await assert.rejects(
+        continueThread(
+          progress,
+          async (text, index) => {
+            if (index === 2) {
+              throw new Error("Reply posting failed: 503");
+            }
+            return `t${index}`;
+          },
+          save
+        ),
+        /503/
+      );
+      assert.deepStrictEqual(progress.ids, ["t0", "t1"]);
+
+      const sent = [];
+      const ids = await continueThread(progress, async (text, index, previousId) => {
+        sent.push({ text, previousId });
+        return `r${index}`;
+      }, save);
+      assert.deepStrictEqual(sent, [
+        { text: "2. ETH", previousId: "t1" },
+        { text: "3. USDT", previousId: "r2" },
+      ]);
+      assert.deepStrictEqual(ids, ["t0", "t1", "r2", "r3"]);
+    });
+  });
+
+  describe("getStartedThread", () => {
+    const data = [{ name: "Bitcoin", symbol: "BTC" }, { name: "Tether", symbol: "USDT" }];
+
+    test("should rebuild a started thread from the stored tweets", async () => {
+      const keys = [];
+      const store = {
+        getThread: async (key) => {
+          keys.push(key);
+          return { tweets: ["Headline 🧵", "1. BTC", "2. USDT"], ids: ["t0"] };
+        },
+      };
+      const content = await getStartedThread(data, "fa", store);
+      assert.deepStrictEqual(keys, [getThreadKey(data, "fa")]);
+      assert.strictEqual(content.text, "Headline 🧵");
+      assert.deepStrictEqual(content.replies, ["1. BTC", "2. USDT"]);
+      assert.strictEqual(content.threadKey, keys[0]);
+      assert.doesNotThrow(() => twitter.validate(content));
+    });
+
+    test("should return null when the thread wasn't started", async () => {
+      assert.strictEqual(await getStartedThread(data, "en", { getThread: async () => false }), null);
+    });
+
+    test("thread key should depend on the data and language only", () => {
+      assert.strictEqual(getThreadKey(data, "en"), getThreadKey([...data], "EN"));
+      assert.notStrictEqual(getThreadKey(data, "en"), getThreadKey(data, "fa"));
+    });
+  });
+});
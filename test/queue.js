@@ -0,0 +1,126 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { processScheduledPost } from "../src/queue.js";
+import { registerPublisher } from "../src/publishers/index.js";
+import { HISTORY_STATUS, POST_STATUS } from "../src/retry.js";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * In-memory queue store with the conditional writes of src/dynamodb.js
+ * @returns {Object}
+ */
+function createStore() {
+  const items = new Map();
+  return {
+    items,
+    async claimPost({ id, platform, target, contentHash }) {
+      if (items.has(`history-${contentHash}`)) {
+        return false;
+      }
+      items.set(`history-${contentHash}`, { status: HISTORY_STATUS.PUBLISHING, scheduleId: id, platform, target });
+      return true;
+    },
+    async releasePost(contentHash) {
+      if (items.get(`history-${contentHash}`)?.status === HISTORY_STATUS.PUBLISHING) {
+        items.delete(`history-${contentHash}`);
+      }
+    },
+    async completeScheduledPost({ id, contentHash, postId }) {
+      items.set(`history-${contentHash}`, { ...items.get(`history-${contentHash}`), status: HISTORY_STATUS.PUBLISHED, postId });
+      items.delete(id);
+    },
+    async getPostHistory(contentHash) {
+      return items.get(`history-${contentHash}`) ?? false;
+    },
+    async removeScheduledPost(id) {
+      items.delete(id);
+    },
+    async markPostFailed(id, state) {
+      items.set(id, { ...items.get(id), ...state });
+    },
+  };
+}
+
+describe("Scheduled Post Processing", () => {
+  const published = [];
+  let failure = null;
+  let store;
+  let restoreEnv;
+
+  registerPublisher({
+    name: "queue-test",
+    targets: ["daily"],
+    render: async (target, data, { language }) => ({ platform: "queue-test", target, language, text: data.text }),
+    validate: () => {},
+    publish: async (content) => {
+      if (failure) {
+        throw failure;
+      }
+      published.push(content.text);
+      return `post-${published.length}`;
+    },
+  });
+
+  const post = { id: "post-1", platform: "queue-test", target: "daily", language: "en", data: { text: "Daily recap" } };
+
+  beforeEach(() => {
+    published.length = 0;
+    failure = null;
+    store = createStore();
+    store.items.set(post.id, { ...post });
+    restoreEnv = setupTestEnv({ DRY_RUN: "" });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+  });
+
+  test("should publish the post and move it to history", async () => {
+    const result = await processScheduledPost(post, store);
+    assert.deepStrictEqual(result, { status: "published", postId: "post-1" });
+    assert.deepStrictEqual(published, ["Daily recap"]);
+    assert.ok(!store.items.has(post.id));
+
+    // Queued again with the same content, e.g. by a scheduler retry
+    store.items.set(post.id, { ...post });
+    assert.deepStrictEqual(await processScheduledPost(post, store), { status: "skipped", postId: "post-1" });
+    assert.strictEqual(published.length, 1);
+    assert.ok(!store.items.has(post.id));
+  });
+
+  test("should not publish again after a crash between publish and complete", async () => {
+    const complete = store.completeScheduledPost;
+    store.completeScheduledPost = async () => {
+      throw new Error("Task timed out after 900.00 seconds");
+    };
+    await assert.rejects(processScheduledPost(post, store), /Task timed out/);
+    assert.strictEqual(published.length, 1);
+    // The post is still queued, its claim wasn't completed
+    assert.ok(store.items.has(post.id));
+
+    store.completeScheduledPost = complete;
+    const result = await processScheduledPost(post, store);
+    assert.deepStrictEqual(result, { status: "skipped", postId: null });
+    assert.strictEqual(published.length, 1);
+    assert.ok(!store.items.has(post.id));
+  });
+
+  test("should release the claim and schedule a retry when publishing fails", async () => {
+    failure = new Error("Service unavailable");
+    await assert.rejects(processScheduledPost(post, store), /Service unavailable/);
+    assert.strictEqual(store.items.get(post.id).status, POST_STATUS.RETRYING);
+    assert.strictEqual(store.items.get(post.id).attempts, 1);
+
+    failure = null;
+    assert.strictEqual((await processScheduledPost(post, store)).status, "published");
+    assert.deepStrictEqual(published, ["Daily recap"]);
+  });
+
+  test("should dead-letter permanent errors", async () => {
+    const unknown = { ...post, target: "weekly" };
+    store.items.set(post.id, { ...unknown });
+    await assert.rejects(processScheduledPost(unknown, store), /Unknown target "weekly"/);
+    assert.strictEqual(store.items.get(post.id).status, POST_STATUS.DEAD);
+    assert.strictEqual([...store.items.keys()].filter((key) => key.startsWith("history-")).length, 0);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+  createPermanentError,
+  getBackoffDelay,
+  getRetryState,
+  POST_STATUS,
+} from "../src/retry.js";
+
+const config = { maxAttempts: 3, baseDelay: 60, maxDelay: 300 };
+
+describe("Retry Helper", () => {
+  describe("getBackoffDelay", () => {
+    test("should double the delay on each attempt", () => {
+      assert.strictEqual(getBackoffDelay(1, config), 60);
+      assert.strictEqual(getBackoffDelay(2, config), 120);
+      assert.strictEqual(getBackoffDelay(3, config), 240);
+    });
+
+    test("should cap the delay at maxDelay", () => {
+      assert.strictEqual(getBackoffDelay(10, config), 300);
+    });
+  });
+
+  describe("getRetryState", () => {
+    test("should schedule the next attempt with backoff", () => {
+      const state = getRetryState({ attempts: 1 }, new Error("Login failed"), 1000, config);
+      assert.strictEqual(state.attempts, 2);
+      assert.strictEqual(state.lastError, "Login failed");
+      assert.strictEqual(state.nextAttemptAt, 1120);
+      assert.strictEqual(state.status, POST_STATUS.RETRYING);
+    });
+
+    test("should treat posts without attempts as first failure", () => {
+      const state = getRetryState({}, "timeout", 1000, config);
+      assert.strictEqual(state.attempts, 1);
+      assert.strictEqual(state.lastError, "timeout");
+      assert.strictEqual(state.nextAttemptAt, 1060);
+    });
+
+    test("should dead-letter the post after max attempts", () => {
+      const state = getRetryState({ attempts: 2 }, new Error("Still failing"), 1000, config);
+      assert.strictEqual(state.attempts, 3);
+      assert.strictEqual(state.status, POST_STATUS.DEAD);
+      assert.strictEqual(state.nextAttemptAt, null);
+    });
+
+    test("should dead-letter non-retryable errors right away", () => {
+      const error = createPermanentError("Unknown platform");
+      const state = getRetryState({ attempts: 0 }, error, 1000, config);
+      assert.strictEqual(state.attempts, 1);
+      assert.strictEqual(state.status, POST_STATUS.DEAD);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { createBucket } from "../src/s3.js";
+import { setupTestEnv } from "./helpers.js";
+
+describe("S3 Bucket Helper", () => {
+  let restoreEnv;
+
+  beforeEach(() => {
+    restoreEnv = setupTestEnv({ IMAGE_S3_BUCKET: "irancrypto-images", SNAPSHOT_S3_BUCKET: "" });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+  });
+
+  test("should read the bucket of the store", () => {
+    const bucket = createBucket("IMAGE");
+    assert.strictEqual(bucket.bucket, "irancrypto-images");
+    assert.strictEqual(bucket.getURL("images/daily-coins.jpg"), "s3://irancrypto-images/images/daily-coins.jpg");
+  });
+
+  test("should require the bucket of the store", () => {
+    assert.throws(() => createBucket("SNAPSHOT"), /SNAPSHOT_S3_BUCKET not found/);
+  });
+});
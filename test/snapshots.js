@@ -0,0 +1,142 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { gunzipSync } from "zlib";
+import {
+  toDateKey,
+  createLocalStore,
+  getSnapshotStore,
+  recordSnapshot,
+  getSnapshotAt,
+  getPreviousSnapshot,
+  getPreviousItem,
+  getRecentSnapshots,
+  findItem,
+} from "../src/snapshots.js";
+import { setupTestEnv } from "./helpers.js";
+
+const POPULAR = [
+  { name: "Tether", symbol: "USDT", irr: { volume: 2500 } },
+  { name: "Bitcoin", symbol: "BTC", irr: { volume: 800 } },
+];
+
+describe("Snapshot Store", () => {
+  let dir;
+  let store;
+  let restoreEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshots-"));
+    store = createLocalStore(dir);
+    restoreEnv = setupTestEnv({ SCHEDULE_TIMEZONE: "Asia/Tehran", SNAPSHOT_STORE: "local", SNAPSHOT_DIR: dir });
+  });
+
+  afterEach(() => {
+    restoreEnv();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("toDateKey should use the schedule timezone", () => {
+    // 21:00 UTC is already the next day in Tehran
+    assert.strictEqual(toDateKey(new Date("2024-05-30T21:00:00Z")), "2024-05-31");
+    assert.strictEqual(toDateKey("2024-05-31"), "2024-05-31");
+  });
+
+  test("should store gzipped snapshots per source and day", async () => {
+    const snapshot = await recordSnapshot("getRecap:coin:weekly:en", POPULAR, { date: "2024-05-31", store });
+    assert.strictEqual(snapshot.date, "2024-05-31");
+
+    const file = path.join(dir, "getRecap/coin/weekly/en/2024-05-31.json.gz");
+    assert.deepStrictEqual(JSON.parse(gunzipSync(fs.readFileSync(file))).data, POPULAR);
+    assert.deepStrictEqual(await getSnapshotAt("getRecap:coin:weekly:en", "2024-05-31", { store }), snapshot);
+    assert.strictEqual(await getSnapshotAt("getRecap:coin:weekly:en", "2024-05-30", { store }), null);
+  });
+
+  test("should replace the snapshot of the same day", async () => {
+    await recordSnapshot("getPopular:en", POPULAR, { date: "2024-05-31", store });
+    await recordSnapshot("getPopular:en", POPULAR.slice(1), { date: "2024-05-31", store });
+    const snapshot = await getSnapshotAt("getPopular:en", "2024-05-31", { store });
+    assert.deepStrictEqual(snapshot.data, POPULAR.slice(1));
+  });
+
+  describe("getPreviousSnapshot", () => {
+    test("should return the snapshot of the previous day, week and month", async () => {
+      for (const date of ["2024-04-30", "2024-05-24", "2024-05-30"]) {
+        await recordSnapshot("getPopular:en", [{ symbol: "BTC", date }], { date, store });
+      }
+      const previous = async (period) =>
+        (await getPreviousSnapshot("getPopular:en", period, { date: "2024-05-31", store }))?.date;
+      assert.strictEqual(await previous("day"), "2024-05-30");
+      assert.strictEqual(await previous("week"), "2024-05-24");
+      assert.strictEqual(await previous("month"), "2024-04-30");
+    });
+
+    test("should compare month-ends with the previous month-end", async () => {
+      for (const date of ["2024-01-31", "2024-03-31"]) {
+        await recordSnapshot("getPopular:en", [{ symbol: "BTC", date }], { date, store });
+      }
+      const previous = async (date) => (await getPreviousSnapshot("getPopular:en", "month", { date, store }))?.date;
+      // One month back from Apr 30 is Mar 30, the snapshot of Mar 31 is the month-end
+      assert.strictEqual(await previous("2024-04-30"), "2024-03-31");
+      assert.strictEqual(await previous("2024-02-29"), "2024-01-31");
+      // Other days still look back a month, then up to the tolerance
+      assert.strictEqual(await previous("2024-04-29"), undefined);
+    });
+
+    test("should only fall back to older snapshots within the tolerance", async () => {
+      await recordSnapshot("getPopular:en", POPULAR, { date: "2024-05-29", store });
+      await recordSnapshot("getRecap:coin:weekly:en", POPULAR, { date: "2024-05-23", store });
+      assert.strictEqual(await getPreviousSnapshot("getPopular:en", "day", { date: "2024-05-31", store }), null);
+      const week = await getPreviousSnapshot("getRecap:coin:weekly:en", "week", { date: "2024-05-31", store });
+      assert.strictEqual(week.date, "2024-05-23");
+    });
+
+    test("should reject unknown periods", async () => {
+      await assert.rejects(getPreviousSnapshot("getPopular:en", "year", { store }), /Unknown snapshot period/);
+    });
+  });
+
+  test("getRecentSnapshots should return the snapshots of the last days, oldest first", async () => {
+    for (const date of ["2024-05-20", "2024-05-26", "2024-05-28", "2024-05-31"]) {
+      await recordSnapshot("getPopular:en", POPULAR, { date, store });
+    }
+    const snapshots = await getRecentSnapshots("getPopular:en", 7, { date: "2024-05-31", store });
+    assert.deepStrictEqual(
+      snapshots.map((snapshot) => snapshot.date),
+      ["2024-05-26", "2024-05-28", "2024-05-31"]
+    );
+  });
+
+  test("getPreviousItem should find a coin of the previous snapshot", async () => {
+    await recordSnapshot("getPopular:en", POPULAR, { date: "2024-05-30", store });
+    assert.deepStrictEqual(await getPreviousItem("getPopular:en", "day", "btc", { date: "2024-05-31", store }), {
+      item: POPULAR[1],
+      date: "2024-05-30",
+    });
+    assert.strictEqual(await getPreviousItem("getPopular:en", "day", "ETH", { date: "2024-05-31", store }), null);
+    assert.strictEqual(await getPreviousItem("getPopular:en", "day", "BTC", { date: "2024-06-05", store }), null);
+  });
+
+  test("findItem should match symbols, names and ids", () => {
+    const exchanges = [{ id: 7, name: "Nobitex", name_fa: "نوبیتکس" }];
+    assert.strictEqual(findItem(exchanges, "nobitex"), exchanges[0]);
+    assert.strictEqual(findItem(exchanges, "7"), exchanges[0]);
+    assert.strictEqual(findItem(POPULAR, "Tether"), POPULAR[0]);
+    assert.strictEqual(findItem(POPULAR, "ETH"), null);
+  });
+
+  test("getSnapshotStore should follow SNAPSHOT_STORE", async () => {
+    process.env.SNAPSHOT_STORE = "none";
+    assert.strictEqual(getSnapshotStore(), null);
+    assert.strictEqual(await recordSnapshot("getPopular:en", POPULAR, { store: getSnapshotStore() }), null);
+
+    process.env.SNAPSHOT_STORE = "local";
+    await recordSnapshot("getPopular:en", POPULAR, { date: "2024-05-31" });
+    assert.ok(fs.existsSync(path.join(dir, "getPopular/en/2024-05-31.json.gz")));
+
+    process.env.SNAPSHOT_STORE = "redis";
+    assert.throws(() => getSnapshotStore(), /Unknown SNAPSHOT_STORE: redis/);
+  });
+});
@@ -0,0 +1,160 @@
+import { test, describe, afterEach } from "node:test";
+import assert from "node:assert";
+import { getTelegramChannels, isMessageNotFound } from "../src/telegram.js";
+import telegram, { deliverMessage } from "../src/publishers/telegram.js";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * Fake Bot API and message store recording every call
+ */
+function createFakes({ stored = false, editError = null, pinError = null } = {}) {
+  const calls = [];
+  let record = stored;
+  const api = {
+    send: async (message) => {
+      calls.push(["send", message.chatId]);
+      return 42;
+    },
+    edit: async (message, messageId) => {
+      calls.push(["edit", message.chatId, messageId]);
+      if (editError) {
+        throw editError;
+      }
+    },
+    pin: async (message, messageId) => {
+      calls.push(["pin", message.chatId, messageId]);
+      if (pinError) {
+        throw pinError;
+      }
+    },
+  };
+  const store = {
+    get: async () => record,
+    save: async (messageId) => {
+      calls.push(["save", messageId]);
+      record = { messageId };
+    },
+  };
+  return { api, store, calls };
+}
+
+/**
+ * Error thrown by node-telegram-bot-api for a rejected request
+ */
+function createBotError(description) {
+  const error = new Error(`ETELEGRAM: 400 ${description}`);
+  error.response = { body: { ok: false, error_code: 400, description } };
+  return error;
+}
+
+describe("Telegram", () => {
+  let restoreEnv;
+
+  afterEach(() => {
+    restoreEnv?.();
+    restoreEnv = null;
+  });
+
+  describe("getTelegramChannels", () => {
+    test("should read the chats of TELEGRAM_CHANNELS", () => {
+      restoreEnv = setupTestEnv({
+        TELEGRAM_CHANNELS: JSON.stringify([
+          { chatId: -100123, language: "fa-IR", template: "table-coin-wide", pin: true },
+          { chatId: "@irancrypto", caption: "Recap {date}" },
+        ]),
+      });
+      assert.deepStrictEqual(getTelegramChannels(), [
+        { chatId: "-100123", language: "fa", template: "table-coin-wide", theme: null, caption: null, pin: true },
+        { chatId: "@irancrypto", language: "en", template: null, theme: null, caption: "Recap {date}", pin: false },
+      ]);
+    });
+
+    test("should fall back to the channel id of each language", () => {
+      restoreEnv = setupTestEnv({ TELEGRAM_CHANNELS: "", TELEGRAM_CHANNEL_ID: "-1001", TELEGRAM_CHANNEL_ID_FA: "" });
+      assert.deepStrictEqual(getTelegramChannels(), [
+        { chatId: "-1001", language: "en", template: null, theme: null, caption: null, pin: false },
+      ]);
+    });
+
+    test("should reject an invalid configuration", () => {
+      restoreEnv = setupTestEnv({ TELEGRAM_CHANNELS: "{not json" });
+      assert.throws(() => getTelegramChannels(), /Invalid TELEGRAM_CHANNELS/);
+      process.env.TELEGRAM_CHANNELS = JSON.stringify({ chatId: "-1" });
+      assert.throws(() => getTelegramChannels(), /must be a JSON array/);
+      process.env.TELEGRAM_CHANNELS = JSON.stringify([{ language: "fa" }]);
+      assert.throws(() => getTelegramChannels(), /channel 0 has no chatId/);
+      process.env.TELEGRAM_CHANNELS = JSON.stringify([{ chatId: "-1", language: "de" }]);
+      assert.throws(() => getTelegramChannels(), /Unsupported language/);
+    });
+  });
+
+  describe("deliverMessage", () => {
+    const message = { chatId: "-1001", text: "Recap", image: "/tmp/a.jpg", pin: false };
+
+    test("should send, store and pin a new recap", async () => {
+      const { api, store, calls } = createFakes();
+      const result = await deliverMessage({ ...message, pin: true }, api, store);
+      assert.deepStrictEqual(result, { messageId: 42, edited: false });
+      assert.deepStrictEqual(calls, [["send", "-1001"], ["save", 42], ["pin", "-1001", 42]]);
+    });
+
+    test("should edit the recap already sent for the day", async () => {
+      const { api, store, calls } = createFakes({ stored: { messageId: 7 } });
+      const result = await deliverMessage({ ...message, pin: true }, api, store);
+      assert.deepStrictEqual(result, { messageId: 7, edited: true });
+      assert.deepStrictEqual(calls, [["edit", "-1001", 7]]);
+    });
+
+    test("should send again when the stored message was deleted", async () => {
+      const { api, store, calls } = createFakes({
+        stored: { messageId: 7 },
+        editError: createBotError("Bad Request: message to edit not found"),
+      });
+      const result = await deliverMessage(message, api, store);
+      assert.deepStrictEqual(result, { messageId: 42, edited: false });
+      assert.deepStrictEqual(calls, [["edit", "-1001", 7], ["send", "-1001"], ["save", 42]]);
+    });
+
+    test("should rethrow other edit errors", async () => {
+      const { api, store } = createFakes({
+        stored: { messageId: 7 },
+        editError: createBotError("Too Many Requests: retry after 5"),
+      });
+      await assert.rejects(deliverMessage(message, api, store), /Too Many Requests/);
+    });
+
+    test("should not fail when pinning fails", async () => {
+      const { api, store, calls } = createFakes({
+        pinError: createBotError("Bad Request: not enough rights to manage pinned messages in the chat"),
+      });
+      const result = await deliverMessage({ ...message, pin: true }, api, store);
+      assert.deepStrictEqual(result, { messageId: 42, edited: false });
+      assert.deepStrictEqual(calls.at(-1), ["pin", "-1001", 42]);
+    });
+  });
+
+  test("isMessageNotFound should match deleted messages only", () => {
+    assert.strictEqual(isMessageNotFound(createBotError("Bad Request: message to edit not found")), true);
+    assert.strictEqual(isMessageNotFound(createBotError("Bad Request: message is not modified")), false);
+    assert.strictEqual(isMessageNotFound(new Error("socket hang up")), false);
+  });
+
+  describe("publisher", () => {
+    test("should check the caption of every chat", () => {
+      const messages = [
+        { chatId: "-1", text: "Recap", image: "/tmp/a.jpg" },
+        { chatId: "-2", text: "a".repeat(1025), image: "/tmp/b.jpg" },
+      ];
+      const content = { platform: "telegram", target: "dailyrecap", language: "en", ...messages[0] };
+      assert.doesNotThrow(() => telegram.validate({ ...content, messages: messages.slice(0, 1) }));
+      assert.throws(() => telegram.validate({ ...content, messages }), /exceeds 1024 characters/);
+    });
+
+    test("should dead-letter a recap without chats of its language", async () => {
+      await assert.rejects(
+        telegram.publish({ platform: "telegram", target: "dailyrecap", language: "fa", messages: [{ chatId: null }] }),
+        (error) => error.retryable === false && /No Telegram channel configured for language fa/.test(error.message)
+      );
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  loadManifest,
+  validateManifest,
+  getTemplate,
+  getTheme,
+  getRandomTheme,
+  getTemplateViewport,
+  validateTemplateData,
+  findUndeclaredFields,
+  IMAGE_SIZES,
+  TEMPLATES_DIR,
+} from "../src/templates.js";
+
+const tokens = [{ name: "Bitcoin", price: "$65,000", volume: "1.2T IRR", icon: "https://irancrypto.market/btc.png" }];
+
+describe("Template Registry", () => {
+  const manifest = loadManifest();
+
+  test("the shipped manifest should declare every template file", () => {
+    const files = fs
+      .readdirSync(TEMPLATES_DIR)
+      .filter((file) => file.endsWith(".html"))
+      .map((file) => path.basename(file, ".html"));
+    assert.deepStrictEqual(Object.keys(manifest.templates).sort(), files.sort());
+  });
+
+  for (const name of Object.keys(manifest.templates)) {
+    test(`${name} should only use declared fields`, async () => {
+      assert.deepStrictEqual(await findUndeclaredFields(name), []);
+    });
+  }
+
+  test("getTheme should default to the first theme and reject unsupported ones", () => {
+    assert.deepStrictEqual(getTheme("table-coin"), { name: "dark", palette: manifest.themes.dark });
+    assert.strictEqual(getTheme("table-coin-wide", "light").palette.logo, "../images/logo-footer-dark.png");
+    assert.throws(() => getTheme("breaking", "light"), /Template breaking has no light theme. Must be one of: dark/);
+    assert.throws(() => getTheme("table-coin-dark"), /Unknown template: table-coin-dark/);
+  });
+
+  test("getRandomTheme should pick a theme of the template", () => {
+    for (let i = 0; i < 20; i++) {
+      assert.ok(getTemplate("table-coin").themes.includes(getRandomTheme("table-coin")));
+    }
+    assert.strictEqual(getRandomTheme("chart-bar"), "dark");
+  });
+
+  test("getTemplateViewport should follow the first declared size", () => {
+    assert.deepStrictEqual(getTemplateViewport("table-coin"), IMAGE_SIZES.square);
+    assert.deepStrictEqual(getTemplateViewport("breaking"), IMAGE_SIZES.wide);
+  });
+
+  test("validateTemplateData should accept optional and undeclared fields", () => {
+    const data = { title: "Daily Recap", headers: ["Token"], tokens, lastUpdate: "2024-05-16", extra: 1 };
+    assert.doesNotThrow(() => validateTemplateData("table-coin", data));
+    assert.doesNotThrow(() => validateTemplateData("table-coin", { ...data, subtitle: null, rtl: true }));
+  });
+
+  test("validateTemplateData should list every missing or mistyped field", () => {
+    assert.throws(
+      () =>
+        validateTemplateData("table-coin", {
+          title: 42,
+          headers: [],
+          tokens: [{ ...tokens[0], price: undefined }],
+          rtl: "yes",
+        }),
+      (error) => {
+        assert.strictEqual(
+          error.message,
+          [
+            "Invalid data for template table-coin:",
+            "- title must be a string, got number",
+            "- headers must be a non-empty list",
+            "- tokens[0].price is required",
+            "- lastUpdate is required",
+            "- rtl must be a boolean, got string",
+          ].join("\n")
+        );
+        return true;
+      }
+    );
+    assert.throws(() => validateTemplateData("chart-bar", { title: "A", lastUpdate: "B", chart: "svg" }), /chart must be an object/);
+    assert.throws(() => validateTemplateData("breaking", null), /data must be an object/);
+  });
+
+  test("validateManifest should list every invalid theme and template", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+    try {
+      fs.writeFileSync(path.join(dir, "card.html"), "<body>{{title}}</body>");
+      const valid = {
+        themes: { dark: { background: "#000" } },
+        templates: { card: { sizes: ["square"], themes: ["dark"], fields: { title: "string" } } },
+      };
+      assert.strictEqual(validateManifest(valid, dir).templates.card.name, "card");
+
+      assert.throws(
+        () =>
+          validateManifest(
+            {
+              themes: { dark: { background: "#000" }, light: { text: "#000" } },
+              templates: {
+                card: { sizes: ["poster"], themes: ["sepia"], fields: { title: "text", items: ["string", "number"] } },
+                missing: { sizes: [], themes: ["dark"], fields: [] },
+              },
+            },
+            dir
+          ),
+        (error) => {
+          assert.strictEqual(
+            error.message,
+            [
+              "Invalid template manifest:",
+              '- Theme "light": must define background',
+              '- Template "card": unknown size "poster", must be one of square, wide',
+              '- Template "card": unknown theme "sepia"',
+              '- Template "card".title: unknown type "text", must be one of string, number, boolean (with "?" when optional)',
+              '- Template "card".items: lists declare exactly one item type',
+              '- Template "missing": missing.html is missing',
+              '- Template "missing": "sizes" must list at least one size',
+              '- Template "missing": "fields" must be an object',
+            ].join("\n")
+          );
+          return true;
+        }
+      );
+      assert.throws(() => validateManifest({ templates: {} }, dir), /must have "themes" and "templates"/);
+      assert.throws(() => loadManifest(path.join(dir, "manifest.json")), /Could not read template manifest/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -6,8 +6,12 @@ import {
   findHashtags,
   formatHashtagBlock,
   formatContent,
+  countGraphemes,
+  getImageSize,
   validateArrayLength,
   safeArrayAccess,
+  stableStringify,
+  getContentHash,
 } from "../src/util.js";
 
 describe("Utility Functions", () => {
@@ -72,6 +76,12 @@ describe("Utility Functions", () => {
       assert.strictEqual(result.atEnd[0].hashtag, "#HashtagAtEnd");
     });
 
+    test("should find Persian hashtags", () => {
+      const result = findHashtags("حجم معاملات امروز\n#بیت_کوین #رمزارز");
+      assert.strictEqual(result.atEnd.length, 2);
+      assert.strictEqual(result.atEnd[0].hashtag, "#بیت_کوین");
+    });
+
     test("should handle duplicate hashtags correctly", () => {
       const content = "#BTC is rising. Buy #BTC now!\n#BTC #ETH";
       const result = findHashtags(content);
@@ -171,6 +181,15 @@ describe("Utility Functions", () => {
       assert(result.endsWith("…"));
     });
 
+    test("should enforce max length in graphemes", () => {
+      const emojis = "👍🏽".repeat(10);
+      assert.strictEqual(formatContent(emojis, { maxLength: 10, graphemes: true }), emojis);
+
+      const result = formatContent("👍🏽".repeat(20), { maxLength: 10, graphemes: true });
+      assert.strictEqual(countGraphemes(result), 10);
+      assert.strictEqual(result, "👍🏽".repeat(9) + "…");
+    });
+
     test("should keep first block only when requested", () => {
       const content = "First paragraph.\n\nSecond paragraph.";
       const result = formatContent(content, { keepFirstBlock: true });
@@ -183,6 +202,16 @@ describe("Utility Functions", () => {
     });
   });
 
+  describe("countGraphemes", () => {
+    test("should count user-perceived characters", () => {
+      assert.strictEqual(countGraphemes("abc"), 3);
+      assert.strictEqual(countGraphemes("👨‍👩‍👧"), 1);
+      // The zero-width non-joiner joins the previous grapheme
+      assert.strictEqual(countGraphemes("بیت‌کوین"), 7);
+      assert.strictEqual(countGraphemes(null), 0);
+    });
+  });
+
   describe("validateArrayLength", () => {
     test("should pass for valid array", () => {
       assert.doesNotThrow(() => validateArrayLength([1, 2, 3], 2));
@@ -221,4 +250,79 @@ describe("Utility Functions", () => {
       assert.strictEqual(safeArrayAccess("string", 0, "fallback"), "fallback");
     });
   });
+
+  describe("stableStringify", () => {
+    test("should sort object keys recursively", () => {
+      assert.strictEqual(
+        stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: "x" } }),
+        '{"a":{"c":"x","d":[2,{"e":0,"f":1}]},"b":1}'
+      );
+    });
+
+    test("should skip undefined properties", () => {
+      assert.strictEqual(stableStringify({ a: undefined, b: null }), '{"b":null}');
+    });
+  });
+
+  describe("getContentHash", () => {
+    test("should be stable across key order", () => {
+      const first = getContentHash("twitter", "trends", [{ symbol: "BTC", volume: 10 }]);
+      const second = getContentHash("Twitter", "trends", [{ volume: 10, symbol: "BTC" }]);
+      assert.strictEqual(first, second);
+      assert.match(first, /^[a-f0-9]{64}$/);
+    });
+
+    test("should differ per target, data and language", () => {
+      const base = getContentHash("twitter", "trends", [1]);
+      assert.notStrictEqual(base, getContentHash("twitter", "vol", [1]));
+      assert.notStrictEqual(base, getContentHash("twitter", "trends", [2]));
+      assert.notStrictEqual(base, getContentHash("twitter", "trends", [1], "fa"));
+    });
+  });
+
+  describe("getImageSize", () => {
+    test("should read the size of a PNG", () => {
+      const png = Buffer.alloc(24);
+      png.writeUInt32BE(0x89504e47, 0);
+      png.writeUInt32BE(0x0d0a1a0a, 4);
+      png.writeUInt32BE(1200, 16);
+      png.writeUInt32BE(675, 20);
+      assert.deepStrictEqual(getImageSize(png, "png"), { width: 1200, height: 675 });
+    });
+
+    test("should read the size of a JPEG after its APP segments", () => {
+      const jpeg = Buffer.from([
+        0xff, 0xd8,
+        // APP0 segment of 16 bytes
+        0xff, 0xe0, 0x00, 0x10, ...Array(14).fill(0),
+        // SOF0: length, precision, height 3072, width 3072
+        0xff, 0xc0, 0x00, 0x11, 0x08, 0x0c, 0x00, 0x0c, 0x00, 0x03, ...Array(9).fill(0),
+      ]);
+      assert.deepStrictEqual(getImageSize(jpeg, "jpeg"), { width: 3072, height: 3072 });
+    });
+
+    test("should read the size of a WebP", () => {
+      const webp = (chunk, header) =>
+        Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("WEBP" + chunk), Buffer.alloc(4), header]);
+      // Extended: flags, reserved, then the canvas size minus one
+      const extended = Buffer.alloc(10);
+      extended.writeUIntLE(1199, 4, 3);
+      extended.writeUIntLE(674, 7, 3);
+      assert.deepStrictEqual(getImageSize(webp("VP8X", extended), "webp"), { width: 1200, height: 675 });
+      // Lossy: frame tag, start code, then the size
+      const lossy = Buffer.from([0, 0, 0, 0x9d, 0x01, 0x2a, 0x00, 0x04, 0x00, 0x04]);
+      assert.deepStrictEqual(getImageSize(webp("VP8 ", lossy), "webp"), { width: 1024, height: 1024 });
+      // Lossless: signature, then the packed size minus one
+      const lossless = Buffer.alloc(10);
+      lossless[0] = 0x2f;
+      lossless.writeUInt32LE(1199 | (674 << 14), 1);
+      assert.deepStrictEqual(getImageSize(webp("VP8L", lossless), "webp"), { width: 1200, height: 675 });
+    });
+
+    test("should return null for other data", () => {
+      assert.strictEqual(getImageSize(Buffer.from("not an image, just some text")), null);
+      assert.strictEqual(getImageSize(Buffer.from("not an image, just some text"), "jpeg"), null);
+      assert.strictEqual(getImageSize(null, "png"), null);
+    });
+  });
 });
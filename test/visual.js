@@ -0,0 +1,71 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { PNG } from "pngjs";
+import { compareImages } from "./visual/compare.js";
+import { getFixture } from "./visual/fixtures.js";
+import { loadManifest, validateTemplateData } from "../src/templates.js";
+
+/**
+ * Solid PNG with an optional block of another color
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} block - {x, y, size} of a red square
+ * @returns {Buffer}
+ */
+function createPNG(width, height, block = null) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBlock = block && x >= block.x && x < block.x + block.size && y >= block.y && y < block.y + block.size;
+      const index = (y * width + x) * 4;
+      png.data[index] = inBlock ? 255 : 0;
+      png.data[index + 1] = inBlock ? 0 : 57;
+      png.data[index + 2] = inBlock ? 0 : 64;
+      png.data[index + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+describe("Visual Regression Helpers", () => {
+  test("compareImages should match identical images", () => {
+    const result = compareImages(createPNG(100, 100), createPNG(100, 100));
+    assert.strictEqual(result.match, true);
+    assert.strictEqual(result.diffPixels, 0);
+    assert.strictEqual(result.reason, null);
+  });
+
+  test("compareImages should tolerate changes under the max diff ratio", () => {
+    const changed = createPNG(100, 100, { x: 10, y: 10, size: 2 });
+    const result = compareImages(changed, createPNG(100, 100));
+    assert.strictEqual(result.diffPixels, 4);
+    assert.strictEqual(result.match, true);
+    assert.strictEqual(compareImages(changed, createPNG(100, 100), { maxDiffRatio: 0.0001 }).match, false);
+  });
+
+  test("compareImages should report changed pixels with a diff image", () => {
+    const result = compareImages(createPNG(100, 100, { x: 40, y: 40, size: 20 }), createPNG(100, 100));
+    assert.strictEqual(result.match, false);
+    assert.strictEqual(result.diffPixels, 400);
+    assert.strictEqual(result.reason, "4.00% of the pixels differ (max 0.10%)");
+    const diff = PNG.sync.read(result.diff);
+    assert.deepStrictEqual([diff.width, diff.height], [100, 100]);
+  });
+
+  test("compareImages should fail on a size change", () => {
+    const result = compareImages(createPNG(120, 100), createPNG(100, 100));
+    assert.strictEqual(result.match, false);
+    assert.strictEqual(result.diff, null);
+    assert.strictEqual(result.reason, "size changed from 100x100 to 120x100");
+  });
+
+  test("every template should have valid fixtures in both languages", () => {
+    for (const name of Object.keys(loadManifest().templates)) {
+      for (const language of ["en", "fa"]) {
+        const data = getFixture(name, language);
+        assert.doesNotThrow(() => validateTemplateData(name, data), `${name} (${language})`);
+        assert.strictEqual(data.rtl, language === "fa");
+      }
+    }
+  });
+});
@@ -0,0 +1,52 @@
+// Perceptual comparison of rendered images with their golden copies
+
+import pixelmatch from "pixelmatch";
+import { PNG } from "pngjs";
+
+/**
+ * Result of an image comparison
+ * @typedef {Object} ImageComparison
+ * @property {boolean} match - Whether the images are within the allowed difference
+ * @property {number} diffPixels - Pixels which differ perceptibly
+ * @property {number} diffRatio - Share of the pixels which differ (0-1)
+ * @property {Buffer|null} diff - PNG highlighting the differing pixels in red, null when the sizes differ
+ * @property {string|null} reason - Why the images don't match
+ */
+
+/**
+ * Compare a rendered PNG with its golden copy
+ * Anti-aliased pixels are ignored, so sub-pixel font rendering doesn't count as a change
+ * @param {Buffer} actual - Rendered PNG
+ * @param {Buffer} expected - Golden PNG
+ * @param {Object} options
+ * @param {number} options.threshold - Color distance from which a pixel differs, 0 (exact) to 1 (default: 0.1)
+ * @param {number} options.maxDiffRatio - Share of differing pixels still matching (default: 0.001)
+ * @returns {ImageComparison}
+ */
+export function compareImages(actual, expected, { threshold = 0.1, maxDiffRatio = 0.001 } = {}) {
+  const rendered = PNG.sync.read(actual);
+  const golden = PNG.sync.read(expected);
+  const { width, height } = golden;
+
+  if (rendered.width !== width || rendered.height !== height) {
+    return {
+      match: false,
+      diffPixels: width * height,
+      diffRatio: 1,
+      diff: null,
+      reason: `size changed from ${width}x${height} to ${rendered.width}x${rendered.height}`,
+    };
+  }
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(rendered.data, golden.data, diff.data, width, height, { threshold });
+  const diffRatio = diffPixels / (width * height);
+  const match = diffRatio <= maxDiffRatio;
+  return {
+    match,
+    diffPixels,
+    diffRatio,
+    diff: PNG.sync.write(diff),
+    reason: match ? null : `${(diffRatio * 100).toFixed(2)}% of the pixels differ (max ${(maxDiffRatio * 100).toFixed(2)}%)`,
+  };
+}
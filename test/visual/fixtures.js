@@ -0,0 +1,183 @@
+// Fixed template data of the visual regression tests, shaped like the data src/content.js renders
+
+import { abbreviateNumber, localizeDigits } from "../../src/number.js";
+import { translate, isRTL } from "../../src/i18n.js";
+import { renderBarChart, renderPieChart, renderLineChart, CHART_PALETTE } from "../../src/charts.js";
+
+// Local image, inlined like the template assets so the renders load nothing remote
+const ICON = "../images/logo-bg-half.png";
+
+const COINS = [
+  { en: "Tether", fa: "تتر", price: 1, volume: 4.2e15, trend: 0 },
+  { en: "Bitcoin", fa: "بیت‌کوین", price: 65432.1, volume: 2.8e15, trend: 1 },
+  { en: "Ethereum", fa: "اتریوم", price: 3120.45, volume: 1.1e15, trend: -1 },
+  { en: "TRON", fa: "ترون", price: 0.1234, volume: 6.4e14, trend: 2 },
+  { en: "Toncoin", fa: "تون‌کوین", price: 6.78, volume: 3.9e14, trend: null },
+  { en: "Solana", fa: "سولانا", price: 148.9, volume: 2.2e14, trend: -2 },
+  { en: "Dogecoin", fa: "دوج‌کوین", price: 0.1567, volume: 1.5e14, trend: 0 },
+  { en: "XRP", fa: "ریپل", price: 0.5234, volume: 9.8e13, trend: 3 },
+  { en: "Cardano", fa: "کاردانو", price: 0.4567, volume: 5.1e13, trend: -1 },
+  { en: "Shiba Inu", fa: "شیبا", price: 0.0000245, volume: 2.3e13, trend: null },
+];
+
+const EXCHANGES = [
+  { en: "Nobitex", fa: "نوبیتکس", volume: 5.6e15 },
+  { en: "Wallex", fa: "والکس", volume: 2.1e15 },
+  { en: "Ramzinex", fa: "رمزینکس", volume: 9.4e14 },
+  { en: "Excoino", fa: "اکسکوینو", volume: 4.7e14 },
+  { en: "Bitpin", fa: "بیت‌پین", volume: 2.6e14 },
+];
+
+// Daily totals of the line chart, oldest first
+const DAILY_VOLUMES = [7.1e15, 8.4e15, 6.9e15, 9.2e15, 1.05e16, 8.8e15, 9.9e15];
+
+const LAST_UPDATE = { en: "2024-05-16", fa: "۱۴۰۳/۰۲/۲۷" };
+
+/**
+ * Format an IRR volume like the posts do
+ * @param {number} volume
+ * @param {number} decimal
+ * @param {string} language
+ * @returns {string}
+ */
+function formatVolume(volume, decimal, language) {
+  return `${abbreviateNumber(volume, decimal, true, language)} ${translate(language, "currency")}`;
+}
+
+/**
+ * Trend cell of a coin row
+ * @param {number|null} movement - Places moved up, null for a new entry
+ * @param {string} language
+ * @returns {{trend: string, trendColor: string}}
+ */
+function getTrendCell(movement, language) {
+  if (movement === null) {
+    return { trend: translate(language, "trendNew"), trendColor: "#F0B90B" };
+  }
+  if (movement === 0) {
+    return { trend: "—", trendColor: "#A0A0A0" };
+  }
+  const places = localizeDigits(Math.abs(movement), language);
+  return movement > 0 ? { trend: `↑ ${places}`, trendColor: "#2EBD85" } : { trend: `↓ ${places}`, trendColor: "#F6465D" };
+}
+
+/**
+ * Data shared by every template
+ * @param {string} language
+ * @param {string} subtitle - Translation key of the subtitle, filled with the total volume
+ * @param {number} volume
+ * @returns {Object}
+ */
+function getCommonData(language, subtitle, volume) {
+  return {
+    subtitle: translate(language, subtitle, { volume: formatVolume(volume, 0, language) }),
+    lastUpdate: LAST_UPDATE[language],
+    rtl: isRTL(language),
+  };
+}
+
+const total = (items) => items.reduce((sum, item) => sum + item.volume, 0);
+
+/**
+ * Data of the coin tables, with the trend column
+ * @param {string} language
+ * @returns {Object}
+ */
+function getCoinTable(language) {
+  return {
+    title: translate(language, "dailyRecapTitle"),
+    headers: translate(language, "coinHeaders"),
+    tokens: COINS.map((coin) => ({
+      name: coin[language],
+      price: "$" + localizeDigits(coin.price.toLocaleString("en-US", { maximumSignificantDigits: 6 }), language),
+      volume: formatVolume(coin.volume, 1, language),
+      icon: ICON,
+      ...getTrendCell(coin.trend, language),
+    })),
+    trends: true,
+    ...getCommonData(language, "dailySubtitle", total(COINS)),
+  };
+}
+
+// Fixture of each template, by language
+const FIXTURES = {
+  "table-coin": getCoinTable,
+  "table-coin-wide": getCoinTable,
+  "table-exchange": (language) => ({
+    title: translate(language, "monthlyExchangeTitle"),
+    headers: translate(language, "exchangeHeaders"),
+    exchanges: EXCHANGES.map((exchange) => ({
+      name: exchange[language],
+      volume: formatVolume(exchange.volume, 1, language),
+      logo: ICON,
+    })),
+    ...getCommonData(language, "monthlySubtitle", total(EXCHANGES)),
+  }),
+  "chart-bar": (language) => ({
+    title: translate(language, "coinsChartTitle"),
+    chart: {
+      svg: renderBarChart(
+        COINS.map((coin) => ({ label: coin[language], value: coin.volume, valueLabel: formatVolume(coin.volume, 1, language) })),
+        { rtl: isRTL(language) }
+      ),
+    },
+    ...getCommonData(language, "weeklySubtitle", total(COINS)),
+  }),
+  "chart-pie": (language) => {
+    const sum = total(EXCHANGES);
+    const getShare = (volume) => `${localizeDigits(Math.round((volume / sum) * 1000) / 10, language)}%`;
+    return {
+      title: translate(language, "exchangesChartTitle"),
+      chart: {
+        svg: renderPieChart(
+          EXCHANGES.map((exchange) => ({ label: exchange[language], value: exchange.volume })),
+          { size: 460, thickness: 100 }
+        ),
+        legend: EXCHANGES.map((exchange, index) => ({
+          label: exchange[language],
+          share: getShare(exchange.volume),
+          color: CHART_PALETTE[index],
+        })),
+      },
+      ...getCommonData(language, "monthlySubtitle", sum),
+    };
+  },
+  "chart-line": (language) => ({
+    title: translate(language, "volumeChartTitle"),
+    chart: {
+      svg: renderLineChart(
+        DAILY_VOLUMES.map((volume, index) => ({
+          label: localizeDigits(`05/${10 + index}`, language),
+          value: volume,
+          valueLabel: abbreviateNumber(volume, 1, true, language),
+        }))
+      ),
+    },
+    ...getCommonData(language, "weeklySubtitle", total(COINS)),
+    subtitle: translate(language, "volumeChartSubtitle", { days: localizeDigits(DAILY_VOLUMES.length, language) }),
+  }),
+  breaking: (language) => ({
+    title: translate(language, "breakingTitle"),
+    events: [
+      { text: language === "fa" ? "حجم معاملات بیت‌کوین ۲۵۰٪ بالاتر از میانگین است" : "Bitcoin volume is 250% above its average", icon: ICON },
+      { text: language === "fa" ? "تون‌کوین وارد ۱۰ توکن پرمعامله شد" : "Toncoin entered the top 10", icon: ICON },
+      { text: language === "fa" ? "حجم کل بازار ۴۰٪ کاهش یافت" : "Total volume dropped 40%", icon: null },
+    ],
+    ...getCommonData(language, "dailySubtitle", total(COINS)),
+    subtitle: translate(language, "breakingSubtitle"),
+  }),
+};
+
+/**
+ * Get the fixture data of a template
+ * @param {string} templateName
+ * @param {string} language - "en" or "fa"
+ * @returns {Object}
+ * @throws {Error} When the template has no fixture
+ */
+export function getFixture(templateName, language) {
+  if (!FIXTURES[templateName]) {
+    throw new Error(`No visual fixture for template ${templateName}, add one to test/visual/fixtures.js`);
+  }
+  return FIXTURES[templateName](language);
+}
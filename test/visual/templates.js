@@ -0,0 +1,92 @@
+// Visual regression tests of the image templates
+// Renders every template, theme and language with fixed data and compares it with its golden image.
+// Needs a local Chrome or Chromium: CHROMIUM=/path/to/chrome npm run test:visual
+// After an intended change, review the diffs then update the golden images: npm run test:visual:update
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { renderTemplate, createImageFromTemplate, closeBrowser } from "../../src/html.js";
+import { loadManifest } from "../../src/templates.js";
+import { getENV } from "../../src/env.js";
+import { setupTestEnv } from "../helpers.js";
+import { compareImages } from "./compare.js";
+import { getFixture } from "./fixtures.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(__dirname, "golden");
+// Renders and diffs of the failed comparisons, ignored by git
+const OUTPUT_DIR = path.join(__dirname, "output");
+
+const LANGUAGES = ["en", "fa"];
+
+const chromium = getENV("CHROMIUM", null);
+const update = getENV("UPDATE_GOLDEN", "") === "1";
+const options = {
+  threshold: parseFloat(getENV("VISUAL_THRESHOLD", "0.1")),
+  maxDiffRatio: parseFloat(getENV("VISUAL_MAX_DIFF", "0.001")),
+};
+
+describe("Template Screenshots", { skip: !chromium && "CHROMIUM isn't set to a local Chrome or Chromium" }, () => {
+  const { templates } = loadManifest();
+  let restoreEnv;
+
+  before(() => {
+    // Golden images are lossless and at 1x, whatever the deployment renders
+    restoreEnv = setupTestEnv({ IMAGE_STORE: "none", IMAGE_FORMAT: "", IMAGE_QUALITY: "" });
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  after(async () => {
+    await closeBrowser();
+    restoreEnv();
+  });
+
+  for (const { name, themes } of Object.values(templates)) {
+    for (const theme of themes) {
+      for (const language of LANGUAGES) {
+        const id = `${name}-${theme}-${language}`;
+
+        test(id, async (t) => {
+          const data = getFixture(name, language);
+          // Screenshots depend on nothing but the template, its bundled assets and the data
+          const html = await renderTemplate(name, data, { theme, inline: true });
+          assert.ok(!/<link|src=["']https?:/.test(html), `${id} loads remote resources`);
+
+          const image = await createImageFromTemplate(name, data, `${id}.png`, {
+            theme,
+            format: "png",
+            deviceScaleFactor: 1,
+          });
+          const goldenPath = path.join(GOLDEN_DIR, `${id}.png`);
+
+          if (update) {
+            await fs.promises.mkdir(GOLDEN_DIR, { recursive: true });
+            await fs.promises.writeFile(goldenPath, image.buffer);
+            t.diagnostic(`Updated ${path.relative(process.cwd(), goldenPath)}`);
+            return;
+          }
+          if (!fs.existsSync(goldenPath)) {
+            assert.fail(`No golden image for ${id}, render it with npm run test:visual:update`);
+          }
+
+          const result = compareImages(image.buffer, await fs.promises.readFile(goldenPath), options);
+          if (!result.match) {
+            await fs.promises.mkdir(OUTPUT_DIR, { recursive: true });
+            const actualPath = path.join(OUTPUT_DIR, `${id}-actual.png`);
+            await fs.promises.writeFile(actualPath, image.buffer);
+            const written = [actualPath];
+            if (result.diff) {
+              const diffPath = path.join(OUTPUT_DIR, `${id}-diff.png`);
+              await fs.promises.writeFile(diffPath, result.diff);
+              written.push(diffPath);
+            }
+            assert.fail(`${id} changed: ${result.reason}\nSee ${written.map((file) => path.relative(process.cwd(), file)).join(", ")}`);
+          }
+        });
+      }
+    }
+  }
+});